@@ -0,0 +1,79 @@
+// ── DOM builder ──────────────────────────────────────────────────────────────
+// Everything script.js and verify-token.js render goes through el() and
+// svgEl(). Text only ever reaches the page as text nodes and attributes only
+// through setAttribute, so repo descriptions, topics, referrer names and
+// README excerpts from the API can't turn into markup. Nothing is rendered
+// with innerHTML, inline style="" or inline handlers, which is what lets the
+// pages run under a Content-Security-Policy without 'unsafe-inline'.
+//
+//   el('a', { class: ['project-link', demo && 'demo-link'], href: url, target: '_blank' }, ['View →'])
+//
+// Attributes:
+//   class     a string, or an array whose falsy entries are dropped
+//   dataset   { repo: 'x' } → data-repo="x"
+//   on        { click: handler } → addEventListener
+//   href/src  passed through safeUrl(); an unsafe URL leaves the attribute out
+//   true sets a boolean attribute; false, null and undefined leave it out
+//
+// Children may be strings, numbers, nodes, nested arrays, or null/false to skip.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const URL_ATTRIBUTES = ['href', 'src'];
+const SAFE_URL_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+// `value` if it's a web, mailto or relative URL — never javascript:, data: etc.
+function safeUrl(value) {
+    if (value === null || value === undefined || value === '') return null;
+    try {
+        const url = new URL(String(value), document.baseURI);
+        return SAFE_URL_PROTOCOLS.includes(url.protocol) ? String(value) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function appendChildren(node, children) {
+    [children].flat(Infinity).forEach(child => {
+        if (child === null || child === undefined || child === false) return;
+        node.append(child instanceof Node ? child : String(child));
+    });
+    return node;
+}
+
+function setAttributes(node, attributes) {
+    Object.entries(attributes).forEach(([name, value]) => {
+        if (name === 'dataset') {
+            Object.entries(value).forEach(([key, data]) => {
+                if (data !== null && data !== undefined) node.dataset[key] = data;
+            });
+            return;
+        }
+        if (name === 'on') {
+            Object.entries(value).forEach(([type, handler]) => node.addEventListener(type, handler));
+            return;
+        }
+        if (name === 'class' && Array.isArray(value)) {
+            value = value.filter(Boolean).join(' ');
+        }
+        if (URL_ATTRIBUTES.includes(name)) {
+            value = safeUrl(value);
+        }
+        if (value === null || value === undefined || value === false) return;
+        node.setAttribute(name, value === true ? '' : value);
+    });
+    return node;
+}
+
+function el(tag, attributes = {}, children = []) {
+    return appendChildren(setAttributes(document.createElement(tag), attributes), children);
+}
+
+function svgEl(tag, attributes = {}, children = []) {
+    return appendChildren(setAttributes(document.createElementNS(SVG_NS, tag), attributes), children);
+}
+
+// Replace everything inside `node`
+function setChildren(node, children) {
+    node.replaceChildren();
+    return appendChildren(node, children);
+}
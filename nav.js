@@ -0,0 +1,150 @@
+// ── Navigation controller ────────────────────────────────────────────────────
+// Owns the navbar: which section is on screen (scroll spy), the navbar's
+// scrolled look and the mobile menu. Nothing here listens to scroll events or
+// reads offsetTop — IntersectionObservers report what's on screen, so
+// scrolling never forces a layout.
+//
+// Other code subscribes instead of watching the page itself — script.js keeps
+// the URL's section in step this way (see "Deep links" there):
+//
+//   navController.addEventListener('sectionchange', ({ detail }) => {
+//       // detail.section: id of the section on screen ('' for the hero),
+//       // detail.previous: the one before
+//   });
+//   navController.addEventListener('menuchange', ({ detail }) => detail.open);
+//
+// The mobile menu is a disclosure: the hamburger reports the state in
+// aria-expanded, opening it moves focus to the first link, arrow keys move
+// between links, and Escape, tabbing away or clicking elsewhere closes it.
+
+// Scrolled past this many pixels, the navbar gets its shadow
+const NAVBAR_SCROLL_OFFSET = 50;
+// A section is "on screen" while it crosses the band from just under the
+// navbar to a third of the way down the viewport
+const SCROLL_SPY_MARGIN = '-100px 0px -66% 0px';
+
+function createNavController({ navbar, menu, hamburger, sections }) {
+    const events = new EventTarget();
+    const links = menu ? [...menu.querySelectorAll('a[href^="#"]')] : [];
+    const onScreen = new Set();
+    let active = null;
+
+    const emit = (type, detail) => events.dispatchEvent(new CustomEvent(type, { detail }));
+
+    // ── Scroll spy ──
+    function setActiveSection(section) {
+        if (section === active) return;
+        const previous = active;
+        active = section;
+        links.forEach(link => {
+            const current = link.getAttribute('href') === `#${section}`;
+            link.classList.toggle('active', current);
+            if (current) {
+                link.setAttribute('aria-current', 'location');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+        emit('sectionchange', { section, previous });
+    }
+
+    const spy = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                onScreen.add(entry.target);
+            } else {
+                onScreen.delete(entry.target);
+            }
+        });
+        // The first one in page order wins while two share the band; between
+        // sections, the last one stays active
+        const first = sections.find(section => onScreen.has(section));
+        if (first) setActiveSection(first.id);
+    }, { rootMargin: SCROLL_SPY_MARGIN });
+    sections.forEach(section => spy.observe(section));
+
+    // ── Navbar state ──
+    // An invisible strip at the top of the page: once it's scrolled out of
+    // view, so is the first NAVBAR_SCROLL_OFFSET pixels
+    if (navbar) {
+        const sentinel = el('div', { class: 'nav-scroll-sentinel', 'aria-hidden': 'true' });
+        document.body.prepend(sentinel);
+        new IntersectionObserver(([entry]) => {
+            navbar.classList.toggle('scrolled', !entry.isIntersecting);
+        }).observe(sentinel);
+    }
+
+    // ── Mobile menu ──
+    function isMenuOpen() {
+        return Boolean(hamburger) && hamburger.getAttribute('aria-expanded') === 'true';
+    }
+
+    function setMenuOpen(open) {
+        if (!hamburger || !menu || open === isMenuOpen()) return;
+        menu.classList.toggle('active', open);
+        hamburger.classList.toggle('active', open);
+        hamburger.setAttribute('aria-expanded', String(open));
+        emit('menuchange', { open });
+    }
+
+    function handleMenuKeydown(event) {
+        const index = links.indexOf(document.activeElement);
+
+        if (event.key === 'Escape' && isMenuOpen()) {
+            event.preventDefault();
+            setMenuOpen(false);
+            hamburger.focus();
+            return;
+        }
+        if (index === -1) return;
+
+        const moves = {
+            ArrowDown: index + 1,
+            ArrowRight: index + 1,
+            ArrowUp: index - 1,
+            ArrowLeft: index - 1,
+            Home: 0,
+            End: links.length - 1
+        };
+        if (!(event.key in moves)) return;
+        event.preventDefault();
+        links[(moves[event.key] + links.length) % links.length].focus();
+    }
+
+    if (navbar && hamburger && menu) {
+        hamburger.addEventListener('click', () => {
+            const open = !isMenuOpen();
+            setMenuOpen(open);
+            if (open && links.length > 0) links[0].focus();
+        });
+
+        navbar.addEventListener('keydown', handleMenuKeydown);
+
+        // Focus moving somewhere else on the page closes the menu
+        navbar.addEventListener('focusout', (event) => {
+            if (isMenuOpen() && event.relatedTarget && !navbar.contains(event.relatedTarget)) {
+                setMenuOpen(false);
+            }
+        });
+        document.addEventListener('click', (event) => {
+            if (isMenuOpen() && !navbar.contains(event.target)) setMenuOpen(false);
+        }, { passive: true });
+
+        links.forEach(link => link.addEventListener('click', () => setMenuOpen(false), { passive: true }));
+    }
+
+    return {
+        activeSection: () => active,
+        isMenuOpen,
+        setMenuOpen,
+        addEventListener: events.addEventListener.bind(events),
+        removeEventListener: events.removeEventListener.bind(events)
+    };
+}
+
+const navController = createNavController({
+    navbar: document.querySelector('.navbar'),
+    menu: document.querySelector('.nav-menu'),
+    hamburger: document.querySelector('.hamburger'),
+    sections: [...document.querySelectorAll('main section')]
+});
@@ -1,105 +1,863 @@
-// Smooth scroll for navigation links
+// Visitors who ask their system for reduced motion get instant scrolling, no
+// fade-ins (see styles.css) and counters that show their final value at once
+const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+function prefersReducedMotion() {
+    return reducedMotionQuery.matches;
+}
+
+function scrollBehavior(behavior) {
+    return prefersReducedMotion() ? 'auto' : behavior;
+}
+
+// Smooth scroll for navigation links. The section also goes into the URL
+// (see "Deep links" below) so it can be shared and back/forward work.
 document.querySelectorAll('a[href^="#"]').forEach(anchor => {
     anchor.addEventListener('click', function (e) {
-        e.preventDefault();
-        const target = document.querySelector(this.getAttribute('href'));
+        const section = this.getAttribute('href').slice(1);
+        const target = section ? document.getElementById(section) : null;
         if (target) {
-            target.scrollIntoView({
-                behavior: 'smooth',
-                block: 'start'
-            });
+            e.preventDefault();
+            scrollToSection(target);
+            focusSection(target);
+            navigateTo(sectionHash(section));
         }
     });
 });
 
-// Navbar background on scroll
-window.addEventListener('scroll', () => {
-    const navbar = document.querySelector('.navbar');
-    if (window.scrollY > 50) {
-        navbar.style.boxShadow = '0 4px 20px rgba(0,0,0,0.1)';
+function scrollToSection(target, behavior = 'smooth') {
+    scrollingTo = target.id;
+    target.scrollIntoView({
+        behavior: scrollBehavior(behavior),
+        block: 'start'
+    });
+}
+
+// Keyboard and screen reader users continue from the section they jumped to,
+// not from the link they used
+function focusSection(target) {
+    if (!target.hasAttribute('tabindex')) target.setAttribute('tabindex', '-1');
+    target.focus({ preventScroll: true });
+}
+
+// Intersection Observer for fade-in animations. Any visible pixel counts, so
+// sections taller than the viewport are revealed too.
+const observerOptions = {
+    threshold: 0,
+    rootMargin: '0px 0px -50px 0px'
+};
+
+const observer = new IntersectionObserver((entries) => {
+    entries.forEach(entry => {
+        if (entry.isIntersecting) {
+            entry.target.classList.add('visible');
+            observer.unobserve(entry.target);
+        }
+    });
+}, observerOptions);
+
+// Hidden by the .reveal class until .visible is added — only when motion is
+// allowed, so content never depends on the observer firing (see styles.css)
+function observeReveal(el) {
+    el.classList.add('reveal');
+    observer.observe(el);
+}
+
+// Observe all sections and cards (project cards are observed as they're rendered)
+document.querySelectorAll('section, .project-card, .expertise-card, .achievement-card').forEach(observeReveal);
+
+// ── Portfolio config ─────────────────────────────────────────────────────────
+// portfolio.config.json is shared with the collector (see
+// scripts/lib/portfolio-config.js): the GitHub owner and the contributions
+// weights. Until it loads, or if it can't, links fall back to the URLs the
+// collector stores in projects.json.
+let portfolioConfig = null;
+
+async function loadPortfolioConfig() {
+    try {
+        const response = await fetch('portfolio.config.json');
+        if (response.ok) {
+            portfolioConfig = await response.json();
+        }
+    } catch (error) {
+        console.error('❌ Failed to load portfolio config:', error);
+    }
+    return portfolioConfig;
+}
+
+function getGitHubOwner() {
+    return portfolioConfig ? portfolioConfig.owner : null;
+}
+
+// index.html names the owner in its profile links and contributions chart,
+// which is what visitors without JavaScript get; the config's owner wins
+function applyOwnerLinks() {
+    const owner = getGitHubOwner();
+    if (!owner) return;
+    const login = encodeURIComponent(owner);
+    document.querySelectorAll('[data-github-profile]').forEach(link => {
+        link.href = `https://github.com/${login}`;
+    });
+    document.querySelectorAll('[data-github-chart]').forEach(img => {
+        const src = `https://ghchart.rshah.org/${img.dataset.githubChart}/${login}`;
+        if (img.src !== src) img.src = src;
+    });
+}
+
+// The owner's repos are keyed by name, other accounts' repos "login/name"
+function githubRepoUrl(repo) {
+    if (repo.includes('/')) return `https://github.com/${repo}`;
+    return getGitHubOwner() ? `https://github.com/${getGitHubOwner()}/${repo}` : null;
+}
+
+// ── Project grid ─────────────────────────────────────────────────────────────
+// Cards are rendered from data/projects.json. Hand-written fields in the
+// manifest win; anything missing falls back to the `github` metadata the
+// collector refreshes daily, so a new public repo shows up without editing HTML.
+
+const BADGE_LABELS = {
+    ai: 'AI',
+    vibe: 'Vibe',
+    lib: 'Library',
+    oss: 'OSS',
+    enterprise: 'Enterprise'
+};
+
+async function loadProjectsManifest() {
+    try {
+        const response = await fetch('data/projects.json');
+        if (response.ok) {
+            return await response.json();
+        }
+    } catch (error) {
+        console.error('❌ Failed to load projects manifest:', error);
+    }
+    return null;
+}
+
+// "Rate-Limiter-algorithm" → "Rate Limiter algorithm" ("acme/widget" → "widget")
+function humanizeRepoName(name) {
+    return name.split('/').pop().replace(/[-_]+/g, ' ');
+}
+
+// Resolve a manifest entry into everything a card needs
+function resolveProject(project) {
+    const github = project.github || {};
+    const demo = project.demo || (github.homepage ? { url: github.homepage, label: '🚀 Live Demo' } : null);
+
+    return {
+        repo: project.repo || null,
+        enterprise: Boolean(project.enterprise),
+        title: project.title || humanizeRepoName(project.repo || project.id),
+        icon: project.icon || '📦',
+        category: project.category || (project.enterprise ? 'enterprise' : 'tool'),
+        badges: project.badges || (project.enterprise ? ['enterprise'] : ['oss']),
+        description: project.description || github.description || '',
+        tech: project.tech || [github.language, ...(github.topics || [])].filter(Boolean).slice(0, 4),
+        url: github.url || (project.repo ? githubRepoUrl(project.repo) : null),
+        demo,
+        stars: typeof github.stars === 'number' ? github.stars : null,
+        pushedAt: github.pushedAt || null
+    };
+}
+
+// Icon and badges, shared by the card and the detail drawer
+function renderProjectHeader(project) {
+    return el('div', { class: 'project-header' }, [
+        el('div', { class: 'project-icon' }, [project.icon]),
+        el('div', { class: 'project-badges' }, project.badges.map(badge =>
+            el('span', { class: ['project-badge', badge] }, [BADGE_LABELS[badge] || badge])))
+    ]);
+}
+
+function renderProjectTech(project) {
+    return el('div', { class: 'project-tech' }, project.tech.map(tech => el('span', {}, [tech])));
+}
+
+function renderProjectLinks(project, label) {
+    return [
+        el('a', { href: project.url, target: '_blank', class: 'project-link' }, [label]),
+        project.demo && el('a', { href: project.demo.url, target: '_blank', class: 'project-link demo-link' }, [project.demo.label])
+    ];
+}
+
+function createProjectCard(project) {
+    const footer = project.enterprise
+        ? el('span', { class: 'enterprise-notice' }, ['🏢 Enterprise Project - Demo Available'])
+        : [
+            renderProjectLinks(project, 'View Project →'),
+            el('button', { type: 'button', class: 'project-link project-details-btn', 'aria-haspopup': 'dialog' }, ['Details'])
+        ];
+
+    const card = el('div', {
+        class: ['project-card', project.enterprise && 'enterprise-repo'],
+        dataset: { category: project.category, repo: project.repo },
+        title: project.enterprise ? 'Enterprise project - Demo available on request' : null
+    }, [
+        renderProjectHeader(project),
+        el('h3', {}, [project.title]),
+        el('p', {}, [project.description]),
+        renderProjectTech(project),
+        el('div', { class: 'project-footer' }, footer)
+    ]);
+
+    // Public repos open the detail drawer from anywhere on the card except
+    // its own links
+    if (project.repo) {
+        card.addEventListener('click', (event) => {
+            if (event.target.closest('a')) return;
+            openProjectDrawer(project.repo);
+        });
+    }
+    return card;
+}
+
+// Render every visible manifest entry into .projects-grid. Returns the number
+// of public repositories shown.
+function renderProjectGrid(manifest) {
+    const grid = document.querySelector('.projects-grid');
+    if (!grid || !manifest) return 0;
+
+    const projects = manifest.projects.filter(project => !project.hidden).map(resolveProject);
+    setChildren(grid, []);
+    projectEntries = projects.map((project, index) => {
+        const card = createProjectCard(project);
+        grid.appendChild(card);
+        observeReveal(card);
+        return {
+            project,
+            card,
+            index,
+            tech: new Set(project.tech),
+            searchText: [
+                project.title,
+                project.description,
+                project.repo || '',
+                ...project.tech,
+                ...project.badges.map(badge => BADGE_LABELS[badge] || badge)
+            ].join(' ').toLowerCase()
+        };
+    });
+
+    const repoCount = projects.filter(project => project.repo).length;
+    const repoCountEl = document.getElementById('total-repos');
+    if (repoCountEl) repoCountEl.textContent = repoCount;
+
+    console.log(`🗂️ Rendered ${projects.length} project cards (${repoCount} repositories)`);
+    return repoCount;
+}
+
+// ── Project filtering ────────────────────────────────────────────────────────
+// Categories are OR-ed (AI or Library), tech facets are AND-ed (TypeScript and
+// React), and the groups, plus the search box, are combined with AND — so
+// "AI + TypeScript" narrows to AI projects written in TypeScript. Each chip
+// shows how many projects it would match on top of the other active filters.
+
+// Only tech shared by at least this many projects gets its own chip; the rest
+// is still reachable through search
+const TECH_FACET_MIN_PROJECTS = 2;
+
+const projectFilters = {
+    categories: new Set(),
+    tech: new Set(),
+    query: '',
+    sort: 'featured'
+};
+
+// One entry per rendered card: { project, card, index, tech, searchText }
+let projectEntries = [];
+
+// Traffic totals come from summary.json; projects without data sort last
+function trafficTotal(entry, key) {
+    const repos = historicalTrafficData && historicalTrafficData.repositories;
+    const repoData = repos && entry.project.repo ? repos[entry.project.repo] : null;
+    return repoData ? repoData[key] || 0 : -1;
+}
+
+const PROJECT_SORTS = {
+    featured: null, // manifest order
+    views:  entry => trafficTotal(entry, 'totalViews'),
+    clones: entry => trafficTotal(entry, 'totalClones'),
+    stars:  entry => entry.project.stars === null ? -1 : entry.project.stars,
+    recent: entry => entry.project.pushedAt ? Date.parse(entry.project.pushedAt) : -1
+};
+
+function projectMatches(entry, filters) {
+    if (filters.categories.size > 0 && !filters.categories.has(entry.project.category)) {
+        return false;
+    }
+    for (const tech of filters.tech) {
+        if (!entry.tech.has(tech)) return false;
+    }
+    const terms = filters.query.toLowerCase().split(/\s+/).filter(Boolean);
+    return terms.every(term => entry.searchText.includes(term));
+}
+
+// How many projects would match if `value` were selected in `group`
+function facetCount(group, value) {
+    const filters = { ...projectFilters, tech: new Set(projectFilters.tech) };
+    if (group === 'categories') {
+        filters.categories = new Set(value === 'all' ? [] : [value]);
     } else {
-        navbar.style.boxShadow = '0 1px 3px rgba(0,0,0,0.08)';
+        filters.tech.add(value);
     }
-});
+    return projectEntries.filter(entry => projectMatches(entry, filters)).length;
+}
+
+function hasActiveProjectFilters() {
+    return projectFilters.categories.size > 0 || projectFilters.tech.size > 0 || projectFilters.query.trim() !== '';
+}
+
+function setChipState(chip, active, count) {
+    chip.classList.toggle('active', active);
+    chip.setAttribute('aria-pressed', String(active));
+    chip.disabled = !active && count === 0;
+
+    let countEl = chip.querySelector('.filter-count');
+    if (!countEl) {
+        countEl = chip.appendChild(el('span', { class: 'filter-count' }));
+    }
+    countEl.textContent = count;
+}
 
-// Mobile menu toggle
-const hamburger = document.querySelector('.hamburger');
-const navMenu = document.querySelector('.nav-menu');
+function updateFilterControls(shownCount) {
+    document.querySelectorAll('.projects-filter .filter-btn[data-filter]').forEach(btn => {
+        const value = btn.dataset.filter;
+        const active = value === 'all' ? projectFilters.categories.size === 0 : projectFilters.categories.has(value);
+        setChipState(btn, active, facetCount('categories', value));
+    });
 
-if (hamburger) {
-    hamburger.addEventListener('click', () => {
-        navMenu.classList.toggle('active');
-        hamburger.classList.toggle('active');
+    document.querySelectorAll('.tech-filter .filter-btn[data-tech]').forEach(btn => {
+        const value = btn.dataset.tech;
+        setChipState(btn, projectFilters.tech.has(value), facetCount('tech', value));
     });
+
+    const results = document.getElementById('projects-results');
+    if (results) {
+        results.querySelector('.projects-results-text').textContent =
+            `Showing ${shownCount} of ${projectEntries.length} projects`;
+        results.querySelector('.projects-clear').hidden = !hasActiveProjectFilters();
+    }
+
+    const empty = document.getElementById('projects-empty');
+    if (empty) empty.hidden = shownCount > 0;
 }
 
-// Close mobile menu when clicking a link
-document.querySelectorAll('.nav-menu a').forEach(link => {
-    link.addEventListener('click', () => {
-        navMenu.classList.remove('active');
-        hamburger.classList.remove('active');
+// Show/hide and reorder cards for the current filters and sort
+function applyProjectFilters() {
+    const grid = document.querySelector('.projects-grid');
+    if (!grid) return;
+
+    const sortValue = PROJECT_SORTS[projectFilters.sort];
+    const ordered = sortValue
+        ? [...projectEntries].sort((a, b) => (sortValue(b) - sortValue(a)) || (a.index - b.index))
+        : projectEntries;
+
+    let shownCount = 0;
+    ordered.forEach(entry => {
+        const matches = projectMatches(entry, projectFilters);
+        entry.card.hidden = !matches;
+        if (matches) shownCount++;
+        grid.appendChild(entry.card);
     });
-});
 
-// Project Filter Functionality
-const filterBtns = document.querySelectorAll('.filter-btn');
-const projectCards = document.querySelectorAll('.project-card');
+    updateFilterControls(shownCount);
+}
 
-filterBtns.forEach(btn => {
-    btn.addEventListener('click', () => {
-        // Update active button
-        filterBtns.forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
-        
-        const filter = btn.dataset.filter;
-        
-        projectCards.forEach(card => {
-            if (filter === 'all' || card.dataset.category === filter) {
-                card.style.display = 'flex';
-                card.style.animation = 'fadeIn 0.4s ease forwards';
+// Chips for tech used by several projects, most common first
+function renderTechFacets() {
+    const container = document.querySelector('.tech-filter');
+    if (!container) return;
+
+    const usage = {};
+    projectEntries.forEach(entry => entry.tech.forEach(tech => { usage[tech] = (usage[tech] || 0) + 1; }));
+    const facets = Object.keys(usage)
+        .filter(tech => usage[tech] >= TECH_FACET_MIN_PROJECTS || projectFilters.tech.has(tech))
+        .sort((a, b) => (usage[b] - usage[a]) || a.localeCompare(b));
+
+    setChildren(container, facets.map(tech => el('button', {
+        type: 'button',
+        class: 'filter-btn tech-chip',
+        dataset: { tech },
+        on: {
+            click: () => {
+                if (projectFilters.tech.has(tech)) {
+                    projectFilters.tech.delete(tech);
+                } else {
+                    projectFilters.tech.add(tech);
+                }
+                commitProjectFilters();
+            }
+        }
+    }, [tech])));
+}
+
+function clearProjectFilters() {
+    projectFilters.categories.clear();
+    projectFilters.tech.clear();
+    projectFilters.query = '';
+    const search = document.getElementById('project-search');
+    if (search) search.value = '';
+    commitProjectFilters();
+}
+
+function initializeProjectFilters() {
+    document.querySelectorAll('.projects-filter .filter-btn[data-filter]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const value = btn.dataset.filter;
+            if (value === 'all') {
+                projectFilters.categories.clear();
+            } else if (projectFilters.categories.has(value)) {
+                projectFilters.categories.delete(value);
             } else {
-                card.style.display = 'none';
+                projectFilters.categories.add(value);
             }
+            commitProjectFilters();
         });
     });
+
+    const search = document.getElementById('project-search');
+    if (search) {
+        // Replace rather than push, so each keystroke doesn't become a history entry
+        search.addEventListener('input', () => {
+            projectFilters.query = search.value;
+            commitProjectFilters({ replace: true });
+        });
+    }
+
+    const sort = document.getElementById('project-sort');
+    if (sort) {
+        sort.addEventListener('change', () => {
+            projectFilters.sort = sort.value;
+            commitProjectFilters();
+        });
+    }
+
+    document.querySelectorAll('.projects-clear').forEach(btn => btn.addEventListener('click', clearProjectFilters));
+
+    renderTechFacets();
+    applyProjectFilters();
+}
+
+// ── Deep links ───────────────────────────────────────────────────────────────
+// The URL hash carries the current section and, for #projects, the filter
+// state as a query string:
+//
+//   #projects?filter=ai,lib&tech=TypeScript&q=resume&sort=views
+//
+// Chip clicks, sort changes and section links push a history entry; typing in
+// the search box and scrolling to another section replace the current one.
+// Back/forward and pasted links restore whatever the URL describes.
+
+// Section the URL currently points at, to tell section changes apart from
+// filter-only changes on popstate
+//
+// #projects?project=<repo> additionally opens that project's detail drawer.
+let currentSection = '';
+
+// A hand-edited hash like #% can't be decoded; it points at no section
+function parseAppHash(hash) {
+    const [section, query = ''] = hash.replace(/^#/, '').split('?');
+    let decoded = '';
+    try {
+        decoded = decodeURIComponent(section);
+    } catch (error) {
+        // URIError: left as no section
+    }
+    return { section: decoded, params: new URLSearchParams(query) };
+}
+
+function projectFiltersToParams() {
+    const params = new URLSearchParams();
+    if (projectFilters.categories.size > 0) params.set('filter', [...projectFilters.categories].join(','));
+    if (projectFilters.tech.size > 0) params.set('tech', [...projectFilters.tech].join(','));
+    if (projectFilters.query.trim()) params.set('q', projectFilters.query.trim());
+    if (projectFilters.sort !== 'featured') params.set('sort', projectFilters.sort);
+    if (openDrawerRepo) params.set('project', openDrawerRepo);
+    return params;
+}
+
+function buildProjectsHash() {
+    // Commas are safe in a fragment; keep them readable in shared links
+    const query = projectFiltersToParams().toString().replace(/%2C/gi, ',');
+    return query ? `#projects?${query}` : '#projects';
+}
+
+// Load filter state from URL params and reflect it in the search/sort inputs
+function setProjectFiltersFromParams(params) {
+    const list = name => (params.get(name) || '').split(',').filter(Boolean);
+    const sort = params.get('sort');
+
+    projectFilters.categories = new Set(list('filter').filter(value => value !== 'all'));
+    projectFilters.tech = new Set(list('tech'));
+    projectFilters.query = params.get('q') || '';
+    projectFilters.sort = Object.prototype.hasOwnProperty.call(PROJECT_SORTS, sort) ? sort : 'featured';
+
+    const search = document.getElementById('project-search');
+    if (search) search.value = projectFilters.query;
+    const sortSelect = document.getElementById('project-sort');
+    if (sortSelect) sortSelect.value = projectFilters.sort;
+}
+
+// An empty hash is the top of the page: the URL loses its fragment
+function navigateTo(hash, { replace = false } = {}) {
+    currentSection = parseAppHash(hash).section;
+    if (hash === location.hash) return;
+    history[replace ? 'replaceState' : 'pushState']({ section: currentSection }, '', hash || location.pathname + location.search);
+}
+
+function sectionHash(section) {
+    if (section === 'projects') return buildProjectsHash();
+    return section ? `#${section}` : '';
+}
+
+// Where a link, Back/forward or a pasted URL is scrolling the page to. The
+// sections passed on the way there aren't where the visitor is going, so
+// the scroll spy is only followed again once that one is on screen — or as
+// soon as the visitor scrolls themselves. A hash naming no section on the
+// page, or one parseAppHash couldn't decode, links nowhere. This runs at the
+// top level, where a throw would stop the rest of the file from loading.
+const linkedSection = parseAppHash(location.hash).section;
+let scrollingTo = linkedSection && document.getElementById(linkedSection) ? linkedSection : null;
+
+['wheel', 'touchstart', 'keydown'].forEach(type => {
+    window.addEventListener(type, () => { scrollingTo = null; }, { passive: true });
 });
 
-// Intersection Observer for fade-in animations
-const observerOptions = {
-    threshold: 0.1,
-    rootMargin: '0px 0px -50px 0px'
-};
+// The URL follows the section on screen (see nav.js)
+navController.addEventListener('sectionchange', ({ detail }) => {
+    if (scrollingTo !== null) {
+        if (detail.section === scrollingTo) scrollingTo = null;
+        return;
+    }
+    if (detail.section !== currentSection) {
+        navigateTo(sectionHash(detail.section), { replace: true });
+    }
+});
 
-const observer = new IntersectionObserver((entries) => {
-    entries.forEach(entry => {
-        if (entry.isIntersecting) {
-            entry.target.classList.add('visible');
-            entry.target.style.opacity = '1';
-            entry.target.style.transform = 'translateY(0)';
+// Re-apply filters after a user change and record them in the URL
+function commitProjectFilters({ replace = false } = {}) {
+    applyProjectFilters();
+    navigateTo(buildProjectsHash(), { replace });
+}
+
+// Bring the page in line with the URL. Only scrolls when asked to, so
+// stepping back through filter changes doesn't yank the page around.
+function restoreFromUrl({ scroll, behavior = 'smooth' }) {
+    const { section, params } = parseAppHash(location.hash);
+    currentSection = section;
+
+    if (section === 'projects') {
+        setProjectFiltersFromParams(params);
+        // Tech from the URL may not have a chip yet
+        renderTechFacets();
+        applyProjectFilters();
+    }
+
+    const project = section === 'projects' ? params.get('project') : null;
+    if (project) {
+        openProjectDrawer(project, { updateUrl: false });
+    } else if (openDrawerRepo) {
+        closeProjectDrawer({ updateUrl: false });
+    }
+
+    if (!scroll) return;
+    const target = section ? document.getElementById(section) : null;
+    if (target) {
+        scrollToSection(target, behavior);
+    } else if (!section) {
+        scrollingTo = '';
+        window.scrollTo({ top: 0, behavior: scrollBehavior(behavior) });
+    }
+}
+
+window.addEventListener('popstate', () => {
+    const { section } = parseAppHash(location.hash);
+    restoreFromUrl({ scroll: section !== currentSection });
+});
+
+// ── Project detail drawer ────────────────────────────────────────────────────
+// A modal dialog with everything known about one public repo: description,
+// tech, traffic chart, PR/commit counts and the README excerpt the collector
+// snapshots into data/readmes/. Focus is trapped inside while it's open and
+// returned to whatever opened it on close.
+
+let openDrawerRepo = null;
+let drawerReturnFocus = null;
+const readmeExcerpts = {};
+
+async function loadReadmeExcerpt(repo) {
+    if (repo in readmeExcerpts) return readmeExcerpts[repo];
+    let excerpt = null;
+    try {
+        // Other accounts' repos ("login/name") are snapshotted in a folder per account
+        const response = await fetch(`data/readmes/${repo.split('/').map(encodeURIComponent).join('/')}.md`);
+        if (response.ok) excerpt = await response.text();
+    } catch (error) {
+        console.error(`❌ Failed to load README excerpt for ${repo}:`, error);
+    }
+    readmeExcerpts[repo] = excerpt;
+    return excerpt;
+}
+
+// Inline Markdown: `code`, **bold** and absolute links, as nodes. README text
+// only ever becomes text nodes, so nothing in it can inject markup.
+const INLINE_MARKDOWN = /\*\*([^*]+)\*\*|\[([^\]]+)\]\(([^)]*)\)/g;
+
+function renderInlineMarkdown(text) {
+    return text.split(/(`[^`]+`)/).flatMap(part => {
+        if (/^`[^`]+`$/.test(part)) {
+            return [el('code', {}, [part.slice(1, -1)])];
         }
+        const nodes = [];
+        let last = 0;
+        for (const match of part.matchAll(INLINE_MARKDOWN)) {
+            nodes.push(part.slice(last, match.index));
+            const [, bold, label, url] = match;
+            if (bold !== undefined) {
+                nodes.push(el('strong', {}, renderInlineMarkdown(bold)));
+            } else if (/^https?:\/\/[^\s)]+$/.test(url)) {
+                nodes.push(el('a', { href: url, target: '_blank', rel: 'noopener' }, renderInlineMarkdown(label)));
+            } else {
+                // Relative links point into the repo, which isn't on this site
+                nodes.push(...renderInlineMarkdown(label));
+            }
+            last = match.index + match[0].length;
+        }
+        nodes.push(part.slice(last));
+        return nodes.filter(node => node !== '');
     });
-}, observerOptions);
+}
 
-// Observe all sections and cards
-document.querySelectorAll('section, .project-card, .expertise-card, .achievement-card').forEach(el => {
-    el.style.opacity = '0';
-    el.style.transform = 'translateY(20px)';
-    el.style.transition = 'opacity 0.6s ease, transform 0.6s ease';
-    observer.observe(el);
-});
+// Block-level Markdown subset: headings, bullet/numbered lists, quotes, paragraphs
+function renderMarkdownExcerpt(markdown) {
+    return markdown.trim().split(/\n\s*\n/).map(block => {
+        const lines = block.split('\n');
+        const heading = block.match(/^(#{1,6})\s+(.*)$/);
+        if (heading && lines.length === 1) {
+            // Demoted so README headings sit below the drawer's own
+            const level = Math.min(heading[1].length + 3, 6);
+            return el(`h${level}`, {}, renderInlineMarkdown(heading[2]));
+        }
+        if (lines.every(line => /^\s*[-*+]\s+/.test(line))) {
+            return el('ul', {}, lines.map(line => el('li', {}, renderInlineMarkdown(line.replace(/^\s*[-*+]\s+/, '')))));
+        }
+        if (lines.every(line => /^\s*\d+[.)]\s+/.test(line))) {
+            return el('ol', {}, lines.map(line => el('li', {}, renderInlineMarkdown(line.replace(/^\s*\d+[.)]\s+/, '')))));
+        }
+        if (lines.every(line => /^>/.test(line))) {
+            return el('blockquote', {}, renderInlineMarkdown(lines.map(line => line.replace(/^>\s?/, '')).join(' ')));
+        }
+        return el('p', {}, renderInlineMarkdown(lines.join(' ')));
+    });
+}
+
+function drawerPlaceholder(text) {
+    return el('p', { class: 'drawer-placeholder' }, [text]);
+}
+
+function renderDrawerStats(repoData, project) {
+    const tile = (label, value, detail) => el('div', { class: 'drawer-stat' }, [
+        el('span', { class: 'drawer-stat-value' }, [typeof value === 'number' ? value.toLocaleString() : value]),
+        el('span', { class: 'drawer-stat-label' }, [label]),
+        detail && el('span', { class: 'drawer-stat-detail' }, [detail])
+    ]);
+
+    const prs = repoData && repoData.prs;
+    const commits = repoData && repoData.commits;
+    return [
+        tile('Clones (all-time)', repoData ? repoData.totalClones : '—'),
+        tile('Views (all-time)', repoData ? repoData.totalViews : '—'),
+        tile('Stars', project.stars === null ? '—' : project.stars),
+        tile('PRs authored', repoData ? repoData.totalPRs : '—', prs ? `${prs.merged} merged · ${prs.reviewed} reviewed` : ''),
+        tile('Commits authored', repoData ? repoData.totalCommits : '—', commits ? `of ${commits.total.toLocaleString()} total` : '')
+    ];
+}
+
+function renderProjectDrawer(entry) {
+    const { project } = entry;
+    const body = document.querySelector('#project-drawer .project-drawer-body');
+    const repoData = historicalTrafficData && historicalTrafficData.repositories[project.repo];
+    const notRecorded = historicalTrafficData && !repoData;
+
+    const chart = el('div', { class: 'traffic-chart drawer-chart' }, [
+        drawerPlaceholder(notRecorded ? 'No traffic recorded yet.' : 'Loading traffic…')
+    ]);
+    const popular = el('div', { class: 'popular-content drawer-popular' }, [
+        drawerPlaceholder(notRecorded ? 'No referrer data recorded yet.' : 'Loading traffic…')
+    ]);
+    const readme = el('div', { class: 'project-readme' }, [drawerPlaceholder('Loading README…')]);
+
+    setChildren(body, [
+        renderProjectHeader(project),
+        el('h2', { id: 'project-drawer-title' }, [project.title]),
+        el('p', { class: 'project-drawer-description' }, [project.description]),
+        renderProjectTech(project),
+        el('div', { class: 'project-drawer-links' }, renderProjectLinks(project, 'View on GitHub →')),
+        el('div', { class: 'drawer-stats' }, renderDrawerStats(repoData, project)),
+        el('h3', { class: 'drawer-section-title' }, ['Traffic']),
+        chart,
+        el('h3', { class: 'drawer-section-title' }, ['Where traffic comes from']),
+        popular,
+        el('h3', { class: 'drawer-section-title' }, ['README']),
+        readme
+    ]);
+
+    // Daily history and referrers live in the repo's shard
+    if (repoData) {
+        loadRepoShard(project.repo).then(shard => {
+            if (openDrawerRepo !== project.repo) return;
+            if (!shard) {
+                setChildren(chart, drawerPlaceholder('Traffic history unavailable.'));
+                setChildren(popular, drawerPlaceholder('Referrer data unavailable.'));
+                return;
+            }
+            if (shard.history.length > 0) {
+                renderTrafficChart(chart, [shard.history], shard.events || []);
+            } else {
+                setChildren(chart, drawerPlaceholder('No traffic recorded yet.'));
+            }
+            renderPopularContent(popular, (kind, range) => summarizePopular([shard.popular && shard.popular[kind]], range));
+        });
+    }
+
+    loadReadmeExcerpt(project.repo).then(excerpt => {
+        // The drawer may have moved on to another project meanwhile
+        if (openDrawerRepo !== project.repo) return;
+        setChildren(readme, excerpt
+            ? [
+                renderMarkdownExcerpt(excerpt),
+                el('a', { href: `${project.url}#readme`, target: '_blank', class: 'project-link' }, ['Read the full README →'])
+            ]
+            : drawerPlaceholder('No README snapshot yet.'));
+    });
+}
+
+function getDrawerFocusable() {
+    const panel = document.querySelector('#project-drawer .project-drawer-panel');
+    return [...panel.querySelectorAll('a[href], button:not([disabled]), input, select, [tabindex]:not([tabindex="-1"])')];
+}
+
+function handleDrawerKeydown(event) {
+    if (!openDrawerRepo) return;
+
+    if (event.key === 'Escape') {
+        event.preventDefault();
+        closeProjectDrawer();
+        return;
+    }
+    if (event.key !== 'Tab') return;
+
+    // Keep Tab / Shift+Tab cycling inside the drawer
+    const focusable = getDrawerFocusable();
+    const panel = document.querySelector('#project-drawer .project-drawer-panel');
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const outside = !panel.contains(document.activeElement);
+
+    if (event.shiftKey && (outside || document.activeElement === first)) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && (outside || document.activeElement === last)) {
+        event.preventDefault();
+        first.focus();
+    }
+}
+
+// Returns false if `repo` isn't a rendered public project
+function openProjectDrawer(repo, { updateUrl = true } = {}) {
+    const entry = projectEntries.find(candidate => candidate.project.repo === repo);
+    const drawer = document.getElementById('project-drawer');
+    if (!entry || !drawer) return false;
+
+    if (!openDrawerRepo) {
+        drawerReturnFocus = document.activeElement;
+    }
+    openDrawerRepo = repo;
+    renderProjectDrawer(entry);
+
+    drawer.hidden = false;
+    document.body.classList.add('drawer-open');
+    drawer.querySelector('.project-drawer-close').focus();
+
+    if (updateUrl) navigateTo(buildProjectsHash());
+    return true;
+}
+
+function closeProjectDrawer({ updateUrl = true } = {}) {
+    const drawer = document.getElementById('project-drawer');
+    if (!drawer || !openDrawerRepo) return;
+
+    const repo = openDrawerRepo;
+    openDrawerRepo = null;
+    drawer.hidden = true;
+    document.body.classList.remove('drawer-open');
+
+    // Back to the opener, or the card itself when the drawer came from a link
+    const entry = projectEntries.find(candidate => candidate.project.repo === repo);
+    const returnTo = drawerReturnFocus && document.body.contains(drawerReturnFocus) && drawerReturnFocus !== document.body
+        ? drawerReturnFocus
+        : entry && entry.card.querySelector('.project-details-btn');
+    if (returnTo) returnTo.focus();
+    drawerReturnFocus = null;
+
+    if (updateUrl) navigateTo(buildProjectsHash());
+}
+
+function initializeProjectDrawer() {
+    const drawer = document.getElementById('project-drawer');
+    if (!drawer) return;
+    drawer.querySelectorAll('[data-drawer-close]').forEach(el => el.addEventListener('click', () => closeProjectDrawer()));
+    document.addEventListener('keydown', handleDrawerKeydown);
+}
 
 // GitHub Stats Integration - Using Historical Data Only
-const GITHUB_USERNAME = 'Maneesh-Relanto';
 
-// All stats are read from traffic-history.json (updated daily by GitHub Actions)
+// All stats are read from data/summary.json, which the collector derives from
+// traffic-history.json daily. Daily history is split into per-repo shards
+// under data/history/ and only fetched when a chart needs it.
 console.log('📊 Loading stats from historical data file...');
 
+// Structural checks on summary.json before anything reads it. The collector
+// validates its source (data/traffic-history.schema.json); this only guards
+// the fields the page relies on, so a truncated or hand-edited file shows
+// "N.A" instead of breaking the page.
+function findTrafficDataProblems(data) {
+    const isCount = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return ['not a JSON object'];
+    if (!data.repositories || typeof data.repositories !== 'object') return ['missing "repositories"'];
+
+    const problems = [];
+    ['totalClones', 'totalViews'].forEach(key => {
+        if (!isCount(data[key])) problems.push(`${key} is not a count`);
+    });
+    for (const [name, repo] of Object.entries(data.repositories)) {
+        if (!repo || typeof repo !== 'object') {
+            problems.push(`${name} is not an object`);
+            continue;
+        }
+        if (!isCount(repo.totalClones) || !isCount(repo.totalViews)) problems.push(`${name} totals are not counts`);
+        if (!repo.shard || typeof repo.shard.file !== 'string' || typeof repo.shard.hash !== 'string') {
+            problems.push(`${name}.shard is malformed`);
+        }
+    }
+    return problems;
+}
+
 // Load historical traffic data
 async function loadHistoricalData() {
     try {
-        const response = await fetch('data/traffic-history.json');
+        // Always revalidated — it's the one file whose URL doesn't change
+        const response = await fetch('data/summary.json', { cache: 'no-cache' });
         if (response.ok) {
+            // The service worker answered from its copy (see sw.js)
+            statsFromCache = response.headers.get('X-Served-From') === 'cache';
             const data = await response.json();
+            const problems = findTrafficDataProblems(data);
+            if (problems.length > 0) {
+                console.error('❌ summary.json failed validation:', problems);
+                return null;
+            }
             console.log('✅ Loaded historical data:', data);
             return data;
         }
@@ -111,6 +869,57 @@ async function loadHistoricalData() {
 
 // Store historical data globally
 let historicalTrafficData = null;
+// Whether those numbers are the service worker's cached copy
+let statsFromCache = false;
+
+// Shards are requested as <file>?v=<content hash>: the URL changes exactly when
+// the data does, so repeat visits are served from the browser cache. Requests
+// are shared, so a sparkline and the drawer never fetch the same shard twice.
+const shardRequests = {};
+
+function loadShard(ref) {
+    if (!ref) return Promise.resolve(null);
+    const url = `data/${ref.file}?v=${encodeURIComponent(ref.hash)}`;
+    if (!shardRequests[url]) {
+        shardRequests[url] = fetch(url)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .catch(error => {
+                console.error(`❌ Failed to load ${ref.file}:`, error);
+                delete shardRequests[url];
+                return null;
+            });
+    }
+    return shardRequests[url];
+}
+
+function loadRepoShard(repo) {
+    const repoData = historicalTrafficData && historicalTrafficData.repositories[repo];
+    return loadShard(repoData && repoData.shard);
+}
+
+function loadCombinedHistory() {
+    return loadShard(historicalTrafficData && historicalTrafficData.combinedHistory);
+}
+
+// Run `callback` once, the first time `el` comes near the viewport
+const lazyCallbacks = new WeakMap();
+const lazyObserver = new IntersectionObserver((entries) => {
+    entries.forEach(entry => {
+        if (!entry.isIntersecting) return;
+        lazyObserver.unobserve(entry.target);
+        const callback = lazyCallbacks.get(entry.target);
+        lazyCallbacks.delete(entry.target);
+        if (callback) callback();
+    });
+}, { rootMargin: '200px 0px' });
+
+function whenVisible(el, callback) {
+    lazyCallbacks.set(el, callback);
+    lazyObserver.observe(el);
+}
 
 // Get repository insights from historical data
 function getRepoInsights(repoName) {
@@ -122,78 +931,490 @@ function getRepoInsights(repoName) {
     const repoData = historicalTrafficData.repositories[repoName];
     console.log(`📊 Loaded stats for ${repoName}: ${repoData.totalClones} clones, ${repoData.totalViews} views`);
     
+    // Rolling-window uniques are computed by the collector; older data files
+    // don't have them yet, so they're simply left out
+    const uniques = repoData.uniques || null;
+    const uniquesFor = (metric) => uniques ? {
+        last14Days: uniques.last14Days[metric],
+        last30Days: uniques.last30Days[metric]
+    } : null;
+
     return {
-        clones: repoData.totalClones > 0 ? { count: repoData.totalClones, uniques: 0 } : null,
-        views: repoData.totalViews > 0 ? { count: repoData.totalViews, uniques: 0 } : null
+        clones: repoData.totalClones > 0 ? { count: repoData.totalClones, uniques: uniquesFor('clones') } : null,
+        views: repoData.totalViews > 0 ? { count: repoData.totalViews, uniques: uniquesFor('views') } : null,
+        historyDays: repoData.historyDays || 0
     };
 }
 
-// Update project card with insights from historical data
-function updateProjectCard(card, insights) {
-    // Remove loading indicator
+// What "unique" means differs per window — explained in every tooltip
+const UNIQUE_WINDOWS = {
+    last14Days: {
+        label: '14d',
+        tooltip: 'Distinct people over the last 14 days, as counted by GitHub. Each person is counted once per repository.'
+    },
+    last30Days: {
+        label: '30d',
+        tooltip: 'Daily unique counts added up over the last 30 days. Someone active on several days is counted once per day, so this overstates distinct people.'
+    }
+};
+const UNIQUE_ACROSS_REPOS_NOTE = ' Summed across repositories: someone who visits several repositories is counted once for each.';
+
+// Render "unique" figures for both windows, e.g. "12 (14d) · 30 (30d) unique"
+function formatUniques(uniques, noun, acrossRepos) {
+    if (!uniques) return [];
+    return Object.entries(UNIQUE_WINDOWS).map(([window, info]) => {
+        const value = (uniques[window] || 0).toLocaleString();
+        const tooltip = `${value} unique ${noun}: ${info.tooltip}${acrossRepos ? UNIQUE_ACROSS_REPOS_NOTE : ''}`;
+        return el('span', { class: 'unique-count', title: tooltip }, [`${value} `, el('small', {}, [info.label])]);
+    });
+}
+
+// ── Traffic trend charts ─────────────────────────────────────────────────────
+// Rendered as inline SVG straight from the per-day history[] in the shards
+// under data/history/ — no charting library needed.
+const CHART_RANGES = { '7d': 7, '30d': 30, '90d': 90, '1y': 365 };
+const SPARKLINE_RANGES = ['30d', '90d'];
+const CHART_METRICS = ['clones', 'views'];
+
+// Charts end at the last collection date, not "today", so the static JSON
+// always renders the same picture no matter when the page is opened.
+function getSeriesEndDate() {
+    const stamp = historicalTrafficData && historicalTrafficData.lastUpdated;
+    return stamp ? stamp.split('T')[0] : new Date().toISOString().split('T')[0];
+}
+
+// Build a gap-free series of { date, value } for the last `days` days.
+// Days missing from history[] (not yet tracked) count as zero.
+function buildDailySeries(histories, metric, days, endDate) {
+    const valuesByDate = {};
+    histories.forEach(history => {
+        (history || []).forEach(entry => {
+            valuesByDate[entry.date] = (valuesByDate[entry.date] || 0) + (entry[metric] || 0);
+        });
+    });
+
+    const series = [];
+    const end = new Date(`${endDate}T00:00:00Z`);
+    for (let offset = days - 1; offset >= 0; offset--) {
+        const day = new Date(end);
+        day.setUTCDate(end.getUTCDate() - offset);
+        const date = day.toISOString().split('T')[0];
+        series.push({ date, value: valuesByDate[date] || 0 });
+    }
+    return series;
+}
+
+// Map a series onto "x,y" points inside a width × height box (y grows downward)
+function seriesToPoints(series, width, height, maxValue, padding) {
+    const step = series.length > 1 ? (width - padding * 2) / (series.length - 1) : 0;
+    const scale = maxValue > 0 ? (height - padding * 2) / maxValue : 0;
+    return series.map((point, i) => ({
+        x: padding + i * step,
+        y: height - padding - point.value * scale,
+        point
+    }));
+}
+
+function formatPoints(points) {
+    return points.map(p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' ');
+}
+
+// Small inline sparkline with one line per metric
+function renderSparkline(seriesByMetric) {
+    const width = 120;
+    const height = 32;
+    const padding = 2;
+    const maxValue = Math.max(0, ...Object.values(seriesByMetric).flat().map(p => p.value));
+
+    const svg = svgEl('svg', {
+        class: 'sparkline',
+        viewBox: `0 0 ${width} ${height}`,
+        preserveAspectRatio: 'none',
+        role: 'img'
+    });
+
+    Object.entries(seriesByMetric).forEach(([metric, series]) => {
+        const points = seriesToPoints(series, width, height, maxValue, padding);
+        svg.appendChild(svgEl('polyline', {
+            class: `sparkline-line ${metric}`,
+            points: formatPoints(points)
+        }));
+    });
+
+    const summary = Object.entries(seriesByMetric)
+        .map(([metric, series]) => `${series.reduce((sum, p) => sum + p.value, 0).toLocaleString()} ${metric}`)
+        .join(', ');
+    svg.appendChild(svgEl('title', {}, [summary]));
+    svg.setAttribute('aria-label', summary);
+
+    return svg;
+}
+
+// Attach a 30d/90d sparkline row to a project card
+function renderCardSparkline(container, history) {
+    let wrapper = container.querySelector('.project-sparkline');
+    if (!wrapper) {
+        wrapper = container.appendChild(el('div', { class: 'project-sparkline' }));
+    }
+
+    const draw = (range) => {
+        const days = CHART_RANGES[range];
+        const endDate = getSeriesEndDate();
+        const seriesByMetric = {};
+        CHART_METRICS.forEach(metric => {
+            seriesByMetric[metric] = buildDailySeries([history], metric, days, endDate);
+        });
+
+        setChildren(wrapper, [
+            renderSparkline(seriesByMetric),
+            el('div', { class: 'sparkline-ranges' }, SPARKLINE_RANGES.map(option => el('button', {
+                type: 'button',
+                class: ['chart-toggle', option === range && 'active'],
+                'aria-pressed': String(option === range),
+                title: `Clones and views over the last ${CHART_RANGES[option]} days`,
+                on: { click: () => draw(option) }
+            }, [option])))
+        ]);
+    };
+
+    draw(SPARKLINE_RANGES[0]);
+}
+
+// Spike/milestone wording (without the repo name) for chart tooltips and
+// the highlights strip. Events are detected by the collector — see
+// scripts/lib/anomalies.js.
+function formatTrafficEvent(event) {
+    if (event.type === 'milestone') {
+        return `passed ${event.value.toLocaleString()} ${event.metric}`;
+    }
+    const usual = event.baseline < 1
+        ? 'usually under 1/day'
+        : `~${Math.round(event.value / event.baseline)}× the usual ${event.baseline}/day`;
+    return `had ${event.value.toLocaleString()} ${event.metric} in a day (${usual})`;
+}
+
+// Larger aggregate chart with range and metric toggles. `events` are drawn
+// as markers on their day and listed in that day's tooltip.
+function renderTrafficChart(container, histories, events = []) {
+    const state = { range: '30d', metrics: new Set(CHART_METRICS) };
+    const width = 600;
+    const height = 180;
+    const padding = 8;
+
+    const controls = el('div', { class: 'traffic-chart-controls' });
+    const plot = el('div', { class: 'traffic-chart-plot' });
+    const axis = el('div', { class: 'traffic-chart-axis' });
+    setChildren(container, [controls, plot, axis]);
+
+    const draw = () => {
+        const endDate = getSeriesEndDate();
+        const days = CHART_RANGES[state.range];
+        const seriesByMetric = {};
+        state.metrics.forEach(metric => {
+            seriesByMetric[metric] = buildDailySeries(histories, metric, days, endDate);
+        });
+        const maxValue = Math.max(0, ...Object.values(seriesByMetric).flat().map(p => p.value));
+
+        const svg = svgEl('svg', {
+            class: 'traffic-chart-svg',
+            viewBox: `0 0 ${width} ${height}`,
+            preserveAspectRatio: 'none',
+            role: 'img',
+            'aria-label': `Daily ${[...state.metrics].join(' and ')} over the last ${days} days`
+        });
+
+        [0.25, 0.5, 0.75].forEach(fraction => {
+            const y = padding + (height - padding * 2) * fraction;
+            svg.appendChild(svgEl('line', {
+                class: 'traffic-chart-grid',
+                x1: padding, x2: width - padding, y1: y, y2: y
+            }));
+        });
+
+        Object.entries(seriesByMetric).forEach(([metric, series]) => {
+            const points = seriesToPoints(series, width, height, maxValue, padding);
+            const baseline = height - padding;
+            const area = `${points[0].x.toFixed(1)},${baseline} ${formatPoints(points)} ${points[points.length - 1].x.toFixed(1)},${baseline}`;
+            svg.appendChild(svgEl('polygon', { class: `traffic-chart-area ${metric}`, points: area }));
+            svg.appendChild(svgEl('polyline', { class: `traffic-chart-line ${metric}`, points: formatPoints(points) }));
+        });
+
+        // Only annotate events for the metrics on screen
+        const eventsByDate = {};
+        events.filter(event => state.metrics.has(event.metric)).forEach(event => {
+            (eventsByDate[event.date] = eventsByDate[event.date] || []).push(event);
+        });
+
+        // One invisible hover column per day carrying a native tooltip
+        const anySeries = Object.values(seriesByMetric)[0];
+        if (anySeries) {
+            const slot = (width - padding * 2) / Math.max(1, anySeries.length - 1);
+            seriesToPoints(anySeries, width, height, maxValue, padding).forEach(({ x, point }, i) => {
+                const dayEvents = eventsByDate[point.date] || [];
+                if (dayEvents.length > 0) {
+                    const type = dayEvents.some(event => event.type === 'spike') ? 'spike' : 'milestone';
+                    svg.appendChild(svgEl('line', {
+                        class: `traffic-chart-event ${type}`,
+                        x1: x, x2: x, y1: padding, y2: height - padding
+                    }));
+                }
+
+                const tooltip = `${point.date}: ` + Object.entries(seriesByMetric)
+                    .map(([metric, series]) => `${series[i].value.toLocaleString()} ${metric}`)
+                    .join(', ') +
+                    dayEvents.map(event => `\n${event.type === 'spike' ? '🚀' : '🏆'} ${event.repo || 'All repositories'} ${formatTrafficEvent(event)}`).join('');
+                svg.appendChild(svgEl('rect', {
+                    class: 'traffic-chart-hit',
+                    x: x - slot / 2, y: 0, width: slot, height
+                }, [svgEl('title', {}, [tooltip])]));
+            });
+        }
+
+        setChildren(plot, svg);
+
+        const first = anySeries ? anySeries[0].date : '';
+        setChildren(axis, [
+            el('span', {}, [first]),
+            el('span', {}, [`Peak: ${maxValue.toLocaleString()}/day`]),
+            el('span', {}, [endDate])
+        ]);
+
+        const ranges = el('div', { class: 'chart-toggle-group' }, Object.keys(CHART_RANGES).map(range => el('button', {
+            type: 'button',
+            class: ['chart-toggle', state.range === range && 'active'],
+            'aria-pressed': String(state.range === range),
+            on: { click: () => { state.range = range; draw(); } }
+        }, [range])));
+
+        const metrics = el('div', { class: 'chart-toggle-group' }, CHART_METRICS.map(metric => el('button', {
+            type: 'button',
+            class: ['chart-toggle', 'metric', metric, state.metrics.has(metric) && 'active'],
+            'aria-pressed': String(state.metrics.has(metric)),
+            on: {
+                click: () => {
+                    // Always keep at least one metric on screen
+                    if (state.metrics.has(metric) && state.metrics.size > 1) {
+                        state.metrics.delete(metric);
+                    } else {
+                        state.metrics.add(metric);
+                    }
+                    draw();
+                }
+            }
+        }, [metric.charAt(0).toUpperCase() + metric.slice(1)])));
+
+        setChildren(controls, [ranges, metrics]);
+    };
+
+    draw();
+}
+
+// ── Referrers & popular pages ────────────────────────────────────────────────
+// Same rules as computePopularTotals in scripts/lib/popular-content.js:
+// "All-time" is legacyOffset plus every recorded non-overlapping 14-day
+// period; "14 days" is GitHub's current window as of the last run.
+
+const POPULAR_WINDOWS = { last14Days: '14 days', allTime: 'All-time' };
+const POPULAR_LIMIT = 10;
+
+// Merge one kind (referrers or paths) across repo records, highest first
+function summarizePopular(records, range) {
+    const totals = {};
+    const add = ({ name, title, count }) => {
+        const total = totals[name] || (totals[name] = { name, count: 0 });
+        total.count += count;
+        if (title) total.title = title;
+    };
+
+    records.filter(Boolean).forEach(record => {
+        if (range === 'last14Days') {
+            if (record.latest) record.latest.items.forEach(add);
+        } else {
+            Object.entries(record.legacyOffset).forEach(([name, entry]) => add({ name, ...entry }));
+            record.periods.forEach(period => period.items.forEach(add));
+        }
+    });
+
+    return Object.values(totals)
+        .sort((a, b) => (b.count - a.count) || a.name.localeCompare(b.name))
+        .slice(0, POPULAR_LIMIT);
+}
+
+function renderPopularList(items, kind) {
+    if (items.length === 0) {
+        return drawerPlaceholder(`No ${kind === 'referrers' ? 'referrer' : 'page'} data recorded yet.`);
+    }
+    return el('ol', { class: 'popular-list' }, items.map(item => {
+        const label = kind === 'paths'
+            ? el('a', { href: `https://github.com${item.name}`, target: '_blank', rel: 'noopener', title: item.name }, [item.title || item.name])
+            : el('span', { title: item.name }, [item.name]);
+        return el('li', {}, [
+            el('span', { class: 'popular-name' }, [label]),
+            el('span', { class: 'popular-count' }, [item.count.toLocaleString()])
+        ]);
+    }));
+}
+
+// "Top referrers" and "Most-visited pages". listFor(kind, range) returns the
+// items to show — merged from a repo shard, or precomputed in summary.json.
+function renderPopularContent(container, listFor) {
+    let range = 'last14Days';
+
+    const toggles = el('div', { class: 'chart-toggle-group' }, Object.entries(POPULAR_WINDOWS).map(([key, label]) => el('button', {
+        type: 'button',
+        class: 'chart-toggle',
+        dataset: { window: key },
+        on: { click: () => { range = key; draw(); } }
+    }, [label])));
+    const panels = el('div', { class: 'popular-panels' });
+    setChildren(container, [toggles, panels]);
+
+    const draw = () => {
+        toggles.querySelectorAll('.chart-toggle').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.window === range);
+            btn.setAttribute('aria-pressed', String(btn.dataset.window === range));
+        });
+        setChildren(panels, [
+            el('div', { class: 'popular-panel' }, [
+                el('h4', {}, ['Top referrers']),
+                renderPopularList(listFor('referrers', range), 'referrers')
+            ]),
+            el('div', { class: 'popular-panel' }, [
+                el('h4', {}, ['Most-visited pages']),
+                renderPopularList(listFor('paths', range), 'paths')
+            ])
+        ]);
+    };
+
+    draw();
+}
+// ────────────────────────────────────────────────────────────────────────────
+
+// ── Recent highlights ────────────────────────────────────────────────────────
+// The latest spikes and milestones (newest first, precomputed in summary.json).
+// Repos with a card open the detail drawer.
+function renderTrafficHighlights(events) {
+    const formatDay = date => new Date(`${date}T00:00:00Z`)
+        .toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    const hasCard = repo => projectEntries.some(entry => entry.project.repo === repo);
+
+    return el('div', { class: 'traffic-highlights' }, [
+        el('h4', {}, ['Recent highlights']),
+        el('ul', {}, events.map(event => {
+            const who = !event.repo
+                ? 'All repositories'
+                : hasCard(event.repo)
+                    ? el('button', {
+                        type: 'button',
+                        class: 'highlight-repo',
+                        on: { click: () => openProjectDrawer(event.repo) }
+                    }, [event.repo])
+                    : event.repo;
+            return el('li', { class: ['traffic-highlight', event.type] }, [
+                el('span', { class: 'highlight-icon', 'aria-hidden': 'true' }, [event.type === 'spike' ? '🚀' : '🏆']),
+                el('span', { class: 'highlight-text' }, [who, ` ${formatTrafficEvent(event)}`]),
+                el('time', { datetime: event.date }, [formatDay(event.date)])
+            ]);
+        }))
+    ]);
+}
+
+// ── Upstream contributions ───────────────────────────────────────────────────
+// Repos owned by others (orgs, upstream projects) where the owner has merged
+// PRs or commits. The collector lists them most active first; there's no
+// traffic for them, so they get a plain list rather than project cards.
+function renderUpstreamContributions(records) {
+    const plural = (count, word) => `${count.toLocaleString()} ${word}${count === 1 ? '' : 's'}`;
+    return [
+        el('h3', { class: 'upstream-title' }, ['Upstream contributions']),
+        el('ul', { class: 'upstream-list' }, records.map(record => {
+            const facts = [];
+            if (record.prs.merged > 0) facts.push(plural(record.prs.merged, 'merged PR'));
+            if (record.commits.authored > 0) facts.push(plural(record.commits.authored, 'commit'));
+            return el('li', { class: 'upstream-item' }, [
+                el('a', { class: 'upstream-name', href: record.url, target: '_blank', rel: 'noopener' }, [record.name]),
+                record.description && el('p', { class: 'upstream-description' }, [record.description]),
+                el('div', { class: 'upstream-meta' }, [
+                    record.language && el('span', {}, [record.language]),
+                    el('span', {}, [`★ ${record.stars.toLocaleString()}`]),
+                    el('span', { class: 'upstream-activity' }, [facts.join(' · ') || 'PRs under review'])
+                ])
+            ]);
+        }))
+    ];
+}
+// ────────────────────────────────────────────────────────────────────────────
+
+// "N.A" in place of numbers when there's nothing to show
+function renderUnavailableStat(title) {
+    return el('div', { class: 'insight-stat unavailable', title }, [
+        el('span', { class: 'insight-icon' }, ['ℹ️']),
+        el('span', { class: 'insight-value' }, ['N.A'])
+    ]);
+}
+
+// The card's insights container, in place of its loading indicator
+function cardInsightsContainer(card) {
     const loader = card.querySelector('.insights-loader');
     if (loader) {
         loader.remove();
     }
-    
-    // Create insights container
+
     let insightsContainer = card.querySelector('.project-insights');
     if (!insightsContainer) {
-        insightsContainer = document.createElement('div');
-        insightsContainer.className = 'project-insights';
+        insightsContainer = el('div', { class: 'project-insights' });
         const footer = card.querySelector('.project-footer');
         if (footer) {
             card.insertBefore(insightsContainer, footer);
         }
     }
+    return insightsContainer;
+}
+
+// Update project card with insights from historical data
+function updateProjectCard(card, insights) {
+    const insightsContainer = cardInsightsContainer(card);
     
     // If no insights, show N.A
     if (!insights) {
-        insightsContainer.innerHTML = `
-            <div class="insight-stats">
-                <div class="insight-stat" style="opacity: 0.6;" title="No data available">
-                    <span class="insight-icon">ℹ️</span>
-                    <span class="insight-value" style="font-size: 0.85rem;">N.A</span>
-                </div>
-            </div>
-        `;
+        setChildren(insightsContainer, el('div', { class: 'insight-stats' }, [renderUnavailableStat('No data available')]));
         return;
     }
     
-    // Build insights HTML from historical data
+    // Build insights from historical data
     const hasData = insights.clones || insights.views;
-    
-    const insightsHTML = `
-        <div class="insight-stats">
-            ${insights.clones && insights.clones.count > 0 ? `
-            <div class="insight-stat" title="Total Clones (All-Time)">
-                <span class="insight-icon">📦</span>
-                <span class="insight-value">${insights.clones.count.toLocaleString()}</span>
-            </div>
-            ` : ''}
-            ${insights.views && insights.views.count > 0 ? `
-            <div class="insight-stat" title="Total Views (All-Time)">
-                <span class="insight-icon">👁️</span>
-                <span class="insight-value">${insights.views.count.toLocaleString()}</span>
-            </div>
-            ` : ''}
-            ${!hasData ? `
-            <div class="insight-stat" style="opacity: 0.6;" title="No statistics available">
-                <span class="insight-icon">ℹ️</span>
-                <span class="insight-value" style="font-size: 0.85rem;">N.A</span>
-            </div>
-            ` : ''}
-        </div>
-    `;
-
-    insightsContainer.innerHTML = insightsHTML;
-}
-
-// Extract repo name from GitHub URL
-function extractRepoName(url) {
-    if (!url) return null;
-    const match = url.match(/github\.com\/[^/]+\/([^/]+)/);
-    return match ? match[1] : null;
+    const stat = (metric, icon, title, noun) => {
+        const data = insights[metric];
+        if (!data || data.count <= 0) return null;
+        return el('div', { class: 'insight-stat' }, [
+            el('span', { class: 'insight-icon' }, [icon]),
+            el('span', { class: 'insight-value', title }, [data.count.toLocaleString()]),
+            data.uniques && el('span', { class: 'insight-uniques' }, formatUniques(data.uniques, noun, false))
+        ]);
+    };
+
+    setChildren(insightsContainer, el('div', { class: 'insight-stats' }, [
+        stat('clones', '📦', 'Total Clones (All-Time)', 'cloners'),
+        stat('views', '👁️', 'Total Views (All-Time)', 'visitors'),
+        !hasData && renderUnavailableStat('No statistics available')
+    ]));
+
+    // The sparkline needs the repo's history shard — fetch it on first sight
+    if (insights.historyDays > 0) {
+        whenVisible(card, () => loadRepoShard(card.dataset.repo).then(shard => {
+            if (shard && shard.history.length > 0) renderCardSparkline(insightsContainer, shard.history);
+        }));
+    }
+}
+
+// The stats couldn't be loaded at all — say so and offer to try again, rather
+// than "N.A", which means the repo has no traffic recorded
+function showInsightsError(card) {
+    setChildren(cardInsightsContainer(card), el('div', { class: 'insights-error' }, [
+        el('span', { class: 'insight-icon' }, ['⚠️']),
+        el('span', {}, [navigator.onLine ? 'Could not load traffic stats.' : 'Traffic stats are not available offline.']),
+        el('button', { type: 'button', class: 'insights-retry', on: { click: () => reloadInsights() } }, ['Retry'])
+    ]));
 }
 
 // Update global stats banner from historical data
@@ -209,27 +1430,53 @@ async function updateGlobalStats() {
     const contributionsBanner = document.getElementById('total-contributions-banner');
     if (contributionsBanner) {
         contributionsBanner.textContent = (historicalTrafficData.totalContributions || 0).toLocaleString();
-        contributionsBanner.style.opacity = '1';
+        const weights = portfolioConfig && portfolioConfig.contributions && portfolioConfig.contributions.weights;
+        if (weights) {
+            contributionsBanner.title = `Commits × ${weights.commits} + PRs × ${weights.prs}`;
+        }
     }
     
     // Update hero banner with all metrics from historical data
     const prsBanner = document.getElementById('total-prs-banner');
     if (prsBanner) {
         prsBanner.textContent = (historicalTrafficData.totalPRs || 0).toLocaleString();
-        prsBanner.style.opacity = '1';
     }
     
     const commitsBanner = document.getElementById('total-commits-banner');
     if (commitsBanner) {
         commitsBanner.textContent = (historicalTrafficData.totalCommits || 0).toLocaleString();
-        commitsBanner.style.opacity = '1';
+    }
+
+    // Honest breakdown of whose work the PR/commit numbers are. Upstream repos
+    // only add the owner's own PRs and commits (see renderUpstreamContributions).
+    const upstreamCount = (historicalTrafficData.upstream || []).length;
+    const upstreamNote = upstreamCount > 0 ? ` Includes ${upstreamCount} upstream ${upstreamCount === 1 ? 'repository' : 'repositories'}.` : '';
+    const prBreakdown = historicalTrafficData.prBreakdown;
+    const prsBreakdownEl = document.getElementById('total-prs-breakdown');
+    if (prsBreakdownEl && prBreakdown) {
+        prsBreakdownEl.textContent = `${prBreakdown.merged.toLocaleString()} merged · ${prBreakdown.reviewed.toLocaleString()} reviewed`;
+        prsBreakdownEl.title = `${prBreakdown.authored} PRs opened by ${getGitHubOwner() || 'the owner'}, ${prBreakdown.merged} of them merged. ` +
+            `${prBreakdown.reviewed} PRs from others reviewed; ${prBreakdown.external} external PRs merged into tracked repositories.${upstreamNote}`;
+    }
+
+    const commitBreakdown = historicalTrafficData.commitBreakdown;
+    const commitsBreakdownEl = document.getElementById('total-commits-breakdown');
+    if (commitsBreakdownEl && commitBreakdown) {
+        commitsBreakdownEl.textContent = `of ${commitBreakdown.total.toLocaleString()} total`;
+        commitsBreakdownEl.title = `${commitBreakdown.authored} commits authored by ${getGitHubOwner() || 'the owner'} out of ${commitBreakdown.total} on the default branches of tracked repositories.${upstreamNote}`;
     }
     
+    const upstreamContainer = document.getElementById('upstream-contributions');
+    const upstream = historicalTrafficData.upstream || [];
+    if (upstreamContainer && upstream.length > 0) {
+        setChildren(upstreamContainer, renderUpstreamContributions(upstream));
+        upstreamContainer.hidden = false;
+    }
+
     // Create or update stats summary section
     let statsSummary = document.querySelector('.github-stats-summary');
     if (!statsSummary && historicalTrafficData && historicalTrafficData.totalClones > 0) {
-        statsSummary = document.createElement('div');
-        statsSummary.className = 'github-stats-summary';
+        statsSummary = el('div', { class: 'github-stats-summary' });
         
         const projectsSection = document.querySelector('#projects .container');
         if (projectsSection) {
@@ -245,35 +1492,65 @@ async function updateGlobalStats() {
         const clonesDisplay = historicalTrafficData.totalClones || 0;
         const viewsDisplay = historicalTrafficData.totalViews || 0;
         const lastUpdated = new Date(historicalTrafficData.lastUpdated).toLocaleDateString();
+        const globalUniques = historicalTrafficData.uniques || null;
+        const uniquesFor = (metric) => globalUniques ? {
+            last14Days: globalUniques.last14Days[metric],
+            last30Days: globalUniques.last30Days[metric]
+        } : null;
+        const highlights = historicalTrafficData.highlights || [];
         
-        statsSummary.innerHTML = `
-            <div class="stats-summary-content">
-                <div class="stats-summary-title">
-                    <span class="stats-icon">📊</span>
-                    <span>Aggregate Repository Statistics (All-Time)</span>
-                </div>
-                <div class="stats-summary-grid">
-                    <div class="summary-stat">
-                        <span class="summary-icon">📦</span>
-                        <div class="summary-content">
-                            <span class="summary-value">${clonesDisplay.toLocaleString()}</span>
-                            <span class="summary-label">Total Clones</span>
-                        </div>
-                    </div>
-                    <div class="summary-stat">
-                        <span class="summary-icon">👁️</span>
-                        <div class="summary-content">
-                            <span class="summary-value">${viewsDisplay.toLocaleString()}</span>
-                            <span class="summary-label">Total Views</span>
-                        </div>
-                    </div>
-                </div>
-                <div class="stats-notice" style="background: rgba(16, 185, 129, 0.1); border-color: rgba(16, 185, 129, 0.2);">
-                    <span class="notice-icon">✅</span>
-                    <span>Updated daily via GitHub Actions • Last updated: ${lastUpdated}</span>
-                </div>
-            </div>
-        `;
+        const summaryStat = (icon, value, label, uniquesLabel, metric, noun) => el('div', { class: 'summary-stat' }, [
+            el('span', { class: 'summary-icon' }, [icon]),
+            el('div', { class: 'summary-content' }, [
+                el('span', { class: 'summary-value' }, [value.toLocaleString()]),
+                el('span', { class: 'summary-label' }, [label]),
+                globalUniques && el('span', { class: 'summary-uniques' }, [`${uniquesLabel}: `, formatUniques(uniquesFor(metric), noun, true)])
+            ])
+        ]);
+
+        // The trend chart sits between the totals grid and the notice; its
+        // data (history/combined.json) is fetched once it scrolls into view
+        const chart = el('div', { class: 'traffic-chart' }, [drawerPlaceholder('Loading traffic…')]);
+
+        // Referrers and pages across every repo, once the collector has any
+        const popularLists = historicalTrafficData.popular;
+        const hasPopular = popularLists && ['referrers', 'paths'].some(kind =>
+            Object.keys(POPULAR_WINDOWS).some(range => popularLists[kind][range].length > 0));
+        const popular = hasPopular ? el('div', { class: 'popular-content' }) : null;
+
+        setChildren(statsSummary, el('div', { class: 'stats-summary-content' }, [
+            el('div', { class: 'stats-summary-title' }, [
+                el('span', { class: 'stats-icon' }, ['📊']),
+                el('span', {}, ['Aggregate Repository Statistics (All-Time)'])
+            ]),
+            highlights.length > 0 && renderTrafficHighlights(highlights),
+            el('div', { class: 'stats-summary-grid' }, [
+                summaryStat('📦', clonesDisplay, 'Total Clones', 'Unique cloners', 'clones', 'cloners'),
+                summaryStat('👁️', viewsDisplay, 'Total Views', 'Unique visitors', 'views', 'visitors')
+            ]),
+            chart,
+            popular,
+            // Cached numbers are always labelled, online or not: the server
+            // may be unreachable, or the fresh copy still on its way
+            statsFromCache ? el('div', { class: 'stats-notice cached', role: 'status' }, [
+                el('span', { class: 'notice-icon' }, [navigator.onLine ? '🗂️' : '📴']),
+                el('span', {}, [`Stats as of ${lastUpdated} (${navigator.onLine ? 'saved copy' : 'offline'})`])
+            ]) : el('div', { class: 'stats-notice success' }, [
+                el('span', { class: 'notice-icon' }, ['✅']),
+                el('span', {}, [`Updated daily via GitHub Actions • Last updated: ${lastUpdated}`])
+            ])
+        ]));
+
+        whenVisible(chart, () => loadCombinedHistory().then(combined => {
+            if (combined) {
+                renderTrafficChart(chart, [combined.history], combined.events || []);
+            } else {
+                setChildren(chart, drawerPlaceholder('Traffic history unavailable.'));
+            }
+        }));
+        if (popular) {
+            renderPopularContent(popular, (kind, range) => popularLists[kind][range]);
+        }
     }
 }
 
@@ -281,101 +1558,134 @@ async function updateGlobalStats() {
 async function initializeGitHubInsights() {
     // Load historical data
     historicalTrafficData = await loadHistoricalData();
+    const projectCards = document.querySelectorAll('.project-card:not(.enterprise-repo)');
     
     if (!historicalTrafficData) {
         console.error('❌ Failed to load historical traffic data');
+        // Replace the loaders with a retry button rather than leaving them spinning
+        projectCards.forEach(card => {
+            if (card.dataset.repo) showInsightsError(card);
+        });
         return;
     }
     
-    const projectCards = document.querySelectorAll('.project-card:not(.enterprise-repo)');
     console.log(`🔍 Found ${projectCards.length} public project cards to populate`);
     
     let processedCount = 0;
     for (const card of projectCards) {
-        const projectLink = card.querySelector('.project-link[href*="github.com"]');
-        if (projectLink) {
-            const repoName = extractRepoName(projectLink.href);
-            if (repoName) {
-                const insights = getRepoInsights(repoName);
-                updateProjectCard(card, insights);
-                processedCount++;
-            } else {
-                // Remove loader if no repo name found
-                const loader = card.querySelector('.insights-loader');
-                if (loader) loader.remove();
-            }
+        const repoName = card.dataset.repo;
+        if (repoName) {
+            const insights = getRepoInsights(repoName);
+            updateProjectCard(card, insights);
+            processedCount++;
         } else {
-            // Remove loader for cards without GitHub links
+            // Remove loader for cards without a repository
             const loader = card.querySelector('.insights-loader');
             if (loader) loader.remove();
         }
     }
     
     console.log(`✅ Populated ${processedCount} repositories with historical data`);
+
+    // Traffic-based sorts can only be applied now that the data is here
+    applyProjectFilters();
+
+    // A drawer opened from a deep link was rendered before traffic arrived
+    if (openDrawerRepo) {
+        const entry = projectEntries.find(candidate => candidate.project.repo === openDrawerRepo);
+        if (entry) renderProjectDrawer(entry);
+    }
     
     // Update global stats
     updateGlobalStats();
 }
 
-// Add loading indicator for insights
+// Add loading indicator for insights, on cards that have no stats showing
 function showInsightsLoading() {
     const projectCards = document.querySelectorAll('.project-card:not(.enterprise-repo)');
     projectCards.forEach(card => {
         const footer = card.querySelector('.project-footer');
-        if (footer && card.querySelector('.project-link[href*="github.com"]')) {
-            const loader = document.createElement('div');
-            loader.className = 'insights-loader';
-            loader.innerHTML = '<span class="loader-dot"></span><span class="loader-dot"></span><span class="loader-dot"></span>';
-            card.insertBefore(loader, footer);
+        if (footer && card.dataset.repo && !card.querySelector('.insights-loader, .insight-stats')) {
+            const dot = () => el('span', { class: 'loader-dot' });
+            card.insertBefore(el('div', { class: 'insights-loader' }, [dot(), dot(), dot()]), footer);
         }
     });
 }
 
-// Initialize insights on page load
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-        showInsightsLoading();
-        initializeGitHubInsights();
-    });
-} else {
-    showInsightsLoading();
-    initializeGitHubInsights();
+// Render the project grid, then populate it with insights
+async function initializeProjects() {
+    const [manifest] = await Promise.all([loadProjectsManifest(), loadPortfolioConfig()]);
+    applyOwnerLinks();
+    renderProjectGrid(manifest);
+    initializeProjectFilters();
+    initializeProjectDrawer();
+    // Cards change the page height, so scroll to a linked section only now
+    if (location.hash) {
+        restoreFromUrl({ scroll: true, behavior: 'auto' });
+    }
+    reloadInsights();
 }
 
-// Add active state to navigation based on scroll position
-window.addEventListener('scroll', () => {
-    const sections = document.querySelectorAll('section[id]');
-    const scrollY = window.pageYOffset;
+// (Re)load the stats and re-render everything built from them. Runs queue up,
+// so a retry or an update arriving mid-render waits for the current one.
+let insightsRun = Promise.resolve();
 
-    sections.forEach(section => {
-        const sectionHeight = section.offsetHeight;
-        const sectionTop = section.offsetTop - 100;
-        const sectionId = section.getAttribute('id');
-        const navLink = document.querySelector(`.nav-menu a[href="#${sectionId}"]`);
+function reloadInsights() {
+    insightsRun = insightsRun.then(() => {
+        document.querySelectorAll('.insights-error').forEach(error => error.remove());
+        showInsightsLoading();
+        return initializeGitHubInsights();
+    }).catch(error => console.error('❌ Failed to render traffic insights:', error));
+    return insightsRun;
+}
 
-        if (navLink) {
-            if (scrollY > sectionTop && scrollY <= sectionTop + sectionHeight) {
-                navLink.style.color = 'var(--primary)';
-                navLink.style.fontWeight = '600';
-            } else {
-                navLink.style.color = 'var(--text-secondary)';
-                navLink.style.fontWeight = '500';
-            }
-        }
+// ── Offline support ──────────────────────────────────────────────────────────
+// sw.js keeps the page and its data available offline. It answers data from
+// its cache only when the network fails or is slow, and says when the fresh
+// copy has arrived after all; the stats are then re-rendered in place.
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.warn('⚠️ Service worker registration failed:', error);
+        });
     });
+    navigator.serviceWorker.addEventListener('message', ({ data }) => {
+        if (data && data.type === 'data-updated' && data.path === 'data/summary.json') reloadInsights();
+    });
+}
+
+// Back online: fetch what failed, and replace numbers from the cache
+window.addEventListener('online', () => {
+    if (!historicalTrafficData || statsFromCache) reloadInsights();
 });
+// Gone offline: a saved copy on screen is now the offline copy
+window.addEventListener('offline', () => {
+    if (statsFromCache) updateGlobalStats();
+});
+
+// Initialize projects and insights on page load
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeProjects);
+} else {
+    initializeProjects();
+}
 
-// Counter animation for stats
+// Counter animation for stats. Screen readers get only the final value from a
+// visually hidden copy; the ticking digits are hidden from them.
 const animateCounter = (element, target) => {
+    const digits = el('span', { 'aria-hidden': 'true' }, [prefersReducedMotion() ? target : 0]);
+    setChildren(element, [digits, el('span', { class: 'visually-hidden' }, [target])]);
+    if (prefersReducedMotion()) return;
+
     let current = 0;
     const increment = target / 50;
     const timer = setInterval(() => {
         current += increment;
         if (current >= target) {
-            element.textContent = target;
+            digits.textContent = target;
             clearInterval(timer);
         } else {
-            element.textContent = Math.floor(current);
+            digits.textContent = Math.floor(current);
         }
     }, 30);
 };
@@ -387,9 +1697,7 @@ if (heroStats) {
         entries.forEach(entry => {
             if (entry.isIntersecting) {
                 document.querySelectorAll('.stat-number').forEach(stat => {
-                    const value = parseInt(stat.textContent);
-                    stat.textContent = '0';
-                    animateCounter(stat, value);
+                    animateCounter(stat, parseInt(stat.textContent));
                 });
                 statsObserver.unobserve(entry.target);
             }
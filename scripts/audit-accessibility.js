@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+
+/**
+ * Accessibility audit of the rendered page
+ *
+ * Loads index.html in jsdom, runs the page scripts against the data files
+ * on disk (fetch is served from the repo), then runs axe-core twice: once on
+ * the page as it renders, and once with the first project's detail drawer
+ * open. Any violation fails the run.
+ *
+ * jsdom has no layout, so checks that need one (colour contrast, scrollable
+ * regions) come back "incomplete" rather than passing or failing — they're
+ * listed but don't fail the audit.
+ *
+ * USAGE
+ * ─────
+ *   npm install --no-save jsdom axe-core
+ *   node scripts/audit-accessibility.js [--reduced-motion] [--offline]
+ *
+ *   --reduced-motion     Render as if the visitor prefers reduced motion
+ *   --offline            Fail every traffic stats request, to audit the
+ *                        error and retry states the cards show instead
+ *
+ * Neither package is a dependency of the site itself, so they're installed
+ * only where the audit runs (see .github/workflows/tests.yml).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { parseArgs } = require('util');
+
+const ROOT = path.join(__dirname, '..');
+const PAGE_SCRIPTS = ['theme.js', 'dom.js', 'nav.js', 'script.js'];
+// Long enough for every fetch and render triggered on load to settle
+const SETTLE_MS = 500;
+// What --offline makes unreachable
+const OFFLINE_PATHS = ['/data/summary.json', '/data/history/'];
+
+const CLI_OPTIONS = {
+    'reduced-motion': { type: 'boolean', default: false },
+    'offline':        { type: 'boolean', default: false },
+    'help':           { type: 'boolean', short: 'h', default: false }
+};
+
+function loadDependencies() {
+    try {
+        const { JSDOM, VirtualConsole } = require('jsdom');
+        return { JSDOM, VirtualConsole, axeSource: fs.readFileSync(require.resolve('axe-core/axe.min.js'), 'utf8') };
+    } catch (error) {
+        throw new Error('The audit needs jsdom and axe-core — run `npm install --no-save jsdom axe-core` first');
+    }
+}
+
+// fetch() served from the repo folder, like a static file server. Offline,
+// traffic stats fail the way they do with no network and no cached copy; the
+// project list is precached by sw.js, so it still loads.
+function createFileFetch(baseUrl, { offline }) {
+    return async (url) => {
+        const pathname = decodeURIComponent(new URL(url, baseUrl).pathname);
+        if (offline && OFFLINE_PATHS.some(prefix => pathname.startsWith(prefix))) {
+            throw new TypeError('Failed to fetch');
+        }
+        const file = path.join(ROOT, pathname);
+        if (!file.startsWith(ROOT) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+            return { ok: false, status: 404, headers: new Headers(), json: async () => { throw new Error('Not found'); }, text: async () => '' };
+        }
+        const content = fs.readFileSync(file, 'utf8');
+        return { ok: true, status: 200, headers: new Headers(), json: async () => JSON.parse(content), text: async () => content };
+    };
+}
+
+// What jsdom lacks: every observed element counts as on screen right away,
+// and matchMedia answers only the reduced-motion query
+function installBrowserShims(window, { reducedMotion, offline }) {
+    window.IntersectionObserver = class {
+        constructor(callback) { this.callback = callback; }
+        observe(target) { setTimeout(() => this.callback([{ isIntersecting: true, target }], this), 0); }
+        unobserve() {}
+        disconnect() {}
+    };
+    window.matchMedia = query => ({
+        media: query,
+        matches: reducedMotion && query.includes('prefers-reduced-motion: reduce'),
+        addEventListener() {},
+        removeEventListener() {}
+    });
+    window.Element.prototype.scrollIntoView = () => {};
+    window.scrollTo = () => {};
+    window.fetch = createFileFetch(window.location.href, { offline });
+}
+
+async function renderPage({ JSDOM, VirtualConsole }, options) {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    // Page errors still show; jsdom's own "not implemented" notices don't
+    const virtualConsole = new VirtualConsole().forwardTo(console, { jsdomErrors: ['unhandled-exception'] });
+    const dom = new JSDOM(html, { url: 'http://localhost/', runScripts: 'outside-only', pretendToBeVisual: true, virtualConsole });
+    installBrowserShims(dom.window, options);
+    // The page logs its progress; keep the audit output readable
+    dom.window.console.log = () => {};
+    // Offline, the failed requests are the point
+    if (options.offline) dom.window.console.error = () => {};
+    // Run as classic scripts, like <script src>: their top-level const/let
+    // share one global scope (window.eval would give each file its own)
+    const context = dom.getInternalVMContext();
+    PAGE_SCRIPTS.forEach(file => {
+        new vm.Script(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file }).runInContext(context);
+    });
+    await new Promise(resolve => setTimeout(resolve, SETTLE_MS));
+    return dom.window;
+}
+
+async function runAxe(window, axeSource) {
+    if (!window.axe) window.eval(axeSource);
+    return window.axe.run(window.document, { resultTypes: ['violations', 'incomplete'] });
+}
+
+function printResults(label, results) {
+    console.log(`\n${results.violations.length ? '❌' : '✅'} ${label}: ${results.violations.length} violation(s)`);
+    results.violations.forEach(violation => {
+        console.log(`  - ${violation.id} (${violation.impact}): ${violation.help}`);
+        violation.nodes.slice(0, 5).forEach(node => console.log(`      ${node.target.join(' ')}`));
+    });
+    if (results.incomplete.length > 0) {
+        console.log(`  ℹ️  Not checkable without a layout engine: ${results.incomplete.map(item => item.id).join(', ')}`);
+    }
+}
+
+async function main(argv = process.argv.slice(2)) {
+    const { values: options } = parseArgs({ args: argv, options: CLI_OPTIONS });
+    if (options.help) {
+        const source = fs.readFileSync(__filename, 'utf8');
+        console.log(source.slice(source.indexOf('USAGE'), source.indexOf(' */')).replace(/^ \* ?/gm, ''));
+        return;
+    }
+    const dependencies = loadDependencies();
+    const { axeSource } = dependencies;
+
+    const window = await renderPage(dependencies, { reducedMotion: options['reduced-motion'], offline: options.offline });
+    const cards = window.document.querySelectorAll('.project-card').length;
+    const modes = [options['reduced-motion'] && 'reduced motion', options.offline && 'offline'].filter(Boolean);
+    console.log(`🧪 Rendered index.html in jsdom: ${cards} project card(s)${modes.map(mode => `, ${mode}`).join('')}`);
+
+    const page = await runAxe(window, axeSource);
+    printResults('Page', page);
+
+    let drawer = { violations: [] };
+    const details = window.document.querySelector('.project-details-btn');
+    if (details) {
+        details.click();
+        await new Promise(resolve => setTimeout(resolve, SETTLE_MS));
+        drawer = await runAxe(window, axeSource);
+        printResults('Project drawer open', drawer);
+    }
+
+    window.close();
+    if (page.violations.length + drawer.violations.length > 0) {
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { main };
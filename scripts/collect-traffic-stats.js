@@ -15,349 +15,957 @@
  * legacyOffset is set ONCE during v1→v2 migration and is never zeroed again.
  * When daily history entries age beyond 365 days they are absorbed back into
  * legacyOffset before being dropped, so the all-time total never shrinks.
+ * Days backfilled from older exports by scripts/import-traffic.js move the
+ * other way — out of legacyOffset into history[] — with the same total.
  *
  * Each daily run upserts per-day values for the last 14 days, so any data
  * GitHub was still processing at a previous run gets corrected automatically.
  *
  * Schema v2: history entries store per-day actual counts (not rolling-window
  *            snapshots). legacyOffset preserves pre-migration all-time counts.
+ * Schema v3: complete repo records and a migrationLog. The file's shape is
+ *            defined by data/traffic-history.schema.json; upgrades are the
+ *            ordered steps in lib/migrations.js.
+ *
+ * PAGE DATA
+ * ─────────
+ * The page doesn't read traffic-history.json. After saving it, the collector
+ * derives data/summary.json (totals for first paint) and per-repo history
+ * shards under data/history/, referenced by content hash — see lib/shards.js.
+ *
+ * SAVE GUARDS
+ * ───────────
+ * Nothing is written if the result fails the JSON Schema or would lower any
+ * all-time clone/view total (see lib/save-guards.js). The run exits non-zero
+ * instead, leaving yesterday's data in place.
+ *
+ * The accumulator math itself lives in lib/traffic-accumulator.js as pure
+ * functions and is covered by `node --test` (see test/).
+ *
+ * Each run also refreshes repo metadata (description, topics, language,
+ * stars, homepage) in data/projects.json — the manifest the project grid is
+ * rendered from — and appends any public repo not listed there yet. A short
+ * README excerpt per repo is snapshotted into data/readmes/<repo>.md for the
+ * project detail drawer.
+ *
+ * Traffic spikes and all-time milestones are detected from history[] and kept
+ * in data.events (see lib/anomalies.js); the page annotates its charts with
+ * them and lists the latest as "Recent highlights".
+ *
+ * NOTIFICATIONS
+ * ─────────────
+ * Every run ends with a digest — totals before/after, biggest movers, new
+ * repos, failures, new milestones and spikes — sent to the configured sinks
+ * (webhook, Markdown, HTML; see lib/digest.js and lib/notifiers.js). A run
+ * that refuses to save still sends one. A failing sink only logs a warning.
+ *
+ * CONFIGURATION
+ * ─────────────
+ * Which accounts and repos are tracked, the retention period and the
+ * contributions weights come from portfolio.config.json, which the page reads
+ * too (see lib/portfolio-config.js).
+ *
+ * UPSTREAM CONTRIBUTIONS
+ * ──────────────────────
+ * Repos the owner contributed to but no configured account owns (org repos,
+ * upstream projects) are found through GraphQL and kept in data.upstream with
+ * the owner's PRs and commits there — no traffic, which GitHub only shows to
+ * people with push access. They count towards the global totals and are
+ * listed on the page as "Upstream contributions" (see lib/upstream.js).
+ *
+ * USAGE
+ * ─────
+ *   node scripts/collect-traffic-stats.js [options]
+ *
+ *   --dry-run            Run everything but print a diff instead of saving
+ *   --fixtures <dir>     Replay recorded API responses from <dir> (no network,
+ *                        no token needed) instead of calling GitHub
+ *   --record <dir>       Save every live API response into <dir> as a fixture
+ *   --data-file <path>   Read/write this file instead of data/traffic-history.json
+ *   --projects-file <path>
+ *                        Read/write this manifest instead of data/projects.json
+ *   --readmes-dir <dir>  Write README excerpts here instead of data/readmes/
+ *   --page-data-only     Just rebuild summary.json and the history shards from
+ *                        the existing data file (no API calls, no token)
+ *   --now <date>         Pretend the run happens at <date> (ISO 8601), so
+ *                        retention and windows are repeatable with fixtures
+ *   --notify-webhook <url>
+ *                        POST the run digest as JSON to <url> (default:
+ *                        $TRAFFIC_WEBHOOK_URL; skipped on --dry-run)
+ *   --digest-markdown <file>
+ *                        Write the Markdown digest to <file> (default: append
+ *                        to $GITHUB_STEP_SUMMARY when running in Actions)
+ *   --digest-html <file> Write the email-ready HTML digest to <file>
+ *   --config <file>      Read this config instead of portfolio.config.json
+ *   --diagnose           Check the token, traffic access for every tracked
+ *                        repo, the rate-limit budget and the data file, and
+ *                        write the report verify-token.html displays (nothing
+ *                        else is written)
+ *   --report <file>      Write the --diagnose report here instead of
+ *                        confidential/diagnostics.json
+ *
+ *   e.g. replay the bundled sample, including the v1→v2 migration:
+ *   node scripts/collect-traffic-stats.js --dry-run \
+ *        --fixtures scripts/fixtures/sample \
+ *        --data-file scripts/fixtures/sample/traffic-history.v1.json \
+ *        --now 2026-04-19T00:00:00Z
  */
 
-const https = require('https');
 const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('util');
+const {
+    retentionCutoffFor,
+    createEmptyData,
+    updateRepoTraffic,
+    computeGlobalTotals
+} = require('./lib/traffic-accumulator');
+const { migrate } = require('./lib/migrations');
+const { validateTrafficData, checkSafeToSave } = require('./lib/save-guards');
+const { API_BASE, createGitHubClient, httpsTransport } = require('./lib/github-client');
+const { createFixtureTransport, createRecordingTransport } = require('./lib/fixtures');
+const { computePopularTotals } = require('./lib/popular-content');
+const { enrichProjectsManifest } = require('./lib/projects-manifest');
+const { extractReadmeExcerpt } = require('./lib/readme-excerpt');
+const { buildPageData } = require('./lib/shards');
+const { detectEvents, mergeEvents, describeEvent } = require('./lib/anomalies');
+const { buildDigest, summarizeDigest } = require('./lib/digest');
+const { createWebhookSink, createMarkdownFileSink, createHtmlFileSink, notifyAll } = require('./lib/notifiers');
+const { CONFIG_FILE, loadPortfolioConfig, repoKey, accountReposPath, selectRepos } = require('./lib/portfolio-config');
+const { planUpstreamRefresh, updateUpstreamRecord, hasUpstreamActivity } = require('./lib/upstream');
+const {
+    checkToken,
+    checkTrafficAccess,
+    estimateRunBudget,
+    checkRateLimit,
+    checkDataFile,
+    buildDiagnosticsReport
+} = require('./lib/diagnostics');
 
 const GITHUB_TOKEN = process.env.GITHUB_TOKEN || process.env.STATS_TOKEN;
-const GITHUB_USERNAME = process.env.GITHUB_USERNAME || 'Maneesh-Relanto';
-const GITHUB_API_BASE = 'https://api.github.com';
 const DATA_FILE = path.join(__dirname, '../data/traffic-history.json');
-const PORTFOLIO_REPO = 'Maneesh-Relanto.github.io'; // Exclude this repo from tracking
-const EXCLUDED_REPOS = [
-    'AWS---Hackathon---KIRO' // Excluded from tracking
-];
-const SCHEMA_VERSION = 2;
-const HISTORY_RETENTION_DAYS = 365; // keep 1 year of per-day detail
+const PROJECTS_FILE = path.join(__dirname, '../data/projects.json');
+const READMES_DIR = path.join(__dirname, '../data/readmes');
+// Gitignored: the report names the token's owner, scopes and expiry
+const DIAGNOSTICS_FILE = path.join(__dirname, '../confidential/diagnostics.json');
 
 // Will be populated dynamically from GitHub API
 let REPOS = [];
 
-function makeRequest(url) {
-    return new Promise((resolve, reject) => {
-        const options = {
-            headers: {
-                'User-Agent': 'GitHub-Traffic-Collector',
-                'Accept': 'application/vnd.github.v3+json',
-                'Authorization': `token ${GITHUB_TOKEN}`
-            }
-        };
+const CLI_OPTIONS = {
+    'dry-run':   { type: 'boolean', default: false },
+    'fixtures':  { type: 'string' },
+    'record':    { type: 'string' },
+    'data-file': { type: 'string' },
+    'projects-file': { type: 'string' },
+    'readmes-dir': { type: 'string' },
+    'page-data-only': { type: 'boolean', default: false },
+    'notify-webhook': { type: 'string' },
+    'digest-markdown': { type: 'string' },
+    'digest-html': { type: 'string' },
+    'config':    { type: 'string' },
+    'diagnose':  { type: 'boolean', default: false },
+    'report':    { type: 'string' },
+    'now':       { type: 'string' }
+};
+
+// Public repos of every configured account that pass the include/exclude
+// patterns and fork setting. Each REST repo object gains `key` (its key in
+// the data files) and `full_name` ("login/name", for API URLs).
+async function fetchAllPublicRepos(client, config) {
+    console.log('🔍 Fetching all public repositories...');
+    const repos = [];
+    for (const account of config.accounts) {
+        const allRepos = await client.paginate(`${API_BASE}${accountReposPath(account)}`);
+        const tracked = selectRepos(config, account, allRepos).map(repo => ({
+            ...repo,
+            key: repoKey(config, account.login, repo.name),
+            full_name: `${account.login}/${repo.name}`
+        }));
+        console.log(`✅ ${account.login}: tracking ${tracked.length} of ${allRepos.length} public repositories`);
+        repos.push(...tracked);
+    }
+    return repos;
+}
 
-        https.get(url, options, (res) => {
-            let data = '';
-            res.on('data', (chunk) => data += chunk);
-            res.on('end', () => {
-                if (res.statusCode === 200) {
-                    resolve({
-                        data: JSON.parse(data),
-                        headers: res.headers
-                    });
-                } else {
-                    console.error(`Failed to fetch ${url}: ${res.statusCode}`);
-                    resolve({
-                        data: null,
-                        headers: {}
-                    });
+const USER_ID_QUERY = `
+query UserId($login: String!) {
+    user(login: $login) { id }
+}`;
+
+// Exact per-repo counts, split by who did the work. Search issueCount is
+// exact (no rounding to pages), and commit history is filtered by author id.
+const REPO_CONTRIBUTIONS_QUERY = `
+query RepoContributions($owner: String!, $name: String!, $authorId: ID!,
+                        $authored: String!, $merged: String!, $reviewed: String!, $external: String!) {
+    authored: search(query: $authored, type: ISSUE) { issueCount }
+    merged:   search(query: $merged,   type: ISSUE) { issueCount }
+    reviewed: search(query: $reviewed, type: ISSUE) { issueCount }
+    external: search(query: $external, type: ISSUE) { issueCount }
+    repository(owner: $owner, name: $name) {
+        defaultBranchRef {
+            target {
+                ... on Commit {
+                    authoredCommits: history(author: { id: $authorId }) { totalCount }
+                    allCommits: history { totalCount }
                 }
-            });
-        }).on('error', reject);
+            }
+        }
+    }
+}`;
+
+async function fetchUserId(client, login) {
+    const data = await client.graphql(USER_ID_QUERY, { login });
+    if (!data.user) {
+        throw new Error(`GitHub user ${login} not found`);
+    }
+    return data.user.id;
+}
+
+// PR and commit counts for one repo ("login/name"), for `author`:
+//   prs.authored  — PRs opened by the user
+//   prs.merged    — the user's PRs that were merged
+//   prs.reviewed  — other people's PRs the user reviewed
+//   prs.external  — merged PRs from other people (outside contributions)
+//   commits.authored — default-branch commits authored by the user
+//   commits.total    — all default-branch commits, for context
+async function fetchContributions(client, fullName, { author, authorId }) {
+    const [owner, name] = fullName.split('/');
+    const scope = `repo:${fullName} is:pr`;
+    const data = await client.graphql(REPO_CONTRIBUTIONS_QUERY, {
+        owner,
+        name,
+        authorId,
+        authored: `${scope} author:${author}`,
+        merged:   `${scope} is:merged author:${author}`,
+        reviewed: `${scope} reviewed-by:${author} -author:${author}`,
+        external: `${scope} is:merged -author:${author}`
     });
+
+    // Empty repos have no default branch yet
+    const target = data.repository && data.repository.defaultBranchRef
+        ? data.repository.defaultBranchRef.target
+        : null;
+
+    return {
+        prs: {
+            authored: data.authored.issueCount,
+            merged:   data.merged.issueCount,
+            reviewed: data.reviewed.issueCount,
+            external: data.external.issueCount
+        },
+        commits: {
+            authored: target ? target.authoredCommits.totalCount : 0,
+            total:    target ? target.allCommits.totalCount : 0
+        }
+    };
 }
 
-async function fetchAllPublicRepos() {
-    console.log('🔍 Fetching all public repositories...');
-    const repos = [];
-    let page = 1;
-    let hasMore = true;
-
-    while (hasMore) {
-        const url = `${GITHUB_API_BASE}/users/${GITHUB_USERNAME}/repos?type=public&per_page=100&page=${page}`;
-        const response = await makeRequest(url);
-        
-        if (!response.data || response.data.length === 0) {
-            hasMore = false;
-            break;
+// Fields kept for upstream repos (see lib/upstream.js)
+const UPSTREAM_REPO_FIELDS = `
+    nameWithOwner
+    url
+    description
+    stargazerCount
+    isArchived
+    primaryLanguage { name }`;
+
+// Public repos of other owners the user committed to or opened PRs in
+const CONTRIBUTED_REPOS_QUERY = `
+query ContributedRepos($login: String!, $after: String) {
+    user(login: $login) {
+        repositoriesContributedTo(first: 100, after: $after, privacy: PUBLIC, includeUserRepositories: false,
+                                  contributionTypes: [COMMIT, PULL_REQUEST]) {
+            pageInfo { hasNextPage endCursor }
+            nodes { ${UPSTREAM_REPO_FIELDS} }
+        }
+    }
+}`;
+
+// Public repos the user can push to as a collaborator or organisation member
+const MEMBER_REPOS_QUERY = `
+query MemberRepos($login: String!, $after: String) {
+    user(login: $login) {
+        repositories(first: 100, after: $after, privacy: PUBLIC,
+                     ownerAffiliations: [COLLABORATOR, ORGANIZATION_MEMBER]) {
+            pageInfo { hasNextPage endCursor }
+            nodes { ${UPSTREAM_REPO_FIELDS} }
+        }
+    }
+}`;
+
+// Every node of a paginated connection on `user`
+async function fetchUserConnection(client, query, login, field) {
+    const nodes = [];
+    let after = null;
+    do {
+        const data = await client.graphql(query, { login, after });
+        if (!data.user) {
+            throw new Error(`GitHub user ${login} not found`);
         }
+        const connection = data.user[field];
+        nodes.push(...connection.nodes);
+        after = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+    } while (after);
+    return nodes;
+}
 
-        // Filter out the portfolio site itself and any explicitly excluded repos
-        response.data.forEach(repo => {
-            if (repo.name !== PORTFOLIO_REPO && !EXCLUDED_REPOS.includes(repo.name)) {
-                repos.push(repo.name);
-            }
-        });
+// Candidate upstream repos (GraphQL repository nodes, possibly repeated)
+async function fetchUpstreamRepos(client, login) {
+    const contributed = await fetchUserConnection(client, CONTRIBUTED_REPOS_QUERY, login, 'repositoriesContributedTo');
+    const member = await fetchUserConnection(client, MEMBER_REPOS_QUERY, login, 'repositories');
+    return [...contributed, ...member];
+}
 
-        page++;
+// Refresh data.upstream: discover the repos the owner contributed to and
+// count their PRs and commits in each. A failed discovery still refreshes the
+// repos already stored; a repo that fails keeps its previous counts.
+async function collectUpstreamContributions(client, config, stored, contributor, { today, failedRepos, throttle }) {
+    console.log('🤝 Looking for upstream contributions...');
+    let discovered = [];
+    try {
+        discovered = await fetchUpstreamRepos(client, config.owner);
+    } catch (error) {
+        console.warn(`  ⚠️  Discovery failed (${error.message}) — refreshing known repos only`);
     }
 
-    console.log(`✅ Found ${repos.length} public repositories (excluding ${PORTFOLIO_REPO})`);
-    return repos;
+    const upstream = {};
+    for (const { key, metadata } of planUpstreamRefresh(config, stored, discovered)) {
+        let contributions = null;
+        try {
+            contributions = await fetchContributions(client, key, contributor);
+        } catch (error) {
+            failedRepos.push({ repo: key, failures: [{ part: 'contributions', error: error.message }] });
+            console.warn(`  ⚠️  ${key}: contributions failed (${error.message}) — keeping previous counts`);
+        }
+
+        const record = updateUpstreamRecord(stored[key], { metadata, contributions }, today);
+        if (stored[key] || hasUpstreamActivity(record)) {
+            upstream[key] = record;
+            console.log(`  🤝 ${key}: ${record.prs.merged} merged PRs, ${record.commits.authored} commits`);
+        }
+        await throttle();
+    }
+    return upstream;
 }
 
-async function fetchTrafficData(repo) {
+// Parse a traffic response's per-day array — each entry is the actual count
+// for that specific date
+function parseDailyTraffic(response, key) {
+    const days = (response.data && Array.isArray(response.data[key])) ? response.data[key] : [];
+    return days.map(entry => ({
+        date:    entry.timestamp.split('T')[0],
+        count:   entry.count   || 0,
+        uniques: entry.uniques || 0
+    }));
+}
+
+// Top-10 referrers / paths over GitHub's 14-day window
+// Response shape: [{ referrer, count, uniques }] or [{ path, title, count, uniques }]
+function parsePopular(response, nameKey) {
+    const items = Array.isArray(response.data) ? response.data : [];
+    return items.map(item => ({
+        name:    item[nameKey],
+        ...(item.title ? { title: item.title } : {}),
+        count:   item.count   || 0,
+        uniques: item.uniques || 0
+    }));
+}
+
+// Fetch one repo's ("login/name") traffic and contribution counts. Each part
+// is fetched independently; a part that fails comes back as null (and is
+// listed in `failures`) so the caller keeps its previously stored values.
+async function fetchTrafficData(client, repo, contributor) {
     // Use ?per=day to get individual daily counts (up to 14 days back)
     // Response shape: { count, uniques, clones: [{timestamp, count, uniques}, ...] }
-    const clonesUrl = `${GITHUB_API_BASE}/repos/${GITHUB_USERNAME}/${repo}/traffic/clones?per=day`;
-    const viewsUrl  = `${GITHUB_API_BASE}/repos/${GITHUB_USERNAME}/${repo}/traffic/views?per=day`;
-    const prsUrl = `${GITHUB_API_BASE}/repos/${GITHUB_USERNAME}/${repo}/pulls?state=all&per_page=100`;
-    const contributorsUrl = `${GITHUB_API_BASE}/repos/${GITHUB_USERNAME}/${repo}/contributors?per_page=100`;
-
-    const [clonesRes, viewsRes, prsRes, contributorsRes] = await Promise.all([
-        makeRequest(clonesUrl),
-        makeRequest(viewsUrl),
-        makeRequest(prsUrl),
-        makeRequest(contributorsUrl)
+    const repoUrl = `${API_BASE}/repos/${repo}`;
+    const [traffic, popular, contributions] = await Promise.allSettled([
+        Promise.all([
+            client.request(`${repoUrl}/traffic/clones?per=day`),
+            client.request(`${repoUrl}/traffic/views?per=day`)
+        ]),
+        Promise.all([
+            client.request(`${repoUrl}/traffic/popular/referrers`),
+            client.request(`${repoUrl}/traffic/popular/paths`)
+        ]),
+        fetchContributions(client, repo, contributor)
     ]);
 
-    // Extract PR count
-    let prCount = 0;
-    if (prsRes.headers.link) {
-        const lastMatch = prsRes.headers.link.match(/page=(\d+)>;\s*rel="last"/);
-        if (lastMatch) {
-            prCount = parseInt(lastMatch[1], 10) * 100;
-        } else if (prsRes.data && Array.isArray(prsRes.data)) {
-            prCount = prsRes.data.length;
-        }
-    } else if (prsRes.data && Array.isArray(prsRes.data)) {
-        prCount = prsRes.data.length;
+    const failures = [];
+    const result = { repo, clonesByDay: null, viewsByDay: null, windowUniques: null, popular: null, contributions: null, failures };
+
+    if (traffic.status === 'fulfilled') {
+        const [clonesRes, viewsRes] = traffic.value;
+        result.clonesByDay = parseDailyTraffic(clonesRes, 'clones');
+        result.viewsByDay  = parseDailyTraffic(viewsRes, 'views');
+        // Window-level uniques are GitHub's own distinct count over the whole
+        // 14-day window — unlike per-day uniques, these can't be rebuilt by summing
+        result.windowUniques = {
+            clones: (clonesRes.data && clonesRes.data.uniques) || 0,
+            views:  (viewsRes.data  && viewsRes.data.uniques)  || 0
+        };
+    } else {
+        failures.push({ part: 'traffic', error: traffic.reason.message });
     }
 
-    // Calculate total commits from contributors
-    let commitCount = 0;
-    if (contributorsRes.data && Array.isArray(contributorsRes.data)) {
-        commitCount = contributorsRes.data.reduce((sum, c) => sum + (c.contributions || 0), 0);
+    if (popular.status === 'fulfilled') {
+        const [referrersRes, pathsRes] = popular.value;
+        result.popular = {
+            referrers: parsePopular(referrersRes, 'referrer'),
+            paths:     parsePopular(pathsRes, 'path')
+        };
+    } else {
+        failures.push({ part: 'referrers/paths', error: popular.reason.message });
     }
 
-    // Parse per-day arrays — each entry is the actual count for that specific date
-    const clonesByDay = (clonesRes.data && Array.isArray(clonesRes.data.clones))
-        ? clonesRes.data.clones.map(entry => ({
-            date:    entry.timestamp.split('T')[0],
-            count:   entry.count   || 0,
-            uniques: entry.uniques || 0
-        }))
-        : [];
+    if (contributions.status === 'fulfilled') {
+        result.contributions = contributions.value;
+    } else {
+        failures.push({ part: 'contributions', error: contributions.reason.message });
+    }
+
+    return result;
+}
 
-    const viewsByDay = (viewsRes.data && Array.isArray(viewsRes.data.views))
-        ? viewsRes.data.views.map(entry => ({
-            date:    entry.timestamp.split('T')[0],
-            count:   entry.count   || 0,
-            uniques: entry.uniques || 0
-        }))
+// README excerpt for the project drawer, or null when the repo has none
+async function fetchReadmeExcerpt(client, repo) {
+    const response = await client.request(`${API_BASE}/repos/${repo}/readme`, { allowNotFound: true });
+    if (!response.data) return null;
+    const markdown = Buffer.from(response.data.content, response.data.encoding || 'base64').toString('utf8');
+    return extractReadmeExcerpt(markdown);
+}
+
+// Which README snapshots would change: { updated: [...], removed: [...] }.
+// `readmes` maps repo → excerpt, or null for repos without a README.
+function diffReadmeSnapshots(readmes, dir) {
+    const updated = [];
+    const removed = [];
+    for (const [repo, excerpt] of Object.entries(readmes)) {
+        const file = path.join(dir, `${repo}.md`);
+        const existing = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+        if (excerpt === null) {
+            if (existing !== null) removed.push(repo);
+        } else if (existing !== `${excerpt}\n`) {
+            updated.push(repo);
+        }
+    }
+    return { updated, removed };
+}
+
+function saveReadmeSnapshots(readmes, dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    const { updated, removed } = diffReadmeSnapshots(readmes, dir);
+    updated.forEach(repo => {
+        // Other accounts' repos ("login/name") get a folder per account
+        fs.mkdirSync(path.dirname(path.join(dir, `${repo}.md`)), { recursive: true });
+        fs.writeFileSync(path.join(dir, `${repo}.md`), `${readmes[repo]}\n`);
+    });
+    removed.forEach(repo => fs.unlinkSync(path.join(dir, `${repo}.md`)));
+}
+
+// Which derived page files differ from what's on disk under `dir`:
+// { files, changed: [...], stale: [...] } where stale shards belong to repos
+// that are no longer in the data
+function diffPageData(data, dir) {
+    const { files } = buildPageData(data);
+    const changed = Object.keys(files).filter(file => {
+        const target = path.join(dir, file);
+        return !fs.existsSync(target) || fs.readFileSync(target, 'utf8') !== files[file];
+    });
+
+    const shardDir = path.join(dir, 'history/repos');
+    const stale = fs.existsSync(shardDir)
+        ? fs.readdirSync(shardDir).map(name => `history/repos/${name}`).filter(file => !(file in files))
         : [];
+    return { files, changed, stale };
+}
 
-    return { repo, clonesByDay, viewsByDay, prs: prCount, commits: commitCount };
+function savePageData(data, dir) {
+    const { files, changed, stale } = diffPageData(data, dir);
+    changed.forEach(file => {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, file), files[file]);
+    });
+    stale.forEach(file => fs.unlinkSync(path.join(dir, file)));
+    return { changed, stale };
 }
 
-function loadHistoricalData() {
-    if (fs.existsSync(DATA_FILE)) {
-        const content = fs.readFileSync(DATA_FILE, 'utf8');
-        return JSON.parse(content);
+function loadJsonFile(file, fallback) {
+    if (fs.existsSync(file)) {
+        const content = fs.readFileSync(file, 'utf8');
+        try {
+            return JSON.parse(content);
+        } catch (error) {
+            // Never fall back to empty data here — saving that would wipe all history
+            throw new Error(`${path.relative(process.cwd(), file)} is not valid JSON (${error.message})`);
+        }
     }
-    return {
-        lastUpdated: null,
-        totalClones: 0,
-        totalViews: 0,
-        totalPRs: 0,
-        totalCommits: 0,
-        totalContributions: 0,
-        repositories: {}
-    };
+    return fallback;
 }
 
-function saveHistoricalData(data) {
-    const dir = path.dirname(DATA_FILE);
+function saveJsonFile(data, file) {
+    const dir = path.dirname(file);
     if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir, { recursive: true });
     }
-    fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
+    fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+}
+
+function loadHistoricalData(file = DATA_FILE) {
+    return loadJsonFile(file, createEmptyData());
+}
+
+function saveHistoricalData(data, file = DATA_FILE) {
+    saveJsonFile(data, file);
+}
+
+function formatDelta(before, after) {
+    const delta = after - before;
+    if (delta === 0) return `${after.toLocaleString()} (unchanged)`;
+    return `${before.toLocaleString()} → ${after.toLocaleString()} (${delta > 0 ? '+' : ''}${delta.toLocaleString()})`;
+}
+
+// Human-readable diff between the data file before and after a run — used
+// by --dry-run in place of saving
+function describeChanges(before, after) {
+    const lines = [];
+    const beforeRepos = before.repositories || {};
+
+    const migrated = (before.schemaVersion || 1) !== after.schemaVersion;
+    if (migrated) {
+        lines.push(`Schema: v${before.schemaVersion || 1} → v${after.schemaVersion}`);
+    }
+    // Only the v1 → v2 step drops history entries
+    const clearedV1History = (before.schemaVersion || 1) < 2;
+
+    for (const key of ['totalClones', 'totalViews', 'totalPRs', 'totalCommits', 'totalContributions']) {
+        lines.push(`${key}: ${formatDelta(before[key] || 0, after[key] || 0)}`);
+    }
+
+    const knownEvents = new Set((before.events || []).map(event => event.id));
+    (after.events || []).filter(event => !knownEvents.has(event.id))
+        .forEach(event => lines.push(`+ event: ${describeEvent(event)}`));
+
+    for (const repoName of Object.keys(after.repositories).sort()) {
+        const oldRepo = beforeRepos[repoName];
+        const newRepo = after.repositories[repoName];
+
+        if (!oldRepo) {
+            lines.push(`+ ${repoName} (new): ${newRepo.totalClones} clones, ${newRepo.totalViews} views, ${newRepo.history.length} days of history`);
+            continue;
+        }
+
+        const oldByDate = {};
+        (oldRepo.history || []).forEach(entry => { oldByDate[entry.date] = entry; });
+        const newDates = new Set(newRepo.history.map(entry => entry.date));
+        const added = newRepo.history.filter(entry => !oldByDate[entry.date]).length;
+        const changed = newRepo.history.filter(entry => {
+            const old = oldByDate[entry.date];
+            return old && (old.clones !== entry.clones || old.views !== entry.views ||
+                old.clonesUniques !== entry.clonesUniques || old.viewsUniques !== entry.viewsUniques);
+        }).length;
+        const dropped = Object.keys(oldByDate).filter(date => !newDates.has(date)).length;
+
+        const changes = [];
+        if ((oldRepo.totalClones || 0) !== newRepo.totalClones) changes.push(`clones ${formatDelta(oldRepo.totalClones || 0, newRepo.totalClones)}`);
+        if ((oldRepo.totalViews || 0) !== newRepo.totalViews) changes.push(`views ${formatDelta(oldRepo.totalViews || 0, newRepo.totalViews)}`);
+        if (added) changes.push(`${added} day(s) added`);
+        if (changed) changes.push(`${changed} day(s) corrected`);
+        const periodCount = repo => (repo.popular ? repo.popular.referrers.periods.length : 0);
+        if (periodCount(newRepo) > periodCount(oldRepo)) changes.push('new referrers/paths period recorded');
+        if (dropped) changes.push(clearedV1History ? `${dropped} v1 entries cleared by migration` : `${dropped} day(s) absorbed into legacyOffset`);
+
+        const oldOffset = oldRepo.legacyOffset || { clones: 0, views: 0 };
+        if (oldOffset.clones !== newRepo.legacyOffset.clones || oldOffset.views !== newRepo.legacyOffset.views) {
+            changes.push(`legacyOffset ${oldOffset.clones}/${oldOffset.views} → ${newRepo.legacyOffset.clones}/${newRepo.legacyOffset.views}`);
+        }
+
+        if (changes.length > 0) {
+            lines.push(`~ ${repoName}: ${changes.join(', ')}`);
+        }
+    }
+
+    const beforeUpstream = before.upstream || {};
+    const afterUpstream = after.upstream || {};
+    for (const key of Object.keys(afterUpstream).sort()) {
+        const oldRecord = beforeUpstream[key];
+        const newRecord = afterUpstream[key];
+        if (!oldRecord) {
+            lines.push(`+ upstream ${key}: ${newRecord.prs.merged} merged PRs, ${newRecord.commits.authored} commits`);
+        } else if (oldRecord.prs.merged !== newRecord.prs.merged || oldRecord.commits.authored !== newRecord.commits.authored) {
+            lines.push(`~ upstream ${key}: merged PRs ${formatDelta(oldRecord.prs.merged, newRecord.prs.merged)}, commits ${formatDelta(oldRecord.commits.authored, newRecord.commits.authored)}`);
+        }
+    }
+    Object.keys(beforeUpstream).filter(key => !afterUpstream[key]).sort()
+        .forEach(key => lines.push(`- upstream ${key}`));
+
+    return lines;
+}
+
+// Notification sinks from CLI options and the environment (lib/notifiers.js)
+function createSinks(options) {
+    const sinks = [];
+    const webhookUrl = options['notify-webhook'] || process.env.TRAFFIC_WEBHOOK_URL;
+    if (webhookUrl) {
+        if (options['dry-run']) {
+            console.log('🧪 Dry run — the webhook will not be called');
+        } else {
+            sinks.push(createWebhookSink({ url: webhookUrl }));
+        }
+    }
+    if (options['digest-markdown']) {
+        sinks.push(createMarkdownFileSink({ file: path.resolve(options['digest-markdown']) }));
+    } else if (process.env.GITHUB_STEP_SUMMARY) {
+        sinks.push(createMarkdownFileSink({ file: process.env.GITHUB_STEP_SUMMARY, append: true }));
+    }
+    if (options['digest-html']) {
+        sinks.push(createHtmlFileSink({ file: path.resolve(options['digest-html']) }));
+    }
+    return sinks;
+}
+
+async function sendNotifications(sinks, digest) {
+    if (sinks.length === 0) return;
+    console.log(`\n📣 ${summarizeDigest(digest)}`);
+    (await notifyAll(sinks, digest)).forEach(result => {
+        if (result.ok) {
+            console.log(`  ✅ Sent to ${result.name}`);
+        } else {
+            console.warn(`  ⚠️  ${result.name} failed: ${result.error}`);
+        }
+    });
+}
+
+// ── Diagnostics (see lib/diagnostics.js) ────────────────────────────────────
+// Everything a run depends on, checked with the run's own token. Read-only
+// apart from the report file.
+async function runDiagnostics(client, config, { dataFile, reportFile, runDate }) {
+    const checks = [];
+
+    let identity;
+    try {
+        const response = await client.request(`${API_BASE}/user`);
+        identity = { login: response.data.login, headers: response.headers };
+    } catch (error) {
+        identity = { error: error.message };
+    }
+    checks.push(checkToken(identity, config.owner, runDate));
+
+    let publicRepos = [];
+    try {
+        publicRepos = await fetchAllPublicRepos(client, config);
+        const results = [];
+        for (const { key, full_name: fullName } of publicRepos) {
+            try {
+                await client.request(`${API_BASE}/repos/${fullName}/traffic/views?per=day`);
+                results.push({ repo: key, status: 200 });
+            } catch (error) {
+                results.push({ repo: key, status: error.status, error: error.message });
+            }
+        }
+        checks.push(checkTrafficAccess(results));
+    } catch (error) {
+        checks.push(checkTrafficAccess([], error.message));
+    }
+
+    let loaded = null;
+    let migrated = null;
+    let loadError = null;
+    try {
+        loaded = loadJsonFile(dataFile, null);
+        migrated = loaded && migrate(loaded, { date: runDate.toISOString() }).data;
+    } catch (error) {
+        loadError = error.message;
+    }
+
+    let rateLimit;
+    try {
+        rateLimit = (await client.request(`${API_BASE}/rate_limit`)).data.resources;
+    } catch (error) {
+        rateLimit = { error: error.message };
+    }
+    checks.push(checkRateLimit(rateLimit, estimateRunBudget({
+        accounts: config.accounts.length,
+        trackedRepos: publicRepos.length,
+        upstreamRepos: migrated ? Object.keys(migrated.upstream || {}).length : 0,
+        upstream: config.upstream
+    })));
+
+    checks.push(checkDataFile({
+        loaded,
+        migrated,
+        schemaProblems: migrated ? validateTrafficData(migrated) : [],
+        trackedRepos: publicRepos.map(repo => repo.key),
+        loadError,
+        now: runDate
+    }));
+
+    const report = buildDiagnosticsReport({ generatedAt: runDate.toISOString(), owner: config.owner, checks });
+    saveJsonFile(report, reportFile);
+
+    const icon = status => ({ ok: '✅', warning: '⚠️ ', error: '❌' })[status];
+    report.checks.forEach(({ title, status, summary, items }) => {
+        console.log(`${icon(status)} ${title}: ${summary}`);
+        items.filter(item => item.status !== 'ok').forEach(item => console.log(`    ${icon(item.status)} ${item.name}: ${item.detail}`));
+    });
+    console.log(`\n🩺 Report written to ${path.relative(process.cwd(), reportFile)} — open verify-token.html to browse it`);
+    return report;
 }
 
 async function main() {
-    console.log('🚀 Starting traffic statistics collection (all-time accumulator)...');
-    console.log(`📅 Date: ${new Date().toISOString()}`);
+    const { values: options } = parseArgs({ options: CLI_OPTIONS });
+    const dataFile = options['data-file'] ? path.resolve(options['data-file']) : DATA_FILE;
+    const projectsFile = options['projects-file'] ? path.resolve(options['projects-file']) : PROJECTS_FILE;
+    const readmesDir = options['readmes-dir'] ? path.resolve(options['readmes-dir']) : READMES_DIR;
+    const runDate = options.now ? new Date(options.now) : new Date();
+
+    if (Number.isNaN(runDate.getTime())) {
+        console.error(`❌ Invalid --now date: ${options.now}`);
+        process.exit(1);
+    }
+
+    // Derived files live next to the data file
+    const pageDataDir = path.dirname(dataFile);
+
+    if (options['page-data-only']) {
+        const { data } = migrate(loadHistoricalData(dataFile), { date: runDate.toISOString() });
+        const { changed, stale } = savePageData(data, pageDataDir);
+        console.log(`🗂️  Page data rebuilt: ${changed.length} file(s) written, ${stale.length} stale shard(s) removed`);
+        return;
+    }
+
+    let config;
+    try {
+        config = loadPortfolioConfig(options.config ? path.resolve(options.config) : CONFIG_FILE);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    console.log(options.diagnose
+        ? '🩺 Diagnosing the collector setup...'
+        : '🚀 Starting traffic statistics collection (all-time accumulator)...');
+    console.log(`📅 Date: ${runDate.toISOString()}`);
 
-    if (!GITHUB_TOKEN) {
+    let transport = httpsTransport;
+    if (options.fixtures) {
+        console.log(`🎞️  Replaying fixtures from ${options.fixtures}`);
+        transport = createFixtureTransport(path.resolve(options.fixtures));
+    } else if (!GITHUB_TOKEN) {
         console.error('❌ GITHUB_TOKEN environment variable is not set');
         process.exit(1);
     }
 
+    if (options.record) {
+        console.log(`📼 Recording API responses to ${options.record}`);
+        transport = createRecordingTransport(transport, path.resolve(options.record));
+    }
+
+    const client = createGitHubClient({
+        token: GITHUB_TOKEN,
+        transport,
+        // Replayed responses never need real backoff or rate-limit waits
+        ...(options.fixtures ? { sleep: async () => {} } : {})
+    });
+
+    if (options.diagnose) {
+        const report = await runDiagnostics(client, config, {
+            dataFile,
+            reportFile: options.report ? path.resolve(options.report) : DIAGNOSTICS_FILE,
+            runDate
+        });
+        if (report.status === 'error') {
+            process.exit(1);
+        }
+        return;
+    }
+
     // Dynamically fetch all public repos
-    REPOS = await fetchAllPublicRepos();
+    const publicRepos = await fetchAllPublicRepos(client, config);
+    REPOS = publicRepos.map(repo => repo.key);
+    // PRs and commits are counted for the portfolio owner
+    const contributor = { author: config.owner, authorId: await fetchUserId(client, config.owner) };
 
     if (REPOS.length === 0) {
         console.error('❌ No public repositories found');
         process.exit(1);
     }
 
-    const historicalData = loadHistoricalData();
-
-    // ── Schema v1 → v2 migration ────────────────────────────────────────────────
-    //
-    // v1 stored rolling 14-day window TOTALS as a single number per run — summing
-    // those would massively overcount. On the first v2 run we:
-    //
-    //   1. Snapshot each repo's current v1 totalClones / totalViews into a
-    //      legacyOffset object — these represent ALL activity before this run.
-    //   2. Clear the v1-style history[] so it rebuilds from accurate per-day data.
-    //   3. Keep PRs and commits — they are already correct point-in-time counts.
-    //
-    // legacyOffset is NEVER zeroed again. It is the permanent baseline for all
-    // time before this tool started recording per-day data.
-    //
-    if (!historicalData.schemaVersion || historicalData.schemaVersion < SCHEMA_VERSION) {
-        console.log('🔄 Migrating to all-time accumulator schema (v2)...');
-        let migratedRepos = 0;
-        for (const repoName in historicalData.repositories) {
-            const repo = historicalData.repositories[repoName];
-            // Preserve existing accumulated totals as the legacy baseline
-            repo.legacyOffset = {
-                clones: repo.totalClones || 0,
-                views:  repo.totalViews  || 0
-            };
-            // Clear v1 history — it cannot be summed accurately
-            repo.history     = [];
-            repo.totalClones = 0; // will be recomputed as legacyOffset + per-day sum
-            repo.totalViews  = 0;
-            migratedRepos++;
-        }
-        historicalData.schemaVersion = SCHEMA_VERSION;
-        console.log(`✅ Migration complete — preserved legacy offsets for ${migratedRepos} repos`);
-        console.log('   Per-day history will be rebuilt from the last 14 days of GitHub data');
+    const loadedData = loadHistoricalData(dataFile);
+    const originalData = JSON.parse(JSON.stringify(loadedData));
+
+    // ── Schema migrations (see lib/migrations.js) ───────────────────────────────
+    const { data: historicalData, applied: migrations } = migrate(loadedData, { date: runDate.toISOString() });
+    migrations.forEach(({ from, to, description }) => console.log(`🔄 Migrated v${from} → v${to}: ${description}`));
+
+    // A hand-edited or damaged file is caught here, before any API budget is spent
+    const loadProblems = validateTrafficData(historicalData);
+    if (loadProblems.length > 0) {
+        console.error(`❌ ${path.relative(process.cwd(), dataFile)} does not match the schema after migration:`);
+        loadProblems.slice(0, 20).forEach(problem => console.error(`  - ${problem}`));
+        process.exit(1);
     }
-    // ────────────────────────────────────────────────────────────────────────────
 
     console.log(`📊 Fetching per-day traffic for ${REPOS.length} repositories...`);
 
-    // Cutoff date: entries older than HISTORY_RETENTION_DAYS get absorbed into
+    // Cutoff date: entries older than historyRetentionDays get absorbed into
     // legacyOffset before being dropped, so the all-time total never shrinks.
-    const retentionCutoff = new Date();
-    retentionCutoff.setDate(retentionCutoff.getDate() - HISTORY_RETENTION_DAYS);
-    const retentionCutoffStr = retentionCutoff.toISOString().split('T')[0];
+    const retentionCutoff = retentionCutoffFor(runDate, config.historyRetentionDays);
+    const today = runDate.toISOString().split('T')[0];
+
+    const failedRepos = [];
+    const readmes = {};
+
+    // Rate limiting: 100ms between requests (nothing to throttle offline)
+    const throttle = async () => {
+        if (!options.fixtures) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    };
 
-    for (const repo of REPOS) {
+    for (const { key: repo, full_name: fullName } of publicRepos) {
         try {
             console.log(`  📦 ${repo}...`);
-            const data = await fetchTrafficData(repo);
-
-            // Initialise repo entry for brand-new repos
-            if (!historicalData.repositories[repo]) {
-                historicalData.repositories[repo] = {
-                    legacyOffset: { clones: 0, views: 0 },
-                    totalClones:  0,
-                    totalViews:   0,
-                    totalPRs:     0,
-                    totalCommits: 0,
-                    history: []
-                };
-            }
+            const data = await fetchTrafficData(client, fullName, contributor);
 
-            const repoData = historicalData.repositories[repo];
+            // Parts that failed come back as null — updateRepoTraffic keeps the
+            // previously stored values for those instead of writing zeros
+            const repoData = updateRepoTraffic(historicalData.repositories[repo], data, { retentionCutoff, today });
+            historicalData.repositories[repo] = repoData;
 
-            // Ensure legacyOffset exists (repos added after migration won't have it yet)
-            if (!repoData.legacyOffset) {
-                repoData.legacyOffset = { clones: 0, views: 0 };
-            }
-
-            // ── Step 1: Upsert per-day values from the API ──────────────────────
-            // Build a date-keyed map for O(1) upserts
-            const historyByDate = {};
-            repoData.history.forEach(entry => { historyByDate[entry.date] = entry; });
-
-            // Upsert each day returned by GitHub (covers last 14 days)
-            data.clonesByDay.forEach(({ date, count, uniques }) => {
-                if (historyByDate[date]) {
-                    historyByDate[date].clones        = count;
-                    historyByDate[date].clonesUniques = uniques;
-                } else {
-                    historyByDate[date] = { date, clones: count, clonesUniques: uniques, views: 0, viewsUniques: 0 };
-                }
-            });
-
-            data.viewsByDay.forEach(({ date, count, uniques }) => {
-                if (historyByDate[date]) {
-                    historyByDate[date].views        = count;
-                    historyByDate[date].viewsUniques = uniques;
-                } else {
-                    historyByDate[date] = { date, clones: 0, clonesUniques: 0, views: count, viewsUniques: uniques };
-                }
-            });
-
-            // ── Step 2: Sort and apply retention window ─────────────────────────
-            // Entries older than HISTORY_RETENTION_DAYS are absorbed into
-            // legacyOffset BEFORE being dropped — counts are never lost.
-            const allEntries = Object.values(historyByDate)
-                .sort((a, b) => a.date.localeCompare(b.date));
-
-            const toRetain = [];
-            for (const entry of allEntries) {
-                if (entry.date < retentionCutoffStr) {
-                    // Absorb this entry's counts into the permanent baseline
-                    repoData.legacyOffset.clones += (entry.clones || 0);
-                    repoData.legacyOffset.views  += (entry.views  || 0);
-                } else {
-                    toRetain.push(entry);
-                }
+            if (data.failures.length > 0) {
+                failedRepos.push({ repo, failures: data.failures });
+                data.failures.forEach(({ part, error }) => console.warn(`    ⚠️  ${part} failed (${error}) — keeping previous values`));
             }
-            repoData.history = toRetain;
 
-            // ── Step 3: Compute all-time totals ─────────────────────────────────
-            //   totalClones = legacyOffset (all history before v2 + absorbed aged entries)
-            //               + sum of every per-day entry still in history[]
-            const historySumClones = repoData.history.reduce((sum, e) => sum + (e.clones || 0), 0);
-            const historySumViews  = repoData.history.reduce((sum, e) => sum + (e.views  || 0), 0);
+            const tracked = repoData.totalClones - repoData.legacyOffset.clones;
+            console.log(`    ✅ All-time: ${repoData.totalClones} clones (${repoData.legacyOffset.clones} legacy + ${tracked} tracked) | ${repoData.totalViews} views | ${repoData.totalPRs} PRs authored | ${repoData.totalCommits} commits authored`);
 
-            repoData.totalClones  = repoData.legacyOffset.clones + historySumClones;
-            repoData.totalViews   = repoData.legacyOffset.views  + historySumViews;
-            repoData.totalPRs     = data.prs;
-            repoData.totalCommits = data.commits;
-
-            console.log(`    ✅ All-time: ${repoData.totalClones} clones (${repoData.legacyOffset.clones} legacy + ${historySumClones} tracked) | ${repoData.totalViews} views | ${data.prs} PRs | ${data.commits} commits`);
+            // A failed README fetch leaves the previous snapshot in place
+            try {
+                readmes[repo] = await fetchReadmeExcerpt(client, fullName);
+            } catch (error) {
+                console.warn(`    ⚠️  README failed (${error.message}) — keeping previous snapshot`);
+            }
 
         } catch (error) {
+            failedRepos.push({ repo, failures: [{ part: 'all', error: error.message }] });
             console.error(`  ❌ Error fetching data for ${repo}:`, error.message);
         }
 
-        // Rate limiting: 100ms between requests
-        await new Promise(resolve => setTimeout(resolve, 100));
+        await throttle();
+    }
+
+    if (config.upstream) {
+        historicalData.upstream = await collectUpstreamContributions(client, config, historicalData.upstream || {}, contributor, { today, failedRepos, throttle });
+    } else {
+        delete historicalData.upstream;
     }
 
-    // ── Recompute global totals from all repo-level totals ──────────────────────
-    historicalData.totalClones  = 0;
-    historicalData.totalViews   = 0;
-    historicalData.totalPRs     = 0;
-    historicalData.totalCommits = 0;
+    Object.assign(historicalData, computeGlobalTotals(historicalData.repositories, config.contributions.weights, historicalData.upstream));
+    historicalData.lastUpdated = runDate.toISOString();
+
+    // Spikes and milestones for the page's chart annotations and highlights
+    const { events, added: newEvents } = mergeEvents(historicalData.events, detectEvents(historicalData.repositories));
+    historicalData.events = events;
+    newEvents.forEach(event => console.log(`${event.type === 'spike' ? '🚀' : '🏆'} ${describeEvent(event)}`));
 
-    for (const repoName in historicalData.repositories) {
-        const repo = historicalData.repositories[repoName];
-        historicalData.totalClones  += repo.totalClones  || 0;
-        historicalData.totalViews   += repo.totalViews   || 0;
-        historicalData.totalPRs     += repo.totalPRs     || 0;
-        historicalData.totalCommits += repo.totalCommits || 0;
+    // Per-run error report — kept in the data file so a partial run is visible
+    historicalData.lastRun = {
+        date: runDate.toISOString(),
+        reposAttempted: REPOS.length,
+        failedRepos,
+        requests: { ...client.stats, failed: client.errors.length }
+    };
+
+    // Refresh repo metadata in the projects manifest; repos not listed there
+    // yet are appended so they show up on the page
+    const { manifest, added: newProjects } = enrichProjectsManifest(loadJsonFile(projectsFile, { projects: [] }), publicRepos, runDate);
+    if (newProjects.length > 0) {
+        console.log(`🆕 Added ${newProjects.length} new repo(s) to the projects manifest: ${newProjects.join(', ')}`);
     }
 
-    // Contributions = commits + (PRs × 10) — PRs weighted higher as larger units of work
-    historicalData.totalContributions = historicalData.totalCommits + (historicalData.totalPRs * 10);
-    historicalData.lastUpdated = new Date().toISOString();
+    const sinks = createSinks(options);
+    const digestFor = saveProblems => buildDigest({
+        before: originalData,
+        after: historicalData,
+        runDate,
+        username: config.owner,
+        newRepos: REPOS.filter(repo => !(originalData.repositories || {})[repo]),
+        failedRepos,
+        requestErrors: client.errors.length,
+        newEvents,
+        saveProblems,
+        dryRun: options['dry-run']
+    });
 
-    saveHistoricalData(historicalData);
+    const saveProblems = checkSafeToSave(originalData, historicalData);
+    if (saveProblems.length > 0) {
+        console.error(`\n❌ Refusing to save ${path.relative(process.cwd(), dataFile)}:`);
+        saveProblems.slice(0, 20).forEach(problem => console.error(`  - ${problem}`));
+        if (!options['dry-run']) {
+            await sendNotifications(sinks, digestFor(saveProblems));
+            process.exit(1);
+        }
+    }
+
+    if (options['dry-run']) {
+        console.log(`\n🧪 Dry run — ${path.relative(process.cwd(), dataFile)} was NOT modified. Changes that would be saved:`);
+        describeChanges(originalData, historicalData).forEach(line => console.log(`  ${line}`));
+        console.log(`  projects manifest: metadata refreshed for ${publicRepos.length} repo(s), ${newProjects.length} new`);
+        const readmeChanges = diffReadmeSnapshots(readmes, readmesDir);
+        console.log(`  README snapshots: ${readmeChanges.updated.length} updated, ${readmeChanges.removed.length} removed`);
+        const pageChanges = diffPageData(historicalData, pageDataDir);
+        console.log(`  page data: ${pageChanges.changed.length} file(s) would be written, ${pageChanges.stale.length} stale shard(s) removed`);
+    } else {
+        saveHistoricalData(historicalData, dataFile);
+        saveJsonFile(manifest, projectsFile);
+        saveReadmeSnapshots(readmes, readmesDir);
+        const pageChanges = savePageData(historicalData, pageDataDir);
+        console.log(`🗂️  Page data: ${pageChanges.changed.length} file(s) written, ${pageChanges.stale.length} stale shard(s) removed`);
+    }
 
     console.log('\n📈 All-Time Summary:');
     console.log(`  Total Clones  : ${historicalData.totalClones.toLocaleString()}`);
     console.log(`  Total Views   : ${historicalData.totalViews.toLocaleString()}`);
-    console.log(`  Total PRs     : ${historicalData.totalPRs.toLocaleString()}`);
-    console.log(`  Total Commits : ${historicalData.totalCommits.toLocaleString()}`);
+    console.log(`  Uniques (14d) : ${historicalData.uniques.last14Days.clones.toLocaleString()} cloners | ${historicalData.uniques.last14Days.views.toLocaleString()} visitors`);
+    console.log(`  PRs authored  : ${historicalData.totalPRs.toLocaleString()} (${historicalData.prBreakdown.merged} merged, ${historicalData.prBreakdown.reviewed} reviewed, ${historicalData.prBreakdown.external} external)`);
+    console.log(`  Commits       : ${historicalData.totalCommits.toLocaleString()} authored of ${historicalData.commitBreakdown.total.toLocaleString()}`);
+    const upstreamRecords = Object.values(historicalData.upstream || {});
+    if (upstreamRecords.length > 0) {
+        const merged = upstreamRecords.reduce((sum, record) => sum + record.prs.merged, 0);
+        const commits = upstreamRecords.reduce((sum, record) => sum + record.commits.authored, 0);
+        console.log(`  Upstream      : ${upstreamRecords.length} repo(s), ${merged} merged PRs, ${commits} commits (included above)`);
+    }
     console.log(`  Total Contributions: ${historicalData.totalContributions.toLocaleString()}`);
-    console.log('\n✅ Traffic statistics updated successfully!');
+    const topReferrers = computePopularTotals(Object.values(historicalData.repositories).map(repo => repo.popular && repo.popular.referrers)).slice(0, 3);
+    if (topReferrers.length > 0) {
+        console.log(`  Top referrers : ${topReferrers.map(({ name, count }) => `${name} (${count.toLocaleString()})`).join(', ')}`);
+    }
+
+    if (client.errors.length > 0) {
+        console.log(`\n⚠️  Error report: ${client.errors.length} request(s) failed across ${failedRepos.length} repo(s)`);
+        client.errors.forEach(({ url, message }) => console.log(`  - ${url.replace(API_BASE, '')}: ${message}`));
+    }
+    console.log(`  Requests: ${client.stats.requests} (${client.stats.retries} retries, ${client.stats.rateLimitWaits} rate-limit waits)`);
+
+    await sendNotifications(sinks, digestFor(saveProblems));
+    console.log(options['dry-run'] ? '\n✅ Dry run complete!' : '\n✅ Traffic statistics updated successfully!');
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Fatal error:', error);
+        process.exit(1);
+    });
 }
 
-main().catch(error => {
-    console.error('❌ Fatal error:', error);
-    process.exit(1);
-});
+module.exports = {
+    fetchAllPublicRepos,
+    fetchTrafficData,
+    describeChanges,
+    diffPageData,
+    savePageData,
+    loadHistoricalData,
+    saveHistoricalData
+};
@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+
+/**
+ * Backfill per-day traffic history from external exports
+ *
+ * Moves days out of each repo's legacyOffset lump and into history[], so
+ * long-term charts reach back before per-day recording began while every
+ * all-time total stays exactly the same (see lib/traffic-import.js for the
+ * rules on overlaps and retention).
+ *
+ * USAGE
+ * ─────
+ *   node scripts/import-traffic.js <file>... [options]
+ *
+ *   --dry-run            Show what would be imported without saving
+ *   --format <fmt>       csv, json or jsonl (default: from each file's
+ *                        extension)
+ *   --repo <name>        Repo for rows that don't name one, e.g. a single
+ *                        repo's export without a repo column
+ *   --data-file <path>   Read/write this file instead of data/traffic-history.json
+ *   --config <file>      Read this config instead of portfolio.config.json
+ *                        (for historyRetentionDays)
+ *   --now <date>         Pretend the import happens at <date> (ISO 8601)
+ *
+ *   CSV files need a header row: repo, date and any of clones, clonesUniques,
+ *   views, viewsUniques — what `traffic-report.js export` writes.
+ *
+ *   e.g. preview backfilling one repo from a spreadsheet export:
+ *   node scripts/import-traffic.js old-stats.csv --repo RBAC-algorithm --dry-run
+ *
+ * Overlapping days are never overwritten, and an import claiming more
+ * traffic than a repo's legacyOffset holds is refused — nothing is saved
+ * unless every repo in the import checks out. Page data is rebuilt after
+ * saving.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const { migrate } = require('./lib/migrations');
+const { checkSafeToSave } = require('./lib/save-guards');
+const { retentionCutoffFor } = require('./lib/traffic-accumulator');
+const { findInconsistentTotals } = require('./lib/diagnostics');
+const { CONFIG_FILE, loadPortfolioConfig } = require('./lib/portfolio-config');
+const { parseImport, planImport, applyImport } = require('./lib/traffic-import');
+const { describeChanges, savePageData, loadHistoricalData, saveHistoricalData } = require('./collect-traffic-stats');
+
+const DATA_FILE = path.join(__dirname, '../data/traffic-history.json');
+
+const CLI_OPTIONS = {
+    'dry-run':   { type: 'boolean', default: false },
+    'format':    { type: 'string' },
+    'repo':      { type: 'string' },
+    'data-file': { type: 'string' },
+    'config':    { type: 'string' },
+    'now':       { type: 'string' },
+    'help':      { type: 'boolean', short: 'h', default: false }
+};
+
+const USAGE = `Usage: node scripts/import-traffic.js <file>... [--dry-run] [--repo <name>] [--format csv|json|jsonl]
+Run with --help for every option.`;
+
+function formatFor(file, format) {
+    if (format) return format;
+    const extension = path.extname(file).slice(1).toLowerCase();
+    if (['csv', 'json', 'jsonl'].includes(extension)) return extension;
+    throw new Error(`Can't tell the format of ${file} — pass --format csv, json or jsonl`);
+}
+
+function readRows(files, options) {
+    return files.flatMap(file => {
+        if (!fs.existsSync(file)) {
+            throw new Error(`${file} does not exist`);
+        }
+        try {
+            return parseImport(fs.readFileSync(file, 'utf8'), { format: formatFor(file, options.format), defaultRepo: options.repo });
+        } catch (error) {
+            throw new Error(`${file}: ${error.message}`);
+        }
+    });
+}
+
+function printPlan(plan, retentionCutoff) {
+    for (const [repo, { imported, overlaps, tooOld, offsetAfter }] of Object.entries(plan.repos).sort(([a], [b]) => a.localeCompare(b))) {
+        const sum = metric => imported.reduce((total, row) => total + row[metric], 0);
+        console.log(`📦 ${repo}`);
+        if (imported.length > 0) {
+            const dates = imported.map(row => row.date).sort();
+            console.log(`   ➕ ${imported.length} day(s), ${dates[0]} → ${dates[dates.length - 1]}: ${sum('views').toLocaleString()} views, ${sum('clones').toLocaleString()} clones`);
+            console.log(`      legacyOffset afterwards: ${offsetAfter.views.toLocaleString()} views, ${offsetAfter.clones.toLocaleString()} clones`);
+        }
+        const conflicts = overlaps.filter(overlap => !overlap.matches);
+        if (overlaps.length > 0) {
+            console.log(`   ⏭️  ${overlaps.length} day(s) already recorded by the collector, kept as they are` +
+                (conflicts.length ? ` — ${conflicts.length} differ from the import:` : ''));
+            conflicts.slice(0, 10).forEach(({ date, row, existing }) => {
+                const stored = existing || { views: 0, clones: 0 };
+                console.log(`      ${date}: stored ${stored.views} views / ${stored.clones} clones, import ${row.views} / ${row.clones}`);
+            });
+        }
+        if (tooOld.length > 0) {
+            console.log(`   ⏭️  ${tooOld.length} day(s) before the retention cutoff ${retentionCutoff} skipped — ` +
+                'raise historyRetentionDays in portfolio.config.json to keep them');
+        }
+    }
+}
+
+function main(argv = process.argv.slice(2)) {
+    const { values: options, positionals: files } = parseArgs({ args: argv, options: CLI_OPTIONS, allowPositionals: true });
+
+    if (options.help) {
+        const source = fs.readFileSync(__filename, 'utf8');
+        console.log(source.slice(source.indexOf('USAGE'), source.indexOf(' */')).replace(/^ \* ?/gm, ''));
+        return;
+    }
+    if (files.length === 0) {
+        throw new Error(USAGE);
+    }
+
+    const runDate = options.now ? new Date(options.now) : new Date();
+    if (Number.isNaN(runDate.getTime())) {
+        throw new Error(`Invalid --now date: ${options.now}`);
+    }
+    const dataFile = options['data-file'] ? path.resolve(options['data-file']) : DATA_FILE;
+    if (!fs.existsSync(dataFile)) {
+        throw new Error(`${path.relative(process.cwd(), dataFile)} does not exist — run the collector first`);
+    }
+    const config = loadPortfolioConfig(options.config ? path.resolve(options.config) : CONFIG_FILE);
+    const retentionCutoff = retentionCutoffFor(runDate, config.historyRetentionDays);
+
+    const rows = readRows(files, options);
+    console.log(`📥 ${rows.length} row(s) read from ${files.length} file(s)`);
+
+    const loadedData = loadHistoricalData(dataFile);
+    const { data: before } = migrate(loadedData, { date: runDate.toISOString() });
+
+    const plan = planImport(before, rows, { retentionCutoff });
+    printPlan(plan, retentionCutoff);
+
+    if (plan.problems.length > 0) {
+        console.error(`\n❌ Nothing imported — ${plan.problems.length} problem(s):`);
+        plan.problems.forEach(problem => console.error(`  - ${problem}`));
+        process.exitCode = 1;
+        return;
+    }
+
+    const after = applyImport(before, plan, {
+        date: runDate.toISOString(),
+        source: files.map(file => path.basename(file)).join(', ')
+    });
+    if (after === before) {
+        console.log('\nℹ️  Nothing new to import');
+        return;
+    }
+
+    // The whole point: totals must come out identical, and consistent
+    const problems = [
+        ...checkSafeToSave(loadedData, after),
+        ...findInconsistentTotals(after),
+        ...Object.keys(after.repositories)
+            .filter(repo => ['totalClones', 'totalViews'].some(key => after.repositories[repo][key] !== before.repositories[repo][key]))
+            .map(repo => `${repo}: an all-time total would change`)
+    ];
+    if (problems.length > 0) {
+        console.error('\n🛑 Refusing to save:');
+        problems.forEach(problem => console.error(`  - ${problem}`));
+        process.exitCode = 1;
+        return;
+    }
+
+    if (options['dry-run']) {
+        console.log('\n🔍 Dry run — no files written. Changes:');
+        describeChanges(loadedData, after).forEach(line => console.log(`  ${line}`));
+        return;
+    }
+
+    saveHistoricalData(after, dataFile);
+    const { changed, stale } = savePageData(after, path.dirname(dataFile));
+    console.log(`\n💾 Saved ${path.relative(process.cwd(), dataFile)}`);
+    console.log(`🗂️  Page data rebuilt: ${changed.length} file(s) written, ${stale.length} stale shard(s) removed`);
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { main };
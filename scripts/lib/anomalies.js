@@ -0,0 +1,188 @@
+/**
+ * Spike and milestone detection over the per-day traffic history
+ *
+ * Spikes — each day is compared with the SPIKE_BASELINE_DAYS days before it
+ * using a robust z-score. Median and median absolute deviation (MAD) are used
+ * instead of mean and standard deviation, so an earlier spike in the baseline
+ * doesn't hide the next one:
+ *
+ *   score = (value − median) / max(1.4826 × MAD, 1)
+ *
+ * A day is a spike when its score reaches SPIKE_MIN_SCORE, it is at least
+ * SPIKE_MIN_RATIO × the median, and it clears SPIKE_MIN_COUNT — so a repo
+ * going from 0 to 3 views doesn't count as "viral".
+ *
+ * Milestones — the day a repo's (or the whole portfolio's) all-time clones or
+ * views first reached one of MILESTONES, found by walking legacyOffset plus a
+ * running sum of history[]. Thresholds already passed before per-day history
+ * began have no date and are not reported.
+ *
+ * Events are re-derived from the data on every run and merged into
+ * data.events by id, so re-running the collector never duplicates them and an
+ * event outlives the history entries it was detected from.
+ *
+ * Pure functions only — inputs are never mutated.
+ */
+
+const METRICS = ['clones', 'views'];
+
+const SPIKE_BASELINE_DAYS = 28;
+const SPIKE_MIN_BASELINE_DAYS = 7;
+const SPIKE_MIN_SCORE = 3.5;
+const SPIKE_MIN_RATIO = 3;
+const SPIKE_MIN_COUNT = 20;
+
+const MILESTONES = [100, 250, 500, 1000, 2500, 5000, 10000, 25000, 50000, 100000, 250000, 500000, 1000000];
+
+// Oldest events are dropped past this many
+const MAX_EVENTS = 500;
+
+function addDays(dateStr, n) {
+    const date = new Date(`${dateStr}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + n);
+    return date.toISOString().split('T')[0];
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+const round1 = value => Math.round(value * 10) / 10;
+
+// Spikes in one repo's history for one metric. Days missing from history[]
+// count as zero, but nothing before the first recorded day is assumed.
+function detectSpikes(history, metric, repo) {
+    if (history.length === 0) return [];
+
+    const valueByDate = {};
+    history.forEach(entry => { valueByDate[entry.date] = entry[metric] || 0; });
+    const firstDate = history[0].date;
+
+    const spikes = [];
+    for (const { date } of history) {
+        const value = valueByDate[date];
+        if (value < SPIKE_MIN_COUNT) continue;
+
+        const baseline = [];
+        for (let offset = SPIKE_BASELINE_DAYS; offset >= 1; offset--) {
+            const day = addDays(date, -offset);
+            if (day >= firstDate) baseline.push(valueByDate[day] || 0);
+        }
+        if (baseline.length < SPIKE_MIN_BASELINE_DAYS) continue;
+
+        const center = median(baseline);
+        const mad = median(baseline.map(v => Math.abs(v - center)));
+        const score = (value - center) / Math.max(1.4826 * mad, 1);
+
+        if (score >= SPIKE_MIN_SCORE && value >= SPIKE_MIN_RATIO * Math.max(center, 1)) {
+            spikes.push({
+                id: `spike:${repo}:${metric}:${date}`,
+                type: 'spike',
+                date,
+                repo,
+                metric,
+                value,
+                baseline: round1(center),
+                score: round1(score)
+            });
+        }
+    }
+    return spikes;
+}
+
+// Thresholds crossed by `offset` + running sum of `daily` ({ date, value }),
+// each with the date it was first reached. `repo` is null for the portfolio.
+function detectMilestones(daily, offset, metric, repo) {
+    const milestones = [];
+    let total = offset;
+    let next = MILESTONES.findIndex(threshold => threshold > total);
+
+    for (const { date, value } of daily) {
+        total += value;
+        while (next !== -1 && next < MILESTONES.length && total >= MILESTONES[next]) {
+            milestones.push({
+                id: `milestone:${repo || '*'}:${metric}:${MILESTONES[next]}`,
+                type: 'milestone',
+                date,
+                repo,
+                metric,
+                value: MILESTONES[next]
+            });
+            next++;
+        }
+    }
+    return milestones;
+}
+
+// Every event the current data supports, per repo and portfolio-wide
+function detectEvents(repositories) {
+    const events = [];
+    const portfolioOffset = { clones: 0, views: 0 };
+    const portfolioDaily = { clones: {}, views: {} };
+
+    for (const [repo, record] of Object.entries(repositories)) {
+        const history = [...(record.history || [])].sort((a, b) => a.date.localeCompare(b.date));
+        const legacyOffset = record.legacyOffset || { clones: 0, views: 0 };
+
+        METRICS.forEach(metric => {
+            events.push(...detectSpikes(history, metric, repo));
+            const daily = history.map(entry => ({ date: entry.date, value: entry[metric] || 0 }));
+            events.push(...detectMilestones(daily, legacyOffset[metric] || 0, metric, repo));
+
+            portfolioOffset[metric] += legacyOffset[metric] || 0;
+            daily.forEach(({ date, value }) => {
+                portfolioDaily[metric][date] = (portfolioDaily[metric][date] || 0) + value;
+            });
+        });
+    }
+
+    METRICS.forEach(metric => {
+        const daily = Object.entries(portfolioDaily[metric])
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([date, value]) => ({ date, value }));
+        events.push(...detectMilestones(daily, portfolioOffset[metric], metric, null));
+    });
+
+    return events;
+}
+
+function compareEvents(a, b) {
+    return a.date.localeCompare(b.date) || a.id.localeCompare(b.id);
+}
+
+// Merge freshly detected events into the stored list by id (a re-detected
+// event is refreshed, e.g. when a partially processed day was corrected).
+// Returns { events, added } with events oldest first.
+function mergeEvents(existing, detected) {
+    const byId = new Map((existing || []).map(event => [event.id, event]));
+    const added = detected.filter(event => !byId.has(event.id)).sort(compareEvents);
+    detected.forEach(event => byId.set(event.id, event));
+
+    const events = [...byId.values()].sort(compareEvents).slice(-MAX_EVENTS);
+    return { events, added };
+}
+
+// One-line description, shared by the collector's log and the dry-run diff
+function describeEvent(event) {
+    const who = event.repo || 'All repositories';
+    if (event.type === 'milestone') {
+        return `${who} passed ${event.value.toLocaleString()} ${event.metric} on ${event.date}`;
+    }
+    const usual = event.baseline < 1
+        ? 'usually under 1/day'
+        : `~${Math.round(event.value / event.baseline)}× the usual ${event.baseline}/day`;
+    return `${who}: ${event.value.toLocaleString()} ${event.metric} on ${event.date} (${usual})`;
+}
+
+module.exports = {
+    SPIKE_BASELINE_DAYS,
+    MILESTONES,
+    MAX_EVENTS,
+    detectSpikes,
+    detectMilestones,
+    detectEvents,
+    mergeEvents,
+    describeEvent
+};
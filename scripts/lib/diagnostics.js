@@ -0,0 +1,267 @@
+/**
+ * Collector diagnostics — the report behind `collect-traffic-stats.js --diagnose`
+ *
+ * The collector gathers raw facts with its own token (who it authenticates
+ * as, its scopes, one traffic request per tracked repo, the rate-limit
+ * budget) and these functions turn them into checks:
+ *
+ *   { id, title, status: "ok" | "warning" | "error", summary,
+ *     items: [{ name, status, detail }] }
+ *
+ * buildDiagnosticsReport() wraps them into the JSON file verify-token.html
+ * displays. Nothing here ever sees the token itself, so the report is safe
+ * to open in a browser.
+ *
+ * Pure functions only.
+ */
+
+const { SCHEMA_VERSION } = require('./traffic-accumulator');
+
+const STATUS_ORDER = ['ok', 'warning', 'error'];
+
+// Warn when a token expires sooner than this
+const EXPIRY_WARNING_DAYS = 14;
+
+// traffic-stats.yml runs on days 1, 4, … 28, 31 of each month, so up to 3 days
+// pass between runs (the 28th to the 1st of a 30-day month), and scheduled
+// runs often start late. Data older than this means runs are being missed.
+const RUN_INTERVAL_DAYS = 3;
+const STALE_AFTER_DAYS = RUN_INTERVAL_DAYS + 1;
+
+// Requests one full collector run makes, per tracked repo
+const REST_PER_REPO = 5;      // clones, views, referrers, paths, README
+const GRAPHQL_PER_REPO = 1;   // PR and commit counts
+const REPOS_PER_PAGE = 100;
+
+function worst(statuses) {
+    return statuses.reduce((a, b) => (STATUS_ORDER.indexOf(b) > STATUS_ORDER.indexOf(a) ? b : a), 'ok');
+}
+
+function check(id, title, items, summary) {
+    return { id, title, status: worst(items.map(item => item.status)), summary, items };
+}
+
+// identity: { login, headers } from GET /user, or { error } when it failed
+function checkToken(identity, owner, now = new Date()) {
+    if (identity.error) {
+        return check('token', 'Token', [{
+            name: 'Authentication',
+            status: 'error',
+            detail: `GET /user failed: ${identity.error}. The token is invalid or expired, or it is an Actions/App token that can't act as a user.`
+        }], 'The token could not authenticate');
+    }
+
+    const items = [{
+        name: 'Authenticated as',
+        status: identity.login.toLowerCase() === owner.toLowerCase() ? 'ok' : 'warning',
+        detail: identity.login.toLowerCase() === owner.toLowerCase()
+            ? identity.login
+            : `${identity.login} — not the configured owner ${owner}; traffic needs push access to every repo`
+    }];
+
+    // Classic tokens list their scopes; fine-grained tokens send no such
+    // header and their repository permissions only show in what they can do
+    const scopesHeader = identity.headers['x-oauth-scopes'];
+    if (scopesHeader !== undefined) {
+        const scopes = scopesHeader.split(',').map(scope => scope.trim()).filter(Boolean);
+        items.push({
+            name: 'Scopes (classic token)',
+            status: scopes.includes('repo') ? 'ok' : 'error',
+            detail: scopes.includes('repo')
+                ? scopes.join(', ')
+                : `${scopes.join(', ') || 'none'} — the traffic API needs the "repo" scope`
+        });
+    } else {
+        items.push({
+            name: 'Permissions (fine-grained token)',
+            status: 'ok',
+            detail: 'Needs "Administration: read" and "Metadata: read" on every tracked repo — see the traffic check below'
+        });
+    }
+
+    const expiration = identity.headers['github-authentication-token-expiration'];
+    if (expiration) {
+        // e.g. "2026-07-01 12:00:00 UTC"
+        const expires = new Date(expiration.replace(' UTC', 'Z').replace(' ', 'T'));
+        const daysLeft = Math.floor((expires - now) / 86400000);
+        if (!Number.isNaN(daysLeft)) {
+            items.push({
+                name: 'Expires',
+                status: daysLeft < 0 ? 'error' : daysLeft < EXPIRY_WARNING_DAYS ? 'warning' : 'ok',
+                detail: daysLeft < 0 ? `expired on ${expiration}` : `${expiration} (in ${daysLeft} day(s))`
+            });
+        }
+    }
+
+    return check('token', 'Token', items, `Authenticated as ${identity.login}`);
+}
+
+// results: [{ repo, status, error? }] from one traffic request per tracked
+// repo; listError when the tracked repos couldn't even be listed
+function checkTrafficAccess(results, listError = null) {
+    if (listError) {
+        return check('traffic', 'Traffic access', [{ name: 'Repository list', status: 'error', detail: listError }], 'Could not list the tracked repos');
+    }
+    const reason = status => {
+        if (status === 403) return 'forbidden — the token has no push access (fine-grained: "Administration: read")';
+        if (status === 404) return 'not found — the repo is gone or the token can\'t see it';
+        return null;
+    };
+    const items = results.map(({ repo, status, error }) => ({
+        name: repo,
+        status: error ? 'error' : 'ok',
+        detail: error ? (reason(status) || error) : 'traffic readable'
+    }));
+    const failing = items.filter(item => item.status !== 'ok').length;
+
+    if (items.length === 0) {
+        return check('traffic', 'Traffic access', [{ name: 'Tracked repos', status: 'error', detail: 'No repos are tracked — check portfolio.config.json' }], 'Nothing to check');
+    }
+    return check('traffic', 'Traffic access', items,
+        failing === 0 ? `All ${items.length} tracked repos readable` : `${failing} of ${items.length} tracked repos not readable`);
+}
+
+// What one full run costs, roughly: { rest, graphql }
+function estimateRunBudget({ accounts, trackedRepos, upstreamRepos = 0, upstream = true }) {
+    // At least a page per account; a page holds REPOS_PER_PAGE repos
+    const listing = accounts + Math.floor(trackedRepos / REPOS_PER_PAGE);
+    return {
+        rest: listing + trackedRepos * REST_PER_REPO,
+        // user id, then upstream discovery (two paged queries) and counts
+        graphql: 1 + trackedRepos * GRAPHQL_PER_REPO + (upstream ? 2 + upstreamRepos : 0)
+    };
+}
+
+// rateLimit: GET /rate_limit's `resources`, or { error }; budget:
+// estimateRunBudget()
+function checkRateLimit(rateLimit, budget) {
+    if (rateLimit.error) {
+        return check('rate-limit', 'Rate limit', [{ name: 'GET /rate_limit', status: 'error', detail: rateLimit.error }], 'Could not read the rate limit');
+    }
+    const items = [['core', 'REST', budget.rest], ['graphql', 'GraphQL', budget.graphql]].map(([resource, label, needed]) => {
+        const { limit, remaining, reset } = rateLimit[resource];
+        const resetAt = new Date(reset * 1000).toISOString();
+        let status = 'ok';
+        let detail = `~${needed} needed, ${remaining} of ${limit} left`;
+        if (limit < needed) {
+            status = 'error';
+            detail += ' — a full run needs more than the hourly limit';
+        } else if (remaining < needed) {
+            status = 'warning';
+            detail += ` — wait for the reset at ${resetAt}`;
+        }
+        return { name: `${label} budget`, status, detail };
+    });
+    return check('rate-limit', 'Rate limit', items, `A full run needs ~${budget.rest} REST and ~${budget.graphql} GraphQL requests`);
+}
+
+// Per repo and global totals that don't add up to what they're derived from
+function findInconsistentTotals(data) {
+    const problems = [];
+    const sum = (history, field) => (history || []).reduce((total, entry) => total + (entry[field] || 0), 0);
+
+    for (const [repo, record] of Object.entries(data.repositories || {})) {
+        const offset = record.legacyOffset || { clones: 0, views: 0 };
+        [['totalClones', 'clones'], ['totalViews', 'views']].forEach(([key, field]) => {
+            const expected = offset[field] + sum(record.history, field);
+            if (record[key] !== expected) {
+                problems.push(`${repo}.${key} is ${record[key]} but legacyOffset + history add up to ${expected}`);
+            }
+        });
+    }
+
+    ['totalClones', 'totalViews'].forEach(key => {
+        const expected = Object.values(data.repositories || {}).reduce((total, record) => total + (record[key] || 0), 0);
+        if (data[key] !== expected) {
+            problems.push(`${key} is ${data[key]} but the repos add up to ${expected}`);
+        }
+    });
+    return problems;
+}
+
+// loaded: the file as read (null when there is none yet); migrated: after
+// migrate(); schemaProblems: validateTrafficData(migrated); trackedRepos:
+// keys tracked by the config. loadError when reading or migrating failed.
+function checkDataFile({ loaded, migrated, schemaProblems, trackedRepos, loadError = null, now = new Date() }) {
+    if (loadError) {
+        return check('data-file', 'Data file', [{ name: 'Read', status: 'error', detail: loadError }], 'The data file can\'t be used');
+    }
+    if (loaded === null) {
+        return check('data-file', 'Data file', [{ name: 'Read', status: 'warning', detail: 'No data file yet — the first run creates it' }], 'No data yet');
+    }
+
+    const items = [];
+
+    const version = loaded.schemaVersion || 1;
+    items.push({
+        name: 'Schema version',
+        status: 'ok',
+        detail: version === SCHEMA_VERSION ? `v${version}` : `v${version} — will be migrated to v${SCHEMA_VERSION} on the next run`
+    });
+
+    items.push({
+        name: 'JSON Schema',
+        status: schemaProblems.length ? 'error' : 'ok',
+        detail: schemaProblems.length ? schemaProblems.slice(0, 10).join('; ') : 'valid'
+    });
+
+    const inconsistent = findInconsistentTotals(migrated);
+    items.push({
+        name: 'Totals',
+        status: inconsistent.length ? 'error' : 'ok',
+        detail: inconsistent.length ? inconsistent.slice(0, 10).join('; ') : 'every total matches its history'
+    });
+
+    if (migrated.lastUpdated) {
+        const ageDays = (now - new Date(migrated.lastUpdated)) / 86400000;
+        const stale = ageDays > STALE_AFTER_DAYS;
+        items.push({
+            name: 'Last updated',
+            status: stale ? 'warning' : 'ok',
+            detail: `${migrated.lastUpdated}${stale ? ` — ${Math.floor(ageDays)} days ago; is the workflow running?` : ''}`
+        });
+    }
+
+    const lastRun = migrated.lastRun;
+    if (lastRun && lastRun.failedRepos.length > 0) {
+        items.push({
+            name: 'Last run',
+            status: 'warning',
+            detail: `${lastRun.failedRepos.length} repo(s) failed: ${lastRun.failedRepos.map(failed => failed.repo).join(', ')}`
+        });
+    }
+
+    const tracked = new Set(trackedRepos);
+    const untracked = Object.keys(migrated.repositories || {}).filter(repo => !tracked.has(repo));
+    if (untracked.length > 0) {
+        items.push({
+            name: 'No longer tracked',
+            status: 'ok',
+            detail: `${untracked.join(', ')} — kept with their all-time totals`
+        });
+    }
+
+    return check('data-file', 'Data file', items,
+        `${Object.keys(migrated.repositories || {}).length} repos, ${(migrated.totalViews || 0).toLocaleString('en-US')} views, ${(migrated.totalClones || 0).toLocaleString('en-US')} clones`);
+}
+
+function buildDiagnosticsReport({ generatedAt, owner, checks }) {
+    return {
+        generatedAt,
+        owner,
+        status: worst(checks.map(item => item.status)),
+        checks
+    };
+}
+
+module.exports = {
+    EXPIRY_WARNING_DAYS,
+    STALE_AFTER_DAYS,
+    checkToken,
+    checkTrafficAccess,
+    estimateRunBudget,
+    checkRateLimit,
+    findInconsistentTotals,
+    checkDataFile,
+    buildDiagnosticsReport
+};
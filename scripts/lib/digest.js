@@ -0,0 +1,187 @@
+/**
+ * Run digest for the traffic collector's notifiers
+ *
+ * buildDigest() condenses one run into a plain object — what changed since
+ * the last run, repos tracked for the first time, failures, and newly
+ * detected milestones and spikes. The renderers turn it into Markdown (the
+ * Actions job summary) or self-contained HTML with inline styles (email
+ * clients ignore <style> blocks and external CSS).
+ *
+ * Pure functions only — sending is done by the sinks in notifiers.js.
+ */
+
+const { describeEvent } = require('./anomalies');
+
+const TOTALS = [
+    ['totalClones', 'Clones'],
+    ['totalViews', 'Views'],
+    ['totalPRs', 'PRs authored'],
+    ['totalCommits', 'Commits authored'],
+    ['totalContributions', 'Contributions']
+];
+const MOVERS_LIMIT = 10;
+
+// before/after: traffic-history.json as loaded and as saved (or as it would
+// have been saved). failedRepos is the run's lastRun.failedRepos.
+function buildDigest({ before, after, runDate, username, newRepos = [], failedRepos = [], requestErrors = 0, newEvents = [], saveProblems = [], dryRun = false }) {
+    const beforeRepos = before.repositories || {};
+    const date = runDate.toISOString().split('T')[0];
+
+    const totals = TOTALS.map(([key, label]) => ({
+        key,
+        label,
+        before: before[key] || 0,
+        after: after[key] || 0,
+        delta: (after[key] || 0) - (before[key] || 0)
+    }));
+
+    const movers = Object.entries(after.repositories || {})
+        .map(([repo, record]) => {
+            const old = beforeRepos[repo] || {};
+            return {
+                repo,
+                clones: (record.totalClones || 0) - (old.totalClones || 0),
+                views: (record.totalViews || 0) - (old.totalViews || 0)
+            };
+        })
+        .filter(mover => mover.clones > 0 || mover.views > 0)
+        .sort((a, b) => (b.clones + b.views) - (a.clones + a.views) || a.repo.localeCompare(b.repo))
+        .slice(0, MOVERS_LIMIT);
+
+    const withText = event => ({ ...event, text: describeEvent(event) });
+
+    return {
+        title: `Traffic stats for ${username} — ${date}`,
+        date,
+        runAt: runDate.toISOString(),
+        dryRun,
+        saved: !dryRun && saveProblems.length === 0,
+        saveProblems,
+        totals,
+        movers,
+        newRepos,
+        failures: failedRepos.map(({ repo, failures }) => ({
+            repo,
+            parts: failures.map(failure => `${failure.part}: ${failure.error}`)
+        })),
+        requestErrors,
+        milestones: newEvents.filter(event => event.type === 'milestone').map(withText),
+        spikes: newEvents.filter(event => event.type === 'spike').map(withText)
+    };
+}
+
+function signed(n) {
+    return `${n > 0 ? '+' : ''}${n.toLocaleString()}`;
+}
+
+// One line for chat-style webhooks and logs
+function summarizeDigest(digest) {
+    const total = key => digest.totals.find(row => row.key === key);
+    const parts = [
+        `${signed(total('totalClones').delta)} clones`,
+        `${signed(total('totalViews').delta)} views`
+    ];
+    if (digest.newRepos.length) parts.push(`${digest.newRepos.length} new repo(s)`);
+    if (digest.milestones.length) parts.push(`${digest.milestones.length} milestone(s)`);
+    if (digest.spikes.length) parts.push(`${digest.spikes.length} spike(s)`);
+    if (digest.failures.length) parts.push(`${digest.failures.length} repo(s) failed`);
+    if (digest.saveProblems.length) parts.push('NOT SAVED');
+    return `${digest.title}: ${parts.join(', ')}`;
+}
+
+function renderMarkdownDigest(digest) {
+    const lines = [`## 📊 ${digest.title}`, ''];
+
+    if (digest.dryRun) lines.push('> 🧪 Dry run — nothing was saved.', '');
+    if (digest.saveProblems.length) {
+        lines.push('> ❌ **The data file was not saved:**');
+        digest.saveProblems.forEach(problem => lines.push(`> - ${problem}`));
+        lines.push('');
+    }
+
+    lines.push('| Metric | Before | After | Change |', '| --- | ---: | ---: | ---: |');
+    digest.totals.forEach(row => {
+        lines.push(`| ${row.label} | ${row.before.toLocaleString()} | ${row.after.toLocaleString()} | ${signed(row.delta)} |`);
+    });
+
+    const section = (heading, items) => {
+        if (items.length === 0) return;
+        lines.push('', `### ${heading}`, '', ...items.map(item => `- ${item}`));
+    };
+
+    section('📈 Biggest movers', digest.movers.map(m => `**${m.repo}**: ${signed(m.clones)} clones, ${signed(m.views)} views`));
+    section('🏆 Milestones', digest.milestones.map(event => event.text));
+    section('🚀 Spikes', digest.spikes.map(event => event.text));
+    section('🆕 New repositories', digest.newRepos.map(repo => `\`${repo}\``));
+    section('⚠️ Failures', digest.failures.map(f => `**${f.repo}** — ${f.parts.join('; ')}`));
+
+    if (digest.requestErrors > 0) {
+        lines.push('', `${digest.requestErrors} API request(s) failed in total.`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Email-ready: a single table-based document with inline styles only
+function renderHtmlDigest(digest) {
+    const cell = 'padding:6px 12px;border-bottom:1px solid #e5e7eb;';
+    const heading = text => `<h3 style="margin:24px 0 8px;font-size:16px;color:#111827;">${escapeHtml(text)}</h3>`;
+    const list = items => `<ul style="margin:0;padding-left:20px;color:#374151;">${items.map(item => `<li style="margin:4px 0;">${item}</li>`).join('')}</ul>`;
+    const section = (title, items) => (items.length ? heading(title) + list(items) : '');
+    const notice = (text, color) => `<p style="margin:0 0 16px;padding:10px 14px;border-radius:6px;background:${color};color:#111827;">${text}</p>`;
+
+    const rows = digest.totals.map(row => `
+        <tr>
+            <td style="${cell}">${escapeHtml(row.label)}</td>
+            <td style="${cell}text-align:right;">${row.before.toLocaleString()}</td>
+            <td style="${cell}text-align:right;">${row.after.toLocaleString()}</td>
+            <td style="${cell}text-align:right;color:${row.delta < 0 ? '#b91c1c' : '#047857'};">${escapeHtml(signed(row.delta))}</td>
+        </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(digest.title)}</title>
+</head>
+<body style="margin:0;padding:24px;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif;font-size:14px;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:640px;margin:0 auto;background:#ffffff;border-radius:8px;">
+<tr><td style="padding:24px;">
+<h2 style="margin:0 0 16px;font-size:20px;color:#111827;">📊 ${escapeHtml(digest.title)}</h2>
+${digest.dryRun ? notice('🧪 Dry run — nothing was saved.', '#e0e7ff') : ''}
+${digest.saveProblems.length ? notice(`❌ <strong>The data file was not saved:</strong> ${digest.saveProblems.map(escapeHtml).join('; ')}`, '#fee2e2') : ''}
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="border-collapse:collapse;">
+    <tr>
+        <th style="${cell}text-align:left;">Metric</th>
+        <th style="${cell}text-align:right;">Before</th>
+        <th style="${cell}text-align:right;">After</th>
+        <th style="${cell}text-align:right;">Change</th>
+    </tr>${rows}
+</table>
+${section('📈 Biggest movers', digest.movers.map(m => `<strong>${escapeHtml(m.repo)}</strong>: ${escapeHtml(signed(m.clones))} clones, ${escapeHtml(signed(m.views))} views`))}
+${section('🏆 Milestones', digest.milestones.map(event => escapeHtml(event.text)))}
+${section('🚀 Spikes', digest.spikes.map(event => escapeHtml(event.text)))}
+${section('🆕 New repositories', digest.newRepos.map(escapeHtml))}
+${section('⚠️ Failures', digest.failures.map(f => `<strong>${escapeHtml(f.repo)}</strong> — ${escapeHtml(f.parts.join('; '))}`))}
+${digest.requestErrors > 0 ? `<p style="margin:16px 0 0;color:#6b7280;">${digest.requestErrors} API request(s) failed in total.</p>` : ''}
+</td></tr>
+</table>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    buildDigest,
+    summarizeDigest,
+    renderMarkdownDigest,
+    renderHtmlDigest
+};
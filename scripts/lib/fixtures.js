@@ -0,0 +1,89 @@
+/**
+ * Recorded-response transports for running the collector offline
+ *
+ * Plug into createGitHubClient({ transport }) in place of the live HTTPS
+ * transport. A fixture file is either the raw response body (served as 200)
+ * or an envelope { status, headers, body } as written by --record.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Fixture files are named after the request path and query, e.g.
+//   /repos/owner/repo/traffic/clones?per=day → repos__owner__repo__traffic__clones--per_day.json
+// GraphQL requests all share one URL, so they're named after the operation
+// and its variables instead:
+//   RepoContributions { owner, name, ... } → graphql--RepoContributions--owner_name.json
+// (a pagination cursor, `after`, is appended to the name when set)
+function fixtureFileName(url, options = {}) {
+    const { pathname, search } = new URL(url);
+    const base = pathname.replace(/^\//, '').replace(/\//g, '__');
+
+    if (options.body && pathname === '/graphql') {
+        const { operationName, variables = {} } = JSON.parse(options.body);
+        const keys = ['login', 'owner', 'name', 'after'].filter(key => variables[key] !== undefined && variables[key] !== null);
+        const suffix = keys.map(key => String(variables[key]).replace(/[^\w.-]+/g, '_')).join('_');
+        return `${base}--${operationName || 'query'}${suffix ? '--' + suffix : ''}.json`;
+    }
+
+    const query = search ? '--' + search.slice(1).replace(/[^\w.-]+/g, '_') : '';
+    return `${base}${query}.json`;
+}
+
+function isEnvelope(fixture) {
+    return fixture !== null && typeof fixture === 'object' && !Array.isArray(fixture) &&
+        'status' in fixture && 'body' in fixture;
+}
+
+// Replays responses from `dir`. A missing fixture behaves like a 404.
+function createFixtureTransport(dir) {
+    return async (url, options) => {
+        const file = path.join(dir, fixtureFileName(url, options));
+        if (!fs.existsSync(file)) {
+            return { status: 404, headers: {}, body: JSON.stringify({ message: `No fixture ${path.basename(file)}` }) };
+        }
+
+        const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!isEnvelope(fixture)) {
+            return { status: 200, headers: {}, body: JSON.stringify(fixture) };
+        }
+        return {
+            status: fixture.status,
+            headers: fixture.headers || {},
+            body: fixture.body === null ? '' : JSON.stringify(fixture.body)
+        };
+    };
+}
+
+// Headers worth keeping in a recording — the ones the client acts on, and
+// the token details --diagnose reports
+const RECORDED_HEADERS = ['link', 'retry-after', 'x-ratelimit-remaining', 'x-ratelimit-reset', 'x-oauth-scopes', 'github-authentication-token-expiration'];
+
+// Wraps a transport so every response is also saved into `dir` as a fixture
+function createRecordingTransport(transport, dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    return async (url, options) => {
+        const response = await transport(url, options);
+        const headers = {};
+        RECORDED_HEADERS.forEach(name => {
+            if (response.headers[name] !== undefined) headers[name] = response.headers[name];
+        });
+
+        let body = null;
+        try {
+            body = response.body ? JSON.parse(response.body) : null;
+        } catch (error) {
+            body = response.body;
+        }
+
+        const envelope = { status: response.status, headers, body };
+        fs.writeFileSync(path.join(dir, fixtureFileName(url, options)), JSON.stringify(envelope, null, 2));
+        return response;
+    };
+}
+
+module.exports = {
+    fixtureFileName,
+    createFixtureTransport,
+    createRecordingTransport
+};
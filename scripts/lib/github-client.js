@@ -0,0 +1,226 @@
+/**
+ * Minimal GitHub REST client for the traffic collector
+ *
+ * Every request goes through a pluggable transport (live HTTPS by default,
+ * recorded fixtures when replaying offline) and gets:
+ *
+ *   - retries with exponential backoff for 5xx, network errors and
+ *     202 "stats still computing" responses
+ *   - rate-limit handling: waits for X-RateLimit-Reset when the budget is
+ *     spent and honours Retry-After on secondary rate limits
+ *   - full Link-header pagination
+ *   - GraphQL queries, with errors[] surfaced as failures
+ *   - a per-run error report instead of silently returning empty data
+ *
+ * A request that still fails after all retries throws GitHubRequestError, so
+ * callers can keep previously stored values rather than recording zeros.
+ */
+
+const https = require('https');
+
+const API_BASE = 'https://api.github.com';
+
+class GitHubRequestError extends Error {
+    constructor(url, status, message) {
+        super(message);
+        this.name = 'GitHubRequestError';
+        this.url = url;
+        this.status = status;
+    }
+}
+
+// Live transport: resolves { status, headers, body } for any status code and
+// rejects only on network failure
+function httpsTransport(url, { headers, method = 'GET', body } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = https.request(url, { method, headers }, (res) => {
+            let data = '';
+            res.on('data', (chunk) => data += chunk);
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: data }));
+        });
+        req.on('error', reject);
+        if (body) req.write(body);
+        req.end();
+    });
+}
+
+// Extract the rel="next" URL from a Link header, if any
+function parseNextLink(linkHeader) {
+    if (!linkHeader) return null;
+    const match = linkHeader.split(',').map(part => part.match(/<([^>]+)>;\s*rel="next"/)).find(Boolean);
+    return match ? match[1] : null;
+}
+
+function defaultSleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function createGitHubClient({
+    token,
+    transport = httpsTransport,
+    sleep = defaultSleep,
+    now = () => Date.now(),
+    maxRetries = 4,
+    baseDelayMs = 1000,
+    maxRateLimitWaitMs = 15 * 60 * 1000,
+    log = console
+} = {}) {
+    const errors = [];
+    const stats = { requests: 0, retries: 0, rateLimitWaits: 0 };
+    const rateLimit = { remaining: null, reset: null };
+
+    const headers = {
+        'User-Agent': 'GitHub-Traffic-Collector',
+        'Accept': 'application/vnd.github.v3+json'
+    };
+    if (token) headers['Authorization'] = `token ${token}`;
+
+    function recordRateLimit(responseHeaders) {
+        if (responseHeaders['x-ratelimit-remaining'] !== undefined) {
+            rateLimit.remaining = parseInt(responseHeaders['x-ratelimit-remaining'], 10);
+        }
+        if (responseHeaders['x-ratelimit-reset'] !== undefined) {
+            rateLimit.reset = parseInt(responseHeaders['x-ratelimit-reset'], 10) * 1000;
+        }
+    }
+
+    // How long to wait before retrying a rate-limited response, or null if it
+    // isn't a rate limit at all
+    function rateLimitDelay(response) {
+        const retryAfter = response.headers['retry-after'];
+        if (retryAfter !== undefined) {
+            return parseInt(retryAfter, 10) * 1000;
+        }
+        if ((response.status === 403 || response.status === 429) && rateLimit.remaining === 0 && rateLimit.reset) {
+            return Math.max(0, rateLimit.reset - now()) + 1000;
+        }
+        return null;
+    }
+
+    async function waitForRateLimit(ms, url) {
+        if (ms > maxRateLimitWaitMs) {
+            throw new GitHubRequestError(url, 403, `Rate limit resets in ${Math.ceil(ms / 60000)} min — longer than the ${Math.ceil(maxRateLimitWaitMs / 60000)} min we are willing to wait`);
+        }
+        stats.rateLimitWaits++;
+        log.warn(`⏳ Rate limited — waiting ${Math.ceil(ms / 1000)}s before retrying ${url}`);
+        await sleep(ms);
+    }
+
+    async function attempt(url, options) {
+        // Don't burn a request we already know will be refused
+        if (rateLimit.remaining === 0 && rateLimit.reset && rateLimit.reset > now()) {
+            await waitForRateLimit(rateLimit.reset - now() + 1000, url);
+            rateLimit.remaining = null;
+        }
+
+        for (let tries = 0; ; tries++) {
+            let response;
+            stats.requests++;
+            try {
+                response = await transport(url, { headers: { ...headers, ...(options.headers || {}) }, method: options.method, body: options.body });
+            } catch (error) {
+                if (tries < maxRetries) {
+                    stats.retries++;
+                    await sleep(baseDelayMs * 2 ** tries);
+                    continue;
+                }
+                throw new GitHubRequestError(url, null, `Network error after ${tries + 1} attempts: ${error.message}`);
+            }
+
+            recordRateLimit(response.headers);
+
+            if (response.status === 204) {
+                return { data: null, headers: response.headers, status: 204 };
+            }
+            if (response.status >= 200 && response.status < 300 && response.status !== 202) {
+                return { data: response.body ? JSON.parse(response.body) : null, headers: response.headers, status: response.status };
+            }
+
+            const delay = rateLimitDelay(response);
+            if (delay !== null && tries < maxRetries) {
+                stats.retries++;
+                await waitForRateLimit(delay, url);
+                continue;
+            }
+
+            // 202: GitHub is still computing the statistics — ask again shortly
+            const retryable = response.status === 202 || response.status >= 500;
+            if (retryable && tries < maxRetries) {
+                stats.retries++;
+                await sleep(baseDelayMs * 2 ** tries);
+                continue;
+            }
+
+            const reason = response.status === 202
+                ? 'Statistics still being computed by GitHub'
+                : `HTTP ${response.status}`;
+            throw new GitHubRequestError(url, response.status, `${reason} after ${tries + 1} attempt(s)`);
+        }
+    }
+
+    // GET (or other method) a single URL. Failures are recorded in the run's
+    // error report and re-thrown. With { allowNotFound: true } a 404 is an
+    // expected answer (e.g. a repo without a README) and resolves with null data.
+    async function request(url, options = {}) {
+        try {
+            return await attempt(url, options);
+        } catch (error) {
+            if (options.allowNotFound && error.status === 404) {
+                return { data: null, headers: {}, status: 404 };
+            }
+            errors.push({ url, status: error.status === undefined ? null : error.status, message: error.message });
+            throw error;
+        }
+    }
+
+    // POST a GraphQL query. GraphQL reports most failures as 200 + errors[],
+    // which are turned into GitHubRequestError like any other failure.
+    async function graphql(query, variables = {}) {
+        const url = `${API_BASE}/graphql`;
+        const operationName = (query.match(/\b(?:query|mutation)\s+(\w+)/) || [])[1];
+        const response = await request(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ query, variables, operationName })
+        });
+
+        const errorMessages = (response.data && response.data.errors || []).map(e => e.message);
+        if (errorMessages.length > 0 || !response.data || !response.data.data) {
+            const message = `GraphQL ${operationName || 'query'} failed: ${errorMessages.join('; ') || 'empty response'}`;
+            errors.push({ url, status: response.status, message });
+            throw new GitHubRequestError(url, response.status, message);
+        }
+        return response.data.data;
+    }
+
+    // Follow Link rel="next" until exhausted and return every item
+    async function paginate(url) {
+        const items = [];
+        let next = url;
+        while (next) {
+            const response = await request(next);
+            if (Array.isArray(response.data)) {
+                items.push(...response.data);
+            }
+            next = parseNextLink(response.headers.link);
+        }
+        return items;
+    }
+
+    return {
+        request,
+        graphql,
+        paginate,
+        errors,
+        stats,
+        rateLimit
+    };
+}
+
+module.exports = {
+    API_BASE,
+    GitHubRequestError,
+    httpsTransport,
+    parseNextLink,
+    createGitHubClient
+};
@@ -0,0 +1,110 @@
+/**
+ * Small JSON Schema (draft-07) validator
+ *
+ * Supports the keywords data/traffic-history.schema.json uses — type, const,
+ * enum, required, properties, additionalProperties, items, minimum, pattern,
+ * oneOf and local $ref (#/definitions/...) — which keeps the collector free of
+ * npm dependencies. Unknown keywords are ignored, as the spec allows.
+ *
+ * validate() returns a list of { path, message }; an empty list means valid.
+ */
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(root, ref) {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Only local $ref is supported, got ${ref}`);
+    }
+    return ref.slice(2).split('/').reduce((node, key) => {
+        if (!node || !(key in node)) throw new Error(`Unresolvable $ref ${ref}`);
+        return node[key];
+    }, root);
+}
+
+function validateNode(root, schema, value, path, errors) {
+    if (schema.$ref) {
+        validateNode(root, resolveRef(root, schema.$ref), value, path, errors);
+        return;
+    }
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push({ path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+            return;
+        }
+    }
+
+    if ('const' in schema && value !== schema.const) {
+        errors.push({ path, message: `expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}` });
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, message: `expected one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+    }
+
+    if (schema.oneOf) {
+        const matching = schema.oneOf.filter(option => {
+            const optionErrors = [];
+            validateNode(root, option, value, path, optionErrors);
+            return optionErrors.length === 0;
+        });
+        if (matching.length !== 1) {
+            errors.push({ path, message: `must match exactly one schema in oneOf (matched ${matching.length})` });
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path, message: `must be >= ${schema.minimum}, got ${value}` });
+        }
+        if (!Number.isFinite(value)) {
+            errors.push({ path, message: 'must be a finite number' });
+        }
+    }
+
+    if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push({ path, message: `does not match ${schema.pattern}` });
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => validateNode(root, schema.items, item, `${path}[${i}]`, errors));
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) errors.push({ path, message: `missing required property "${key}"` });
+        });
+
+        const properties = schema.properties || {};
+        for (const [key, child] of Object.entries(value)) {
+            const childPath = `${path}.${key}`;
+            if (properties[key]) {
+                validateNode(root, properties[key], child, childPath, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: childPath, message: 'is not allowed' });
+            } else if (typeof schema.additionalProperties === 'object') {
+                validateNode(root, schema.additionalProperties, child, childPath, errors);
+            }
+        }
+    }
+}
+
+function validate(schema, value) {
+    const errors = [];
+    validateNode(schema, schema, value, '$', errors);
+    return errors;
+}
+
+module.exports = {
+    validate
+};
@@ -0,0 +1,118 @@
+/**
+ * Ordered schema migrations for traffic-history.json
+ *
+ * Each step upgrades the file by exactly one version. migrate() runs every
+ * step between the file's schemaVersion and SCHEMA_VERSION in order and
+ * appends one entry per step to data.migrationLog, so the file itself records
+ * how it got to its current shape.
+ *
+ * To add a migration: bump SCHEMA_VERSION in traffic-accumulator.js, append a
+ * { from, to, description, up } step below, and update
+ * data/traffic-history.schema.json. Steps must be pure (return new objects)
+ * and must never lower an all-time total — the collector refuses to save a
+ * result that does.
+ */
+
+const { SCHEMA_VERSION } = require('./traffic-accumulator');
+const { createPopularRecord } = require('./popular-content');
+
+// ── v1 → v2 ─────────────────────────────────────────────────────────────────
+//
+// v1 stored rolling 14-day window TOTALS as a single number per run — summing
+// those would massively overcount. So we:
+//
+//   1. Snapshot each repo's current v1 totalClones / totalViews into a
+//      legacyOffset object — these represent ALL activity before this run.
+//   2. Clear the v1-style history[] so it rebuilds from accurate per-day data.
+//   3. Keep PRs and commits — they are already correct point-in-time counts.
+//
+// legacyOffset is NEVER zeroed again. It is the permanent baseline for all
+// time before this tool started recording per-day data.
+function upgradeV1ToV2(data) {
+    const repositories = {};
+    for (const [repoName, repo] of Object.entries(data.repositories || {})) {
+        repositories[repoName] = {
+            ...repo,
+            // Preserve existing accumulated totals as the legacy baseline
+            legacyOffset: {
+                clones: repo.totalClones || 0,
+                views:  repo.totalViews  || 0
+            },
+            // Clear v1 history — it cannot be summed accurately
+            history:     [],
+            // Recomputed as legacyOffset + per-day sum on the next run; kept
+            // at the v1 value until then so no total ever reads lower
+            totalClones: repo.totalClones || 0,
+            totalViews:  repo.totalViews  || 0
+        };
+    }
+    return { ...data, repositories };
+}
+
+// ── v2 → v3 ─────────────────────────────────────────────────────────────────
+//
+// Every repo record gets the full set of accumulator fields (repos added by
+// older collectors may lack legacyOffset or popular), so the JSON Schema can
+// require them instead of every reader guessing.
+function upgradeV2ToV3(data) {
+    const repositories = {};
+    for (const [repoName, repo] of Object.entries(data.repositories || {})) {
+        repositories[repoName] = {
+            ...repo,
+            legacyOffset: repo.legacyOffset || { clones: 0, views: 0 },
+            history:      repo.history || [],
+            totalPRs:     repo.totalPRs || 0,
+            totalCommits: repo.totalCommits || 0,
+            popular:      repo.popular || { referrers: createPopularRecord(), paths: createPopularRecord() }
+        };
+    }
+    return { ...data, repositories };
+}
+
+const MIGRATIONS = [
+    {
+        from: 1,
+        to: 2,
+        description: 'Per-day history with a legacyOffset baseline for pre-v2 totals',
+        up: upgradeV1ToV2
+    },
+    {
+        from: 2,
+        to: 3,
+        description: 'Complete repo records (legacyOffset, history, popular) and a migration log',
+        up: upgradeV2ToV3
+    }
+];
+
+if (MIGRATIONS[MIGRATIONS.length - 1].to !== SCHEMA_VERSION) {
+    throw new Error(`Migration registry ends at v${MIGRATIONS[MIGRATIONS.length - 1].to} but SCHEMA_VERSION is ${SCHEMA_VERSION}`);
+}
+
+// Bring `data` up to SCHEMA_VERSION. Files without a schemaVersion are v1.
+// Returns { data, applied }; data is the same object when nothing ran.
+function migrate(data, { date }) {
+    const version = data.schemaVersion || 1;
+    if (version > SCHEMA_VERSION) {
+        throw new Error(`traffic-history.json is schema v${version}, newer than this collector (v${SCHEMA_VERSION})`);
+    }
+
+    let current = data;
+    const applied = [];
+    for (const step of MIGRATIONS.filter(step => step.from >= version)) {
+        current = {
+            ...step.up(current),
+            schemaVersion: step.to
+        };
+        applied.push({ from: step.from, to: step.to, date, description: step.description });
+    }
+
+    if (applied.length > 0) {
+        current.migrationLog = [...(data.migrationLog || []), ...applied];
+    }
+    return { data: current, applied };
+}
+
+module.exports = {
+    MIGRATIONS,
+    migrate
+};
@@ -0,0 +1,126 @@
+/**
+ * Notification sinks for the traffic collector
+ *
+ * A sink is { name, send(digest) } where send returns a promise. The
+ * collector builds one digest per run (see digest.js) and hands it to every
+ * configured sink:
+ *
+ *   createWebhookSink       POSTs { text, digest } as JSON to any URL
+ *   createMarkdownFileSink  writes the Markdown digest, e.g. appended to
+ *                           $GITHUB_STEP_SUMMARY for the Actions job summary
+ *   createHtmlFileSink      writes the email-ready HTML digest
+ *
+ * A failing sink never fails the run — by the time notifications go out the
+ * data has already been saved — so notifyAll() reports failures instead of
+ * throwing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+
+const { summarizeDigest, renderMarkdownDigest, renderHtmlDigest } = require('./digest');
+
+// POST a JSON body; resolves { status, body } for 2xx and rejects otherwise
+function postJson(url, payload, { headers = {}, timeoutMs = 10000 } = {}) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const transport = target.protocol === 'http:' ? http : https;
+        const body = JSON.stringify(payload);
+
+        const req = transport.request(target, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                'User-Agent': 'GitHub-Traffic-Collector',
+                ...headers
+            },
+            timeout: timeoutMs
+        }, (res) => {
+            let data = '';
+            res.on('data', (chunk) => data += chunk);
+            res.on('end', () => {
+                if (res.statusCode >= 200 && res.statusCode < 300) {
+                    resolve({ status: res.statusCode, body: data });
+                } else {
+                    reject(new Error(`Webhook responded HTTP ${res.statusCode}`));
+                }
+            });
+        });
+        req.on('timeout', () => req.destroy(new Error(`Webhook timed out after ${timeoutMs}ms`)));
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+// The webhook's host, or null when `url` isn't an http(s) URL
+function webhookHost(url) {
+    try {
+        const target = new URL(url);
+        return ['http:', 'https:'].includes(target.protocol) ? target.host : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// A malformed URL doesn't throw here: sinks are built before the data is
+// saved, so the sink is kept and fails when sent to, like any other failure
+function createWebhookSink({ url, headers, timeoutMs, post = postJson }) {
+    const host = webhookHost(url);
+    if (!host) {
+        return {
+            name: 'webhook (invalid URL)',
+            send: async () => { throw new Error('the webhook URL is not a valid http(s) URL'); }
+        };
+    }
+    return {
+        // Never log the full URL — webhook URLs usually embed a secret
+        name: `webhook (${host})`,
+        send: digest => post(url, { text: summarizeDigest(digest), digest }, { headers, timeoutMs })
+    };
+}
+
+function writeFile(file, content, append) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    if (append) {
+        fs.appendFileSync(file, content);
+    } else {
+        fs.writeFileSync(file, content);
+    }
+}
+
+// append: true adds to an existing file (GitHub's job summary file is shared
+// by every step of the job)
+function createMarkdownFileSink({ file, append = false }) {
+    return {
+        name: `markdown (${path.basename(file)})`,
+        send: async digest => writeFile(file, renderMarkdownDigest(digest), append)
+    };
+}
+
+function createHtmlFileSink({ file }) {
+    return {
+        name: `html (${path.basename(file)})`,
+        send: async digest => writeFile(file, renderHtmlDigest(digest), false)
+    };
+}
+
+// Send to every sink in parallel. Returns [{ name, ok, error? }].
+async function notifyAll(sinks, digest) {
+    const results = await Promise.allSettled(sinks.map(sink => sink.send(digest)));
+    return results.map((result, i) => ({
+        name: sinks[i].name,
+        ok: result.status === 'fulfilled',
+        ...(result.status === 'rejected' ? { error: result.reason.message } : {})
+    }));
+}
+
+module.exports = {
+    postJson,
+    createWebhookSink,
+    createMarkdownFileSink,
+    createHtmlFileSink,
+    notifyAll
+};
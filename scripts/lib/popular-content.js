@@ -0,0 +1,117 @@
+/**
+ * Referrer and popular-path accumulator for traffic-history.json
+ *
+ * GitHub's traffic/popular/referrers and traffic/popular/paths endpoints only
+ * return the top 10 entries summed over the last 14 days — there is no
+ * per-day breakdown to upsert. To keep a long-term record without counting
+ * the same visit twice, each repo keeps, per kind:
+ *
+ *   latest        the current 14-day window, replaced on every run
+ *   periods[]     non-overlapping 14-day windows — a run only records a new
+ *                 period once the previous one has fully rolled out of
+ *                 GitHub's window
+ *   legacyOffset  per-name counts of periods older than the retention cutoff,
+ *                 absorbed before they are dropped so all-time counts never
+ *                 shrink (the same rule as clones/views)
+ *
+ *   allTime[name] = legacyOffset[name].count + sum(periods[*] count for name)
+ *
+ * Days between periods (missed runs) and entries outside GitHub's top 10
+ * can't be recovered, so all-time counts are a lower bound.
+ *
+ * Pure functions only — inputs are never mutated.
+ */
+
+const POPULAR_WINDOW_DAYS = 14;
+const POPULAR_KINDS = ['referrers', 'paths'];
+
+function addDays(dateStr, n) {
+    const date = new Date(`${dateStr}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + n);
+    return date.toISOString().split('T')[0];
+}
+
+function createPopularRecord() {
+    return { latest: null, periods: [], legacyOffset: {} };
+}
+
+// Apply one run's items ({ name, title?, count, uniques }) to a record.
+// null items (the fetch failed) leave the record as it was.
+function updatePopularRecord(record, items, { today, retentionCutoff }) {
+    const base = record || createPopularRecord();
+    if (!items) return base;
+
+    const current = { start: addDays(today, -(POPULAR_WINDOW_DAYS - 1)), end: today, items: items.map(item => ({ ...item })) };
+    const periods = base.periods.slice();
+    const last = periods[periods.length - 1];
+    if (!last || last.end < current.start) {
+        periods.push(current);
+    }
+
+    const legacyOffset = {};
+    Object.entries(base.legacyOffset).forEach(([name, entry]) => { legacyOffset[name] = { ...entry }; });
+    const retained = [];
+    for (const period of periods) {
+        if (period.end < retentionCutoff) {
+            period.items.forEach(({ name, title, count }) => {
+                const entry = legacyOffset[name] || (legacyOffset[name] = { count: 0 });
+                entry.count += count;
+                if (title) entry.title = title;
+            });
+        } else {
+            retained.push(period);
+        }
+    }
+
+    return { latest: current, periods: retained, legacyOffset };
+}
+
+// `popular` is { referrers, paths } as stored on a repo; `fetched` the same
+// shape with this run's items (either may be null/undefined)
+function updatePopularContent(popular, fetched, options) {
+    const result = {};
+    POPULAR_KINDS.forEach(kind => {
+        result[kind] = updatePopularRecord(popular && popular[kind], fetched ? fetched[kind] : null, options);
+    });
+    return result;
+}
+
+// All-time counts across one or more records, highest first
+function computePopularTotals(records) {
+    const totals = {};
+    const add = (name, count, title) => {
+        const total = totals[name] || (totals[name] = { name, count: 0 });
+        total.count += count;
+        if (title) total.title = title;
+    };
+
+    records.filter(Boolean).forEach(record => {
+        Object.entries(record.legacyOffset).forEach(([name, entry]) => add(name, entry.count, entry.title));
+        record.periods.forEach(period => period.items.forEach(item => add(item.name, item.count, item.title)));
+    });
+
+    return Object.values(totals).sort((a, b) => (b.count - a.count) || a.name.localeCompare(b.name));
+}
+
+// Merge GitHub's current 14-day windows across records, highest first
+function computeLatestPopular(records) {
+    const totals = {};
+    records.filter(record => record && record.latest).forEach(record => {
+        record.latest.items.forEach(({ name, title, count }) => {
+            const total = totals[name] || (totals[name] = { name, count: 0 });
+            total.count += count;
+            if (title) total.title = title;
+        });
+    });
+    return Object.values(totals).sort((a, b) => (b.count - a.count) || a.name.localeCompare(b.name));
+}
+
+module.exports = {
+    POPULAR_WINDOW_DAYS,
+    POPULAR_KINDS,
+    createPopularRecord,
+    updatePopularRecord,
+    updatePopularContent,
+    computePopularTotals,
+    computeLatestPopular
+};
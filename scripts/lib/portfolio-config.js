@@ -0,0 +1,140 @@
+/**
+ * portfolio.config.json — what the collector tracks and how contributions count
+ *
+ * The same file is fetched by the page (script.js), so the GitHub owner, the
+ * tracked repos and the contributions formula are configured in one place:
+ *
+ *   owner                  the portfolio's GitHub user — profile links, and
+ *                          the person whose PRs and commits are counted.
+ *                          index.html's links for visitors without
+ *                          JavaScript name the owner statically
+ *   accounts[]             users or organisations whose public repos are
+ *                          tracked: { login, type: "user" | "org", forks? }.
+ *                          Defaults to just the owner.
+ *   repos.include/exclude  glob patterns (* and ?) matched against the repo
+ *                          name, or against "login/name" when the pattern
+ *                          contains a slash. Exclude wins over include.
+ *   repos.forks            track forked repos (default true, as GitHub's
+ *                          repo listing does); accounts[].forks overrides it
+ *   historyRetentionDays   days of per-day detail kept before entries are
+ *                          absorbed into legacyOffset
+ *   upstream               also record the owner's PRs and commits in repos
+ *                          they contributed to but no account owns (default
+ *                          true; repos.exclude applies — see upstream.js)
+ *   contributions.weights  contributions = commits × weights.commits
+ *                                         + PRs × weights.prs
+ *
+ * The owner's repos are keyed by their bare name in traffic-history.json and
+ * projects.json, as they always have been; repos of any other account are
+ * keyed "login/name" so names can't collide across accounts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { validate } = require('./json-schema');
+const { DEFAULT_CONTRIBUTION_WEIGHTS } = require('./traffic-accumulator');
+
+const CONFIG_FILE = path.join(__dirname, '../../portfolio.config.json');
+const CONFIG_SCHEMA_FILE = path.join(__dirname, '../../portfolio.config.schema.json');
+
+const DEFAULT_RETENTION_DAYS = 365;
+
+// Fill in defaults so callers never have to
+function normalizeConfig(raw) {
+    const repos = raw.repos || {};
+    const forks = repos.forks !== undefined ? repos.forks : true;
+    const accounts = raw.accounts && raw.accounts.length > 0
+        ? raw.accounts
+        : [{ login: raw.owner, type: 'user' }];
+
+    return {
+        owner: raw.owner,
+        accounts: accounts.map(account => ({
+            login: account.login,
+            type: account.type || 'user',
+            forks: account.forks !== undefined ? account.forks : forks
+        })),
+        repos: {
+            include: repos.include || ['*'],
+            exclude: repos.exclude || []
+        },
+        historyRetentionDays: raw.historyRetentionDays || DEFAULT_RETENTION_DAYS,
+        upstream: raw.upstream !== undefined ? raw.upstream : true,
+        contributions: {
+            weights: { ...DEFAULT_CONTRIBUTION_WEIGHTS, ...((raw.contributions && raw.contributions.weights) || {}) }
+        }
+    };
+}
+
+// Read, validate and normalize the config. Throws listing every problem.
+function loadPortfolioConfig(file = CONFIG_FILE) {
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read ${path.basename(file)}: ${error.message}`);
+    }
+
+    const schema = JSON.parse(fs.readFileSync(CONFIG_SCHEMA_FILE, 'utf8'));
+    const problems = validate(schema, raw).map(({ path: at, message }) => `${at || '(root)'} ${message}`);
+    if (problems.length > 0) {
+        throw new Error(`${path.basename(file)} is invalid:\n  - ${problems.join('\n  - ')}`);
+    }
+    return normalizeConfig(raw);
+}
+
+// * matches any run of characters except "/", ? exactly one
+function globToRegExp(pattern) {
+    const source = pattern
+        .split('')
+        .map(char => {
+            if (char === '*') return '[^/]*';
+            if (char === '?') return '[^/]';
+            return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+function matchesAny(patterns, login, name) {
+    return patterns.some(pattern => globToRegExp(pattern).test(pattern.includes('/') ? `${login}/${name}` : name));
+}
+
+// Key used in the data files: the bare name for the owner's repos
+function repoKey(config, login, name) {
+    return login.toLowerCase() === config.owner.toLowerCase() ? name : `${login}/${name}`;
+}
+
+// "login/name" for API URLs, from a key
+function repoFullName(config, key) {
+    return key.includes('/') ? key : `${config.owner}/${key}`;
+}
+
+// API path listing an account's public repos
+function accountReposPath(account) {
+    return account.type === 'org'
+        ? `/orgs/${account.login}/repos?type=public&per_page=100`
+        : `/users/${account.login}/repos?type=public&per_page=100`;
+}
+
+// Which of an account's REST repo objects are tracked
+function selectRepos(config, account, repos) {
+    return repos.filter(repo =>
+        (account.forks || !repo.fork) &&
+        matchesAny(config.repos.include, account.login, repo.name) &&
+        !matchesAny(config.repos.exclude, account.login, repo.name)
+    );
+}
+
+module.exports = {
+    CONFIG_FILE,
+    normalizeConfig,
+    loadPortfolioConfig,
+    globToRegExp,
+    matchesAny,
+    repoKey,
+    repoFullName,
+    accountReposPath,
+    selectRepos
+};
@@ -0,0 +1,52 @@
+/**
+ * data/projects.json — the manifest the project grid is rendered from
+ *
+ * Each entry is either a public repo ({ repo: "<name>" }) or a hand-written
+ * enterprise entry ({ id, enterprise: true }). Hand-written fields (title,
+ * icon, category, badges, description, tech, demo, hidden) always win; the
+ * collector only ever writes the `github` block and appends newly found repos.
+ */
+
+function toGitHubMetadata(repo) {
+    return {
+        description: repo.description || '',
+        topics:      repo.topics || [],
+        language:    repo.language || null,
+        stars:       repo.stargazers_count || 0,
+        forks:       repo.forks_count || 0,
+        pushedAt:    repo.pushed_at || null,
+        homepage:    repo.homepage || null,
+        url:         repo.html_url
+    };
+}
+
+// Merge GitHub metadata for `repos` (REST repo objects) into the manifest.
+// A repo's manifest key is `repo.key` when set ("login/name" for accounts
+// other than the owner, see portfolio-config.js), else its name.
+// Returns a new manifest plus the keys of repos that were appended.
+function enrichProjectsManifest(manifest, repos, runDate) {
+    const projects = (manifest.projects || []).map(project => ({ ...project }));
+    const byRepo = {};
+    projects.forEach(project => { if (project.repo) byRepo[project.repo] = project; });
+
+    const added = [];
+    for (const repo of repos) {
+        const key = repo.key || repo.name;
+        if (byRepo[key]) {
+            byRepo[key].github = toGitHubMetadata(repo);
+        } else {
+            projects.push({ repo: key, discovered: runDate.toISOString().split('T')[0], github: toGitHubMetadata(repo) });
+            added.push(key);
+        }
+    }
+
+    return {
+        manifest: { ...manifest, lastUpdated: runDate.toISOString(), projects },
+        added
+    };
+}
+
+module.exports = {
+    toGitHubMetadata,
+    enrichProjectsManifest
+};
@@ -0,0 +1,53 @@
+/**
+ * README excerpts for the project detail drawer
+ *
+ * The page never calls the GitHub API itself, so the collector snapshots the
+ * opening of each README into data/readmes/<repo>.md. Anything the drawer
+ * can't show safely or usefully — raw HTML, images, badges, tables, code
+ * blocks — is stripped here; the drawer renders what's left as a small
+ * Markdown subset.
+ */
+
+const README_EXCERPT_MAX_CHARS = 1500;
+
+// Blocks that carry no readable text once images and HTML are gone
+function isNoiseBlock(block) {
+    if (/^[-*_=\s]+$/.test(block)) return true; // horizontal rules / setext underlines
+    return block.split('\n').every(line => /^\s*\|/.test(line)); // tables
+}
+
+function extractReadmeExcerpt(markdown, maxChars = README_EXCERPT_MAX_CHARS) {
+    const cleaned = markdown
+        .replace(/\r\n?/g, '\n')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/^(`{3,}|~{3,})[^\n]*\n[\s\S]*?^\1[^\n]*$/gm, '')   // fenced code blocks
+        .replace(/\[!\[[^\]]*\]\([^)]*\)\]\([^)]*\)/g, '')            // linked badges
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, '')                         // images
+        .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (_, level, text) => `${'#'.repeat(level)} ${text.trim()}`)
+        .replace(/<\/?[a-zA-Z][^>]*>/g, '')                           // raw HTML tags (text kept)
+        .replace(/^\s*\[[^\]]+\]:\s*\S+.*$/gm, '');                   // reference link definitions
+
+    const blocks = cleaned
+        .split(/\n\s*\n/)
+        .map(block => block.split('\n').map(line => line.trimEnd()).join('\n').trim())
+        .filter(block => block && !isNoiseBlock(block));
+
+    const kept = [];
+    let length = 0;
+    for (const block of blocks) {
+        if (kept.length > 0 && length + block.length > maxChars) break;
+        // A single oversized opening block is cut at a word boundary
+        const text = block.length > maxChars
+            ? block.slice(0, block.lastIndexOf(' ', maxChars) > 0 ? block.lastIndexOf(' ', maxChars) : maxChars) + '…'
+            : block;
+        kept.push(text);
+        length += text.length;
+    }
+
+    return kept.join('\n\n');
+}
+
+module.exports = {
+    README_EXCERPT_MAX_CHARS,
+    extractReadmeExcerpt
+};
@@ -0,0 +1,75 @@
+/**
+ * Checks the collector runs before writing traffic-history.json
+ *
+ * A run must never leave the file in a state the page can't read or with
+ * less all-time traffic than it started with — a bug, a truncated API
+ * response or a bad migration would otherwise silently erase history that
+ * GitHub no longer has. Any problem found here aborts the save.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { validate } = require('./json-schema');
+
+const SCHEMA_FILE = path.join(__dirname, '../../data/traffic-history.schema.json');
+
+// All-time accumulators. PR and commit counts are point-in-time numbers that
+// may legitimately go down (e.g. a PR is closed), so they aren't guarded.
+const ALL_TIME_TOTALS = ['totalClones', 'totalViews'];
+
+let cachedSchema = null;
+
+function loadTrafficSchema() {
+    if (!cachedSchema) {
+        cachedSchema = JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf8'));
+    }
+    return cachedSchema;
+}
+
+// Schema violations as readable strings
+function validateTrafficData(data) {
+    return validate(loadTrafficSchema(), data).map(({ path: at, message }) => `${at} ${message}`);
+}
+
+// Every all-time total (global and per repo) that is lower in `after` than in
+// `before`, plus repos that disappeared — as readable strings
+function findLoweredTotals(before, after) {
+    const problems = [];
+
+    for (const key of ALL_TIME_TOTALS) {
+        if ((after[key] || 0) < (before[key] || 0)) {
+            problems.push(`${key} would drop from ${before[key]} to ${after[key] || 0}`);
+        }
+    }
+
+    for (const [repoName, oldRepo] of Object.entries(before.repositories || {})) {
+        const newRepo = (after.repositories || {})[repoName];
+        if (!newRepo) {
+            problems.push(`repository ${repoName} would be removed`);
+            continue;
+        }
+        for (const key of ALL_TIME_TOTALS) {
+            if ((newRepo[key] || 0) < (oldRepo[key] || 0)) {
+                problems.push(`${repoName}.${key} would drop from ${oldRepo[key]} to ${newRepo[key] || 0}`);
+            }
+        }
+    }
+
+    return problems;
+}
+
+// Everything that should stop `after` from replacing `before` on disk
+function checkSafeToSave(before, after) {
+    return [
+        ...validateTrafficData(after).map(problem => `schema: ${problem}`),
+        ...findLoweredTotals(before, after)
+    ];
+}
+
+module.exports = {
+    SCHEMA_FILE,
+    validateTrafficData,
+    findLoweredTotals,
+    checkSafeToSave
+};
@@ -0,0 +1,127 @@
+/**
+ * Page-facing files derived from traffic-history.json
+ *
+ * traffic-history.json stays the collector's single source of truth, but the
+ * page shouldn't download every repo's year of daily history just to show a
+ * few totals. After each run the collector derives:
+ *
+ *   data/summary.json                 totals for first paint, one entry per
+ *                                     repo, global top referrers/pages, the
+ *                                     latest highlights (events), upstream
+ *                                     contributions, and the path + content
+ *                                     hash of every shard
+ *   data/history/combined.json        per-day clones/views summed over repos,
+ *                                     plus every event (the aggregate chart)
+ *   data/history/repos/<repo>.json    one repo's daily history, referrers/
+ *                                     paths and events (sparklines, drawer)
+ *
+ * Shards are requested as <file>?v=<hash>, so their URLs change exactly when
+ * their content does and the browser can cache them indefinitely.
+ *
+ * Pure: buildPageData() returns file contents; the collector writes them.
+ */
+
+const crypto = require('crypto');
+
+const { computePopularTotals, computeLatestPopular } = require('./popular-content');
+const { listUpstreamContributions } = require('./upstream');
+
+// Bumped when summary.json changes shape in a way the page must know about
+const SUMMARY_VERSION = 1;
+const POPULAR_SUMMARY_LIMIT = 10;
+const HIGHLIGHTS_LIMIT = 6;
+
+const GLOBAL_KEYS = ['totalClones', 'totalViews', 'totalPRs', 'totalCommits', 'totalContributions', 'prBreakdown', 'commitBreakdown', 'uniques'];
+const REPO_KEYS = ['totalClones', 'totalViews', 'totalPRs', 'totalCommits', 'prs', 'commits', 'uniques'];
+
+function contentHash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex').slice(0, 12);
+}
+
+function serialize(value) {
+    return JSON.stringify(value, null, 2) + '\n';
+}
+
+function pick(source, keys) {
+    const result = {};
+    keys.forEach(key => { if (source[key] !== undefined) result[key] = source[key]; });
+    return result;
+}
+
+// Sum clones/views per date across every repo's history
+function combineHistories(histories) {
+    const byDate = {};
+    histories.forEach(history => history.forEach(({ date, clones, views }) => {
+        const day = byDate[date] || (byDate[date] = { date, clones: 0, views: 0 });
+        day.clones += clones || 0;
+        day.views  += views  || 0;
+    }));
+    return Object.values(byDate).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Safe as a path segment: GitHub repo names are [A-Za-z0-9._-], but never
+// trust that blindly when building file names
+function shardFileName(repo) {
+    return `history/repos/${repo.replace(/[^\w.-]/g, '_')}.json`;
+}
+
+// Returns { summary, files } where files maps a path relative to data/ to
+// its serialized content (summary.json included)
+function buildPageData(data) {
+    const files = {};
+    const shardRef = (file, value) => {
+        const content = serialize(value);
+        files[file] = content;
+        return { file, hash: contentHash(content) };
+    };
+
+    const events = data.events || [];
+    const repositories = {};
+    for (const [repo, record] of Object.entries(data.repositories || {})) {
+        const history = record.history || [];
+        repositories[repo] = {
+            ...pick(record, REPO_KEYS),
+            historyDays: history.length,
+            shard: shardRef(shardFileName(repo), {
+                repo,
+                history,
+                popular: record.popular || null,
+                events: events.filter(event => event.repo === repo)
+            })
+        };
+    }
+
+    const records = kind => Object.values(data.repositories || {}).map(record => record.popular && record.popular[kind]);
+    const popular = {};
+    ['referrers', 'paths'].forEach(kind => {
+        popular[kind] = {
+            last14Days: computeLatestPopular(records(kind)).slice(0, POPULAR_SUMMARY_LIMIT),
+            allTime:    computePopularTotals(records(kind)).slice(0, POPULAR_SUMMARY_LIMIT)
+        };
+    });
+
+    const combined = combineHistories(Object.values(data.repositories || {}).map(record => record.history || []));
+    const summary = {
+        summaryVersion: SUMMARY_VERSION,
+        lastUpdated: data.lastUpdated,
+        ...pick(data, GLOBAL_KEYS),
+        combinedHistory: { ...shardRef('history/combined.json', { history: combined, events }), days: combined.length },
+        popular,
+        // Newest first
+        highlights: events.slice(-HIGHLIGHTS_LIMIT).reverse(),
+        // Most active first; firstSeen/lastUpdated are collector bookkeeping
+        upstream: listUpstreamContributions(data.upstream).map(({ firstSeen, lastUpdated, ...record }) => record),
+        repositories
+    };
+    files['summary.json'] = serialize(summary);
+
+    return { summary, files };
+}
+
+module.exports = {
+    SUMMARY_VERSION,
+    contentHash,
+    combineHistories,
+    shardFileName,
+    buildPageData
+};
@@ -0,0 +1,261 @@
+/**
+ * All-time accumulator math for traffic-history.json
+ *
+ * Pure functions only — no I/O, no clock, no mutation of their inputs — so the
+ * invariants described in collect-traffic-stats.js can be tested directly:
+ *
+ *   1. Totals never shrink: totalX = legacyOffset.X + sum(history[*].X)
+ *   2. Entries older than the retention cutoff move into legacyOffset before
+ *      they are dropped, so absorbing them leaves the totals unchanged.
+ *   3. Re-fetched days are upserted by date — a day reported by several runs
+ *      is counted once, with the latest value winning.
+ */
+
+const { updatePopularContent } = require('./popular-content');
+
+// Schema migrations live in migrations.js; bump this together with a new step there
+const SCHEMA_VERSION = 3;
+const UNIQUE_WINDOWS = { last14Days: 14, last30Days: 30 };
+// Contributions = commits × commits weight + PRs × prs weight. PRs weigh more
+// as larger units of work; portfolio.config.json can override both.
+const DEFAULT_CONTRIBUTION_WEIGHTS = { commits: 1, prs: 10 };
+
+function toDateStr(date) {
+    return date.toISOString().split('T')[0];
+}
+
+// YYYY-MM-DD of the day `days` days before runDate — entries strictly older
+// than this are absorbed into legacyOffset
+function retentionCutoffFor(runDate, days) {
+    const cutoff = new Date(runDate);
+    cutoff.setUTCDate(cutoff.getUTCDate() - days);
+    return toDateStr(cutoff);
+}
+
+function createEmptyData() {
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        lastUpdated: null,
+        totalClones: 0,
+        totalViews: 0,
+        totalPRs: 0,
+        totalCommits: 0,
+        totalContributions: 0,
+        repositories: {}
+    };
+}
+
+function createRepoRecord() {
+    return {
+        legacyOffset: { clones: 0, views: 0 },
+        totalClones:  0,
+        totalViews:   0,
+        totalPRs:     0,
+        totalCommits: 0,
+        history: []
+    };
+}
+
+// Upsert per-day API values into history[] by date. Days the API reports again
+// are overwritten (GitHub may still have been processing them last run), so
+// overlapping 14-day windows never double count. Returns a new sorted array.
+function upsertDailyTraffic(history, clonesByDay, viewsByDay) {
+    const historyByDate = {};
+    history.forEach(entry => { historyByDate[entry.date] = { ...entry }; });
+
+    const emptyDay = date => ({ date, clones: 0, clonesUniques: 0, views: 0, viewsUniques: 0 });
+
+    clonesByDay.forEach(({ date, count, uniques }) => {
+        const entry = historyByDate[date] || (historyByDate[date] = emptyDay(date));
+        entry.clones        = count;
+        entry.clonesUniques = uniques;
+    });
+
+    viewsByDay.forEach(({ date, count, uniques }) => {
+        const entry = historyByDate[date] || (historyByDate[date] = emptyDay(date));
+        entry.views        = count;
+        entry.viewsUniques = uniques;
+    });
+
+    return Object.values(historyByDate).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Split history[] at the retention cutoff. Entries older than cutoffStr are
+// absorbed into legacyOffset BEFORE being dropped — counts are never lost.
+function applyRetention(history, legacyOffset, cutoffStr) {
+    const offset = { clones: legacyOffset.clones || 0, views: legacyOffset.views || 0 };
+    const retained = [];
+
+    for (const entry of history) {
+        if (entry.date < cutoffStr) {
+            offset.clones += entry.clones || 0;
+            offset.views  += entry.views  || 0;
+        } else {
+            retained.push(entry);
+        }
+    }
+
+    return { history: retained, legacyOffset: offset };
+}
+
+//   totalClones = legacyOffset (all history before v2 + absorbed aged entries)
+//               + sum of every per-day entry still in history[]
+function computeRepoTotals(legacyOffset, history) {
+    const tracked = history.reduce((sum, e) => ({
+        clones: sum.clones + (e.clones || 0),
+        views:  sum.views  + (e.views  || 0)
+    }), { clones: 0, views: 0 });
+
+    return {
+        totalClones: legacyOffset.clones + tracked.clones,
+        totalViews:  legacyOffset.views  + tracked.views,
+        tracked
+    };
+}
+
+// Sum per-day uniques over the `days` days ending on endDateStr (inclusive).
+// The same visitor returning on several days is counted once per day, so this
+// is an upper bound on the distinct visitors for the window.
+function sumDailyUniques(history, days, endDateStr) {
+    const start = new Date(`${endDateStr}T00:00:00Z`);
+    start.setUTCDate(start.getUTCDate() - (days - 1));
+    const startStr = toDateStr(start);
+
+    return history
+        .filter(entry => entry.date >= startStr && entry.date <= endDateStr)
+        .reduce((sum, entry) => ({
+            clones: sum.clones + (entry.clonesUniques || 0),
+            views:  sum.views  + (entry.viewsUniques  || 0)
+        }), { clones: 0, views: 0 });
+}
+
+// PR/commit fields for a repo record. totalPRs / totalCommits count only the
+// user's own work (authored PRs, authored commits); the full breakdown is kept
+// alongside so the page can show it. null contributions (fetch failed) keep
+// whatever was stored before.
+function contributionFields(base, contributions) {
+    if (!contributions) {
+        const kept = { totalPRs: base.totalPRs, totalCommits: base.totalCommits };
+        if (base.prs) kept.prs = base.prs;
+        if (base.commits) kept.commits = base.commits;
+        return kept;
+    }
+    return {
+        totalPRs:     contributions.prs.authored,
+        totalCommits: contributions.commits.authored,
+        prs:          { ...contributions.prs },
+        commits:      { ...contributions.commits }
+    };
+}
+
+// Earliest date in a history array, or null when it's empty
+function firstHistoryDay(history) {
+    return history.reduce((min, entry) => (min === null || entry.date < min ? entry.date : min), null);
+}
+
+// Apply one run's fetched traffic to a repo record: upsert, retention, totals,
+// rolling-window uniques and referrers/paths (see popular-content.js).
+// trackedSince is the first day the collector itself recorded; it's set once
+// and never moves, so days import-traffic.js backfills before it stay
+// distinguishable from the collector's own.
+// `repoData` may be undefined for new repos.
+// Any fetched part that is null (its request failed) leaves the previously
+// stored values in place rather than overwriting them with zeros.
+function updateRepoTraffic(repoData, fetched, { retentionCutoff, today }) {
+    const base = repoData || createRepoRecord();
+    const upserted = upsertDailyTraffic(base.history || [], fetched.clonesByDay || [], fetched.viewsByDay || []);
+    // Repos added after migration won't have a legacyOffset yet
+    const { history, legacyOffset } = applyRetention(upserted, base.legacyOffset || { clones: 0, views: 0 }, retentionCutoff);
+    const { totalClones, totalViews } = computeRepoTotals(legacyOffset, history);
+    const trackedSince = base.trackedSince || firstHistoryDay(upserted);
+
+    return {
+        ...base,
+        ...(trackedSince ? { trackedSince } : {}),
+        legacyOffset,
+        totalClones,
+        totalViews,
+        ...contributionFields(base, fetched.contributions),
+        history,
+        // All-time uniques can't be derived (visitors overlap across days),
+        // so only fixed recent windows are reported:
+        //   last14Days — GitHub's exact distinct count for its 14-day window
+        //   last30Days — sum of per-day uniques (approximate upper bound)
+        uniques: {
+            last14Days: fetched.windowUniques
+                ? { ...fetched.windowUniques, exact: true }
+                : (base.uniques ? base.uniques.last14Days : { clones: 0, views: 0, exact: true }),
+            last30Days: { ...sumDailyUniques(history, UNIQUE_WINDOWS.last30Days, today), exact: false }
+        },
+        popular: updatePopularContent(base.popular, fetched.popular, { today, retentionCutoff })
+    };
+}
+
+// Recompute global totals from all repo-level totals. `upstream` records
+// (see upstream.js) add the owner's PRs and commits in untracked repos; their
+// authored commits count towards commitBreakdown.total too, so "authored of
+// total" stays meaningful.
+function computeGlobalTotals(repositories, weights = DEFAULT_CONTRIBUTION_WEIGHTS, upstream = {}) {
+    const totals = {
+        totalClones:  0,
+        totalViews:   0,
+        totalPRs:     0,
+        totalCommits: 0,
+        prBreakdown:     { authored: 0, merged: 0, reviewed: 0, external: 0 },
+        commitBreakdown: { authored: 0, total: 0 },
+        uniques: {
+            last14Days: { clones: 0, views: 0, exact: false },
+            last30Days: { clones: 0, views: 0, exact: false }
+        }
+    };
+
+    for (const repo of Object.values(repositories)) {
+        totals.totalClones  += repo.totalClones  || 0;
+        totals.totalViews   += repo.totalViews   || 0;
+        totals.totalPRs     += repo.totalPRs     || 0;
+        totals.totalCommits += repo.totalCommits || 0;
+
+        for (const key of Object.keys(totals.prBreakdown)) {
+            totals.prBreakdown[key] += (repo.prs && repo.prs[key]) || 0;
+        }
+        for (const key of Object.keys(totals.commitBreakdown)) {
+            totals.commitBreakdown[key] += (repo.commits && repo.commits[key]) || 0;
+        }
+
+        // Global uniques are summed per repo — a visitor to several repos is
+        // counted once for each, so they're never marked exact
+        if (repo.uniques) {
+            for (const window of Object.keys(UNIQUE_WINDOWS)) {
+                totals.uniques[window].clones += repo.uniques[window].clones || 0;
+                totals.uniques[window].views  += repo.uniques[window].views  || 0;
+            }
+        }
+    }
+
+    for (const repo of Object.values(upstream)) {
+        totals.totalPRs     += repo.prs.authored;
+        totals.totalCommits += repo.commits.authored;
+        totals.prBreakdown.authored += repo.prs.authored;
+        totals.prBreakdown.merged   += repo.prs.merged;
+        totals.commitBreakdown.authored += repo.commits.authored;
+        totals.commitBreakdown.total    += repo.commits.authored;
+    }
+
+    totals.totalContributions = Math.round(totals.totalCommits * weights.commits + totals.totalPRs * weights.prs);
+    return totals;
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    DEFAULT_CONTRIBUTION_WEIGHTS,
+    retentionCutoffFor,
+    createEmptyData,
+    createRepoRecord,
+    upsertDailyTraffic,
+    applyRetention,
+    firstHistoryDay,
+    computeRepoTotals,
+    sumDailyUniques,
+    updateRepoTraffic,
+    computeGlobalTotals
+};
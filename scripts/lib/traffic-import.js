@@ -0,0 +1,250 @@
+/**
+ * Backfilling per-day history from external traffic exports
+ *
+ * Traffic from before per-day recording survives only as legacyOffset — one
+ * lump per repo. An export from an earlier tool, a manual record or another
+ * collector can give that lump its days back: each imported day is moved
+ * OUT of legacyOffset INTO history[], so
+ *
+ *   totalX = legacyOffset.X + sum(history[*].X)
+ *
+ * stays exactly the same. legacyOffset is never zeroed by this, only reduced
+ * by what the import accounts for, and an import claiming more traffic than
+ * legacyOffset holds is refused — that traffic was never counted.
+ *
+ * Days the collector already has per-day data for are never changed:
+ *
+ *   - a day already in history[], or on or after the repo's trackedSince
+ *     (the first day the collector recorded itself), overlaps the
+ *     collector's own record (a missing day there means GitHub reported no
+ *     traffic) and is skipped, reported as matching or conflicting. Days
+ *     imported earlier don't move trackedSince, so a later import can still
+ *     fill another gap before it
+ *   - a day older than the retention cutoff is skipped too — the next run
+ *     would absorb it straight back into legacyOffset
+ *
+ * Accepted inputs, all normalized to rows
+ * { repo, date, clones, clonesUniques, views, viewsUniques }:
+ *
+ *   CSV    header row with repo, date and any of the count columns — the
+ *          format traffic-report.js export writes
+ *   JSONL  one row object per line
+ *   JSON   an array of rows, or a traffic-history.json-shaped object
+ *          ({ repositories: { <repo>: { history: [...] } } })
+ *
+ * Rows without a repo take `defaultRepo` (the CLI's --repo).
+ *
+ * Pure functions only.
+ */
+
+const { firstHistoryDay } = require('./traffic-accumulator');
+
+const COUNT_FIELDS = ['clones', 'clonesUniques', 'views', 'viewsUniques'];
+const METRICS = ['clones', 'views'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// RFC 4180-ish: quoted fields may contain commas, quotes ("") and newlines
+function parseCsvRecords(content) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+    return records.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+function parseCsv(content) {
+    const [header, ...records] = parseCsvRecords(content);
+    if (!header) return [];
+    const columns = header.map(name => name.trim());
+    return records.map(fields => {
+        const row = {};
+        columns.forEach((column, i) => { row[column] = fields[i] === undefined ? '' : fields[i].trim(); });
+        return row;
+    });
+}
+
+function parseJson(content) {
+    const parsed = JSON.parse(content);
+    if (Array.isArray(parsed)) return parsed;
+    if (parsed && typeof parsed.repositories === 'object') {
+        return Object.entries(parsed.repositories)
+            .flatMap(([repo, record]) => (record.history || []).map(entry => ({ repo, ...entry })));
+    }
+    throw new Error('JSON imports must be an array of rows or have a "repositories" object');
+}
+
+function parseJsonl(content) {
+    return content.split(/\r?\n/).filter(line => line.trim()).map((line, i) => {
+        try {
+            return JSON.parse(line);
+        } catch (error) {
+            throw new Error(`line ${i + 1}: ${error.message}`);
+        }
+    });
+}
+
+// Validate and normalize raw rows. Throws listing every bad row.
+function normalizeRows(rawRows, { defaultRepo } = {}) {
+    const problems = [];
+    const rows = rawRows.map((raw, i) => {
+        const where = `row ${i + 1}`;
+        const repo = raw.repo || defaultRepo;
+        const row = { repo, date: raw.date };
+
+        if (!repo) problems.push(`${where}: no repo (add a repo column or pass --repo)`);
+        if (!DATE_PATTERN.test(raw.date || '') || Number.isNaN(Date.parse(`${raw.date}T00:00:00Z`))) {
+            problems.push(`${where}: date must look like 2025-06-30, got "${raw.date}"`);
+        }
+        if (!METRICS.some(metric => raw[metric] !== undefined && raw[metric] !== '')) {
+            problems.push(`${where}: needs clones or views`);
+        }
+        COUNT_FIELDS.forEach(field => {
+            const value = raw[field] === undefined || raw[field] === '' ? 0 : Number(raw[field]);
+            if (!Number.isInteger(value) || value < 0) {
+                problems.push(`${where}: ${field} must be a whole number ≥ 0, got "${raw[field]}"`);
+            }
+            row[field] = value;
+        });
+        return row;
+    });
+
+    const seen = new Set();
+    rows.forEach((row, i) => {
+        const id = `${row.repo} ${row.date}`;
+        if (seen.has(id)) problems.push(`row ${i + 1}: ${row.repo} ${row.date} appears more than once`);
+        seen.add(id);
+    });
+
+    if (problems.length > 0) {
+        throw new Error(`Import has ${problems.length} problem(s):\n  - ${problems.slice(0, 20).join('\n  - ')}`);
+    }
+    return rows;
+}
+
+// `format`: csv, json or jsonl
+function parseImport(content, { format, defaultRepo } = {}) {
+    const parsers = { csv: parseCsv, json: parseJson, jsonl: parseJsonl };
+    if (!parsers[format]) {
+        throw new Error(`Unknown import format "${format}" — use csv, json or jsonl`);
+    }
+    return normalizeRows(parsers[format](content), { defaultRepo });
+}
+
+// Decide what happens to every row, per repo:
+//   { repos: { <repo>: { imported: [rows], overlaps: [{ date, row, existing,
+//     matches }], tooOld: [rows], offsetAfter } }, problems: [strings] }
+// A repo with problems imports nothing.
+function planImport(data, rows, { retentionCutoff }) {
+    const repos = {};
+    const problems = [];
+
+    for (const row of rows) {
+        const record = (data.repositories || {})[row.repo];
+        if (!record) {
+            if (!problems.some(problem => problem.startsWith(`${row.repo}:`))) {
+                problems.push(`${row.repo}: not in the data file — only repos the collector tracks can be backfilled`);
+            }
+            continue;
+        }
+
+        const plan = repos[row.repo] || (repos[row.repo] = { imported: [], overlaps: [], tooOld: [], offsetAfter: null });
+        const history = record.history || [];
+        // Files from before trackedSince existed: nothing was imported into
+        // them yet, so their first day is the collector's first day
+        const trackedSince = record.trackedSince || firstHistoryDay(history);
+        const existing = history.find(entry => entry.date === row.date) || null;
+
+        if (existing || (trackedSince !== null && row.date >= trackedSince)) {
+            const matches = METRICS.every(metric => (existing ? existing[metric] || 0 : 0) === row[metric]);
+            plan.overlaps.push({ date: row.date, row, existing, matches });
+        } else if (row.date < retentionCutoff) {
+            plan.tooOld.push(row);
+        } else {
+            plan.imported.push(row);
+        }
+    }
+
+    for (const [repo, plan] of Object.entries(repos)) {
+        const offset = data.repositories[repo].legacyOffset || { clones: 0, views: 0 };
+        plan.offsetAfter = {};
+        METRICS.forEach(metric => {
+            const imported = plan.imported.reduce((sum, row) => sum + row[metric], 0);
+            plan.offsetAfter[metric] = offset[metric] - imported;
+            if (plan.offsetAfter[metric] < 0) {
+                problems.push(`${repo}: the import has ${imported} ${metric} but legacyOffset only holds ${offset[metric]} — ` +
+                    'importing it would raise the all-time total');
+            }
+        });
+    }
+
+    return { repos, problems };
+}
+
+// Apply a plan without problems: history gains the imported days, and
+// legacyOffset gives up exactly what they add. One entry per import is
+// appended to data.importLog ({ date, source, days, clones, views }) so the
+// file records where backfilled days came from, and trackedSince is pinned
+// before history gains days older than the collector's. Returns new data.
+function applyImport(data, plan, { date, source }) {
+    if (plan.problems.length > 0) {
+        throw new Error('Refusing to apply an import plan with problems');
+    }
+    const repositories = { ...data.repositories };
+    const logEntry = { date, source, days: 0, clones: 0, views: 0 };
+    for (const [repo, { imported, offsetAfter }] of Object.entries(plan.repos)) {
+        if (imported.length === 0) continue;
+        logEntry.days += imported.length;
+        METRICS.forEach(metric => { logEntry[metric] += imported.reduce((sum, row) => sum + row[metric], 0); });
+        const record = repositories[repo];
+        const days = imported.map(({ date, clones, clonesUniques, views, viewsUniques }) => ({ date, clones, clonesUniques, views, viewsUniques }));
+        repositories[repo] = {
+            ...record,
+            // A repo with no recorded days yet: the collector starts from now
+            trackedSince: record.trackedSince || firstHistoryDay(record.history || []) || date.slice(0, 10),
+            legacyOffset: { ...record.legacyOffset, ...offsetAfter },
+            history: [...(record.history || []), ...days].sort((a, b) => a.date.localeCompare(b.date))
+        };
+    }
+    if (logEntry.days === 0) {
+        return data;
+    }
+    return { ...data, repositories, importLog: [...(data.importLog || []), logEntry] };
+}
+
+module.exports = {
+    parseCsv,
+    parseImport,
+    planImport,
+    applyImport
+};
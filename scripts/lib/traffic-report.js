@@ -0,0 +1,239 @@
+/**
+ * Queries over traffic-history.json for scripts/traffic-report.js
+ *
+ * Everything works on the per-day history[] kept for each repo, so ranges
+ * can only reach back as far as historyRetentionDays; older traffic survives
+ * only inside legacyOffset and has no dates. Each result says which part of
+ * the range the history actually covers.
+ *
+ * Pure functions only — the CLI does the file reading and printing.
+ */
+
+const METRICS = ['clones', 'views'];
+const DAY_FIELDS = ['clones', 'clonesUniques', 'views', 'viewsUniques'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function addDays(dateStr, n) {
+    const date = new Date(`${dateStr}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + n);
+    return date.toISOString().split('T')[0];
+}
+
+function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000) + 1;
+}
+
+function isValidDate(value) {
+    return DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`));
+}
+
+// [earliest, latest] history date over every repo, or null without history
+function historyBounds(data) {
+    let first = null;
+    let last = null;
+    for (const record of Object.values(data.repositories || {})) {
+        for (const { date } of record.history || []) {
+            if (first === null || date < first) first = date;
+            if (last === null || date > last) last = date;
+        }
+    }
+    return first === null ? null : { first, last };
+}
+
+// { from, to } from --from/--to/--days. Missing ends default to the latest
+// recorded day and `days` (30) days back from `to`.
+function resolveRange({ from, to, days = 30 }, latest) {
+    for (const [name, value] of [['--from', from], ['--to', to]]) {
+        if (value !== undefined && !isValidDate(value)) {
+            throw new Error(`${name} must be a date like 2026-04-19, got "${value}"`);
+        }
+    }
+    if (!Number.isInteger(days) || days < 1) {
+        throw new Error(`--days must be a positive whole number, got "${days}"`);
+    }
+
+    const end = to || latest;
+    if (!end) {
+        throw new Error('The data file has no per-day history yet');
+    }
+    const start = from || addDays(end, -(days - 1));
+    if (start > end) {
+        throw new Error(`The range starts (${start}) after it ends (${end})`);
+    }
+    return { from: start, to: end };
+}
+
+// The `days` days right before `range`, for comparisons
+function previousRange(range) {
+    const length = daysBetween(range.from, range.to);
+    return { from: addDays(range.from, -length), to: addDays(range.from, -1) };
+}
+
+// Which part of `range` the stored history covers, for a note under results
+function rangeCoverage(data, range) {
+    const bounds = historyBounds(data);
+    if (!bounds || bounds.first > range.to || bounds.last < range.from) {
+        return { ...range, coveredFrom: null, coveredTo: null, complete: false };
+    }
+    const coveredFrom = bounds.first > range.from ? bounds.first : range.from;
+    const coveredTo = bounds.last < range.to ? bounds.last : range.to;
+    return { ...range, coveredFrom, coveredTo, complete: coveredFrom === range.from && coveredTo === range.to };
+}
+
+// Per-day fields summed over history entries inside the range. Summed
+// uniques over-count anyone who came back on several days.
+function sumRange(history, { from, to }) {
+    const sum = { clones: 0, clonesUniques: 0, views: 0, viewsUniques: 0, days: 0 };
+    for (const entry of history || []) {
+        if (entry.date < from || entry.date > to) continue;
+        DAY_FIELDS.forEach(field => { sum[field] += entry[field] || 0; });
+        sum.days++;
+    }
+    return sum;
+}
+
+function checkMetric(metric) {
+    if (!METRICS.includes(metric)) {
+        throw new Error(`--by must be one of ${METRICS.join(', ')}, got "${metric}"`);
+    }
+}
+
+// Repos ranked by `by` over the range: [{ rank, repo, clones, clonesUniques,
+// views, viewsUniques, days }]. Repos with no traffic in the range are left out.
+function rankRepos(data, range, { by = 'views', limit = 10 } = {}) {
+    checkMetric(by);
+    const other = by === 'views' ? 'clones' : 'views';
+    return Object.entries(data.repositories || {})
+        .map(([repo, record]) => ({ repo, ...sumRange(record.history, range) }))
+        .filter(row => row.clones > 0 || row.views > 0)
+        .sort((a, b) => b[by] - a[by] || b[other] - a[other] || a.repo.localeCompare(b.repo))
+        .slice(0, limit)
+        .map((row, i) => ({ rank: i + 1, ...row }));
+}
+
+// Change as a percentage, or null when there was nothing before
+function percentChange(before, after) {
+    return before === 0 ? null : Math.round(((after - before) / before) * 1000) / 10;
+}
+
+// Every repo's clones and views in `current` against `previous`, biggest
+// change in `by` first, plus the portfolio total as the last row
+function comparePeriods(data, current, previous, { by = 'views' } = {}) {
+    checkMetric(by);
+    const compareRow = (repo, histories) => {
+        const row = { repo };
+        METRICS.forEach(metric => {
+            const before = histories.reduce((sum, history) => sum + sumRange(history, previous)[metric], 0);
+            const after = histories.reduce((sum, history) => sum + sumRange(history, current)[metric], 0);
+            row[metric] = { before, after, delta: after - before, change: percentChange(before, after) };
+        });
+        return row;
+    };
+
+    const entries = Object.entries(data.repositories || {});
+    const rows = entries
+        .map(([repo, record]) => compareRow(repo, [record.history || []]))
+        .filter(row => METRICS.some(metric => row[metric].before > 0 || row[metric].after > 0))
+        .sort((a, b) => Math.abs(b[by].delta) - Math.abs(a[by].delta) || a.repo.localeCompare(b.repo));
+
+    return { rows, total: compareRow(null, entries.map(([, record]) => record.history || [])) };
+}
+
+// One repo's all-time totals and its per-day history inside the range
+function repoHistory(data, repo, range) {
+    const record = (data.repositories || {})[repo];
+    if (!record) {
+        return null;
+    }
+    return {
+        repo,
+        totalClones: record.totalClones || 0,
+        totalViews: record.totalViews || 0,
+        legacyOffset: record.legacyOffset || { clones: 0, views: 0 },
+        range: sumRange(record.history, range),
+        days: (record.history || [])
+            .filter(entry => entry.date >= range.from && entry.date <= range.to)
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .map(entry => {
+                const day = { date: entry.date };
+                DAY_FIELDS.forEach(field => { day[field] = entry[field] || 0; });
+                return day;
+            })
+    };
+}
+
+// Repo keys resembling `name`, for "did you mean" hints
+function suggestRepos(data, name) {
+    const needle = name.toLowerCase();
+    return Object.keys(data.repositories || {}).filter(repo => repo.toLowerCase().includes(needle)).sort();
+}
+
+// Flat per-day rows for every repo inside the range
+function exportRows(data, range) {
+    const rows = [];
+    for (const repo of Object.keys(data.repositories || {}).sort()) {
+        repoHistory(data, repo, range).days.forEach(day => rows.push({ repo, ...day }));
+    }
+    return rows;
+}
+
+const EXPORT_COLUMNS = ['repo', 'date', ...DAY_FIELDS];
+
+function csvField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns = EXPORT_COLUMNS) {
+    const lines = [columns.join(',')];
+    rows.forEach(row => lines.push(columns.map(column => csvField(row[column])).join(',')));
+    return lines.join('\n') + '\n';
+}
+
+function toJsonl(rows) {
+    return rows.map(row => JSON.stringify(row)).join('\n') + (rows.length ? '\n' : '');
+}
+
+// Plain-text table: columns are [{ key, label, align? }], numbers are
+// right-aligned and grouped by default
+function formatTable(columns, rows) {
+    const cell = (row, column) => {
+        const value = row[column.key];
+        if (value === null || value === undefined) return '—';
+        return typeof value === 'number' ? value.toLocaleString('en-US') : String(value);
+    };
+    const alignRight = column => (column.align ? column.align === 'right' : rows.some(row => typeof row[column.key] === 'number'));
+
+    const cells = rows.map(row => columns.map(column => cell(row, column)));
+    const widths = columns.map((column, i) => Math.max(column.label.length, ...cells.map(line => line[i].length)));
+    const pad = (text, i) => (alignRight(columns[i]) ? text.padStart(widths[i]) : text.padEnd(widths[i]));
+
+    const lines = [
+        columns.map((column, i) => pad(column.label, i)).join('  '),
+        widths.map(width => '─'.repeat(width)).join('  '),
+        ...cells.map(line => line.map(pad).join('  '))
+    ];
+    return lines.map(line => line.trimEnd()).join('\n');
+}
+
+module.exports = {
+    METRICS,
+    EXPORT_COLUMNS,
+    addDays,
+    daysBetween,
+    historyBounds,
+    resolveRange,
+    previousRange,
+    rangeCoverage,
+    sumRange,
+    rankRepos,
+    percentChange,
+    comparePeriods,
+    repoHistory,
+    suggestRepos,
+    exportRows,
+    toCsv,
+    toJsonl,
+    formatTable
+};
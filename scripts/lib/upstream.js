@@ -0,0 +1,101 @@
+/**
+ * Upstream contributions — the owner's work in repos nobody tracked owns
+ *
+ * Tracked repos (see portfolio-config.js) belong to a configured account, so
+ * their traffic is readable. The owner's PRs and commits elsewhere — repos of
+ * organisations they're a member of, projects they've sent PRs to — are
+ * discovered through GraphQL (repositoriesContributedTo plus the owner's
+ * member/collaborator repos) and kept in data.upstream, keyed "login/name":
+ *
+ *   { name, url, description, language, stars, archived,
+ *     prs: { authored, merged }, commits: { authored }, firstSeen, lastUpdated }
+ *
+ * No traffic is recorded for them: GitHub only shows it to people with push
+ * access. Their PRs and commits do count towards the global totals (see
+ * computeGlobalTotals).
+ *
+ * repositoriesContributedTo only reaches back about a year, so a repo stays
+ * in data.upstream once found and keeps being refreshed.
+ *
+ * Pure functions only.
+ */
+
+const { matchesAny } = require('./portfolio-config');
+
+// Not owned by a configured account (those are tracked, or deliberately
+// excluded) and not excluded by repos.exclude
+function isUpstreamCandidate(config, fullName) {
+    const [login, name] = fullName.split('/');
+    const tracked = config.accounts.some(account => account.login.toLowerCase() === login.toLowerCase());
+    return !tracked && login.toLowerCase() !== config.owner.toLowerCase() &&
+        !matchesAny(config.repos.exclude, login, name);
+}
+
+// GraphQL repository node → the metadata kept per upstream repo
+function toUpstreamMetadata(node) {
+    return {
+        name:        node.nameWithOwner,
+        url:         node.url,
+        description: node.description || null,
+        language:    node.primaryLanguage ? node.primaryLanguage.name : null,
+        stars:       node.stargazerCount || 0,
+        archived:    Boolean(node.isArchived)
+    };
+}
+
+// Repos to refresh this run: every discovered candidate plus every stored
+// one that still qualifies. Returns [{ key, metadata }] sorted by key, where
+// metadata is null for stored repos that weren't rediscovered.
+function planUpstreamRefresh(config, stored, discoveredNodes) {
+    const plan = new Map();
+    Object.keys(stored || {}).forEach(key => plan.set(key.toLowerCase(), { key, metadata: null }));
+    discoveredNodes.forEach(node => {
+        const id = node.nameWithOwner.toLowerCase();
+        const key = plan.has(id) ? plan.get(id).key : node.nameWithOwner;
+        plan.set(id, { key, metadata: toUpstreamMetadata(node) });
+    });
+    return [...plan.values()]
+        .filter(({ key }) => isUpstreamCandidate(config, key))
+        .sort((a, b) => a.key.localeCompare(b.key));
+}
+
+// Merge one run's results into a stored record. `contributions` is
+// fetchContributions()'s result, or null when that failed — the previous
+// counts are kept then.
+function updateUpstreamRecord(existing, { metadata, contributions }, today) {
+    const previous = existing || {};
+    return {
+        ...previous,
+        ...(metadata || {}),
+        prs: contributions
+            ? { authored: contributions.prs.authored, merged: contributions.prs.merged }
+            : previous.prs || { authored: 0, merged: 0 },
+        commits: contributions
+            ? { authored: contributions.commits.authored }
+            : previous.commits || { authored: 0 },
+        firstSeen: previous.firstSeen || today,
+        lastUpdated: contributions ? today : (previous.lastUpdated || today)
+    };
+}
+
+// Member repos the owner never touched aren't worth keeping
+function hasUpstreamActivity(record) {
+    return record.prs.authored > 0 || record.commits.authored > 0;
+}
+
+// Records with something to show, most active first
+function listUpstreamContributions(upstream) {
+    const activity = record => record.prs.merged + record.commits.authored;
+    return Object.values(upstream || {})
+        .filter(hasUpstreamActivity)
+        .sort((a, b) => activity(b) - activity(a) || a.name.localeCompare(b.name));
+}
+
+module.exports = {
+    isUpstreamCandidate,
+    toUpstreamMetadata,
+    planUpstreamRefresh,
+    updateUpstreamRecord,
+    hasUpstreamActivity,
+    listUpstreamContributions
+};
@@ -0,0 +1,289 @@
+#!/usr/bin/env node
+
+/**
+ * Traffic reports from the stored history — offline, no token needed
+ *
+ * Reads data/traffic-history.json (migrated in memory if it's an older
+ * schema, never written) and answers the questions the page doesn't:
+ *
+ * USAGE
+ * ─────
+ *   node scripts/traffic-report.js <command> [options]
+ *
+ *   top                  Rank repos by views or clones over a date range
+ *       --by <metric>    views (default) or clones
+ *       --limit <n>      How many repos to list (default 10)
+ *   compare              Compare a period with the one before it
+ *       --by <metric>    Order by the change in views (default) or clones
+ *       --vs-from <date> Compare against this period instead — it has the
+ *       --vs-to <date>   same length unless both ends are given
+ *   repo <name>          One repo's all-time totals and per-day history
+ *   export               Per-day rows for every repo
+ *       --format <fmt>   csv (default) or jsonl
+ *       --output <file>  Write to <file> instead of stdout
+ *
+ *   Range (every command):
+ *       --from <date>    First day, e.g. 2026-03-01
+ *       --to <date>      Last day (default: the latest recorded day)
+ *       --days <n>       Range length when --from is omitted (default 30)
+ *
+ *   --json               Print the result as JSON instead of a table
+ *   --data-file <path>   Read this file instead of data/traffic-history.json
+ *
+ *   e.g. the ten most cloned repos in March, and March against February:
+ *   node scripts/traffic-report.js top --by clones --from 2026-03-01 --to 2026-03-31
+ *   node scripts/traffic-report.js compare --from 2026-03-01 --to 2026-03-31 \
+ *        --vs-from 2026-02-01 --vs-to 2026-02-28
+ *
+ * Per-day history only reaches back historyRetentionDays; a note says when
+ * the requested range goes further than the stored history.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const { migrate } = require('./lib/migrations');
+const {
+    addDays,
+    daysBetween,
+    historyBounds,
+    resolveRange,
+    previousRange,
+    rangeCoverage,
+    rankRepos,
+    comparePeriods,
+    repoHistory,
+    suggestRepos,
+    exportRows,
+    toCsv,
+    toJsonl,
+    formatTable
+} = require('./lib/traffic-report');
+
+const DATA_FILE = path.join(__dirname, '../data/traffic-history.json');
+
+const CLI_OPTIONS = {
+    'data-file': { type: 'string' },
+    'json':      { type: 'boolean', default: false },
+    'from':      { type: 'string' },
+    'to':        { type: 'string' },
+    'days':      { type: 'string' },
+    'by':        { type: 'string', default: 'views' },
+    'limit':     { type: 'string', default: '10' },
+    'vs-from':   { type: 'string' },
+    'vs-to':     { type: 'string' },
+    'format':    { type: 'string', default: 'csv' },
+    'output':    { type: 'string' },
+    'help':      { type: 'boolean', short: 'h', default: false }
+};
+
+const USAGE = `Usage: node scripts/traffic-report.js <top|compare|repo <name>|export> [options]
+Run with --help for every option.`;
+
+function loadData(file) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`${path.relative(process.cwd(), file)} does not exist`);
+    }
+    const { data } = migrate(JSON.parse(fs.readFileSync(file, 'utf8')), { date: new Date().toISOString() });
+    return data;
+}
+
+function parseCount(value, name) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new Error(`${name} must be a positive whole number, got "${value}"`);
+    }
+    return number;
+}
+
+// "+12 (+40%)", "-3 (-10%)", "+5 (new)"
+function formatChange({ delta, change }) {
+    const sign = delta > 0 ? '+' : '';
+    const percent = change === null ? (delta > 0 ? 'new' : '—') : `${change > 0 ? '+' : ''}${change}%`;
+    return `${sign}${delta.toLocaleString('en-US')} (${percent})`;
+}
+
+function coverageNote(coverage) {
+    if (coverage.complete) return null;
+    if (!coverage.coveredFrom) {
+        return `ℹ️  No per-day history between ${coverage.from} and ${coverage.to}`;
+    }
+    return `ℹ️  History covers only ${coverage.coveredFrom} → ${coverage.coveredTo} of ${coverage.from} → ${coverage.to}`;
+}
+
+function printNotes(notes, stream = process.stdout) {
+    notes.filter(Boolean).forEach(note => stream.write(`${note}\n`));
+}
+
+// ── Commands ─────────────────────────────────────────────────────────────────
+// Each returns { json, text, notes } so --json and tables share one code path
+
+function topCommand(data, range, options) {
+    const limit = parseCount(options.limit, '--limit');
+    const rows = rankRepos(data, range, { by: options.by, limit });
+    const coverage = rangeCoverage(data, range);
+
+    const columns = [
+        { key: 'rank', label: '#' },
+        { key: 'repo', label: 'Repository' },
+        { key: 'views', label: 'Views' },
+        { key: 'viewsUniques', label: 'Visitors*' },
+        { key: 'clones', label: 'Clones' },
+        { key: 'clonesUniques', label: 'Cloners*' }
+    ];
+    const text = [
+        `🏅 Top ${rows.length} by ${options.by}, ${range.from} → ${range.to}`,
+        '',
+        rows.length ? formatTable(columns, rows) : 'No traffic in this range.',
+        '',
+        '* summed per day, so returning visitors count once per day'
+    ];
+    return { json: { command: 'top', by: options.by, ...coverage, rows }, text, notes: [coverageNote(coverage)] };
+}
+
+function compareCommand(data, range, options) {
+    const length = daysBetween(range.from, range.to);
+    let previous = previousRange(range);
+    if (options['vs-from'] || options['vs-to']) {
+        previous = resolveRange({
+            from: options['vs-from'],
+            to: options['vs-to'] || addDays(options['vs-from'], length - 1),
+            days: length
+        });
+    }
+
+    const { rows, total } = comparePeriods(data, range, previous, { by: options.by });
+    const toRow = row => ({
+        repo: row.repo === null ? 'All repositories' : row.repo,
+        viewsBefore: row.views.before,
+        viewsAfter: row.views.after,
+        viewsChange: formatChange(row.views),
+        clonesBefore: row.clones.before,
+        clonesAfter: row.clones.after,
+        clonesChange: formatChange(row.clones)
+    });
+
+    const columns = [
+        { key: 'repo', label: 'Repository' },
+        { key: 'viewsBefore', label: 'Views before' },
+        { key: 'viewsAfter', label: 'after' },
+        { key: 'viewsChange', label: 'change', align: 'right' },
+        { key: 'clonesBefore', label: 'Clones before' },
+        { key: 'clonesAfter', label: 'after' },
+        { key: 'clonesChange', label: 'change', align: 'right' }
+    ];
+    const current = rangeCoverage(data, range);
+    const earlier = rangeCoverage(data, previous);
+    const text = [
+        `⚖️  ${range.from} → ${range.to} against ${previous.from} → ${previous.to}`,
+        '',
+        formatTable(columns, [...rows.map(toRow), toRow(total)])
+    ];
+    return {
+        json: { command: 'compare', by: options.by, current, previous: earlier, rows, total },
+        text,
+        notes: [coverageNote(current), coverageNote(earlier)]
+    };
+}
+
+function repoCommand(data, range, options, name) {
+    if (!name) {
+        throw new Error('Which repo? e.g. traffic-report.js repo RBAC-algorithm');
+    }
+    const result = repoHistory(data, name, range);
+    if (!result) {
+        const similar = suggestRepos(data, name);
+        throw new Error(`No repo "${name}" in the data file${similar.length ? ` — did you mean ${similar.join(', ')}?` : ''}`);
+    }
+
+    const coverage = rangeCoverage(data, range);
+    const columns = [
+        { key: 'date', label: 'Date' },
+        { key: 'views', label: 'Views' },
+        { key: 'viewsUniques', label: 'Visitors' },
+        { key: 'clones', label: 'Clones' },
+        { key: 'clonesUniques', label: 'Cloners' }
+    ];
+    const text = [
+        `📦 ${result.repo}`,
+        `   All-time: ${result.totalViews.toLocaleString('en-US')} views, ${result.totalClones.toLocaleString('en-US')} clones ` +
+            `(${result.legacyOffset.views.toLocaleString('en-US')} / ${result.legacyOffset.clones.toLocaleString('en-US')} from before per-day history)`,
+        `   ${range.from} → ${range.to}: ${result.range.views.toLocaleString('en-US')} views, ${result.range.clones.toLocaleString('en-US')} clones over ${result.range.days} recorded day(s)`,
+        '',
+        result.days.length ? formatTable(columns, result.days) : 'No per-day history in this range.'
+    ];
+    return { json: { command: 'repo', ...coverage, ...result }, text, notes: [coverageNote(coverage)] };
+}
+
+function exportCommand(data, range, options) {
+    const format = options.format;
+    if (!['csv', 'jsonl'].includes(format)) {
+        throw new Error(`--format must be csv or jsonl, got "${format}"`);
+    }
+    const rows = exportRows(data, range);
+    const content = format === 'csv' ? toCsv(rows) : toJsonl(rows);
+
+    if (options.output) {
+        const file = path.resolve(options.output);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, content);
+        console.error(`💾 ${rows.length} row(s) written to ${path.relative(process.cwd(), file)}`);
+    } else {
+        process.stdout.write(content);
+    }
+    // Data goes to stdout, so notes go to stderr
+    printNotes([coverageNote(rangeCoverage(data, range))], process.stderr);
+}
+
+const COMMANDS = { top: topCommand, compare: compareCommand, repo: repoCommand };
+
+function main(argv = process.argv.slice(2)) {
+    const { values: options, positionals } = parseArgs({ args: argv, options: CLI_OPTIONS, allowPositionals: true });
+    const [command, ...args] = positionals;
+
+    if (options.help) {
+        const source = fs.readFileSync(__filename, 'utf8');
+        console.log(source.slice(source.indexOf('USAGE'), source.indexOf(' */')).replace(/^ \* ?/gm, ''));
+        return;
+    }
+    if (!command || !(command in COMMANDS || command === 'export')) {
+        throw new Error(command ? `Unknown command "${command}"\n${USAGE}` : USAGE);
+    }
+
+    const data = loadData(options['data-file'] ? path.resolve(options['data-file']) : DATA_FILE);
+    const bounds = historyBounds(data);
+    const range = resolveRange({
+        from: options.from,
+        to: options.to,
+        days: options.days === undefined ? undefined : parseCount(options.days, '--days')
+    }, bounds && bounds.last);
+
+    if (command === 'export') {
+        exportCommand(data, range, options);
+        return;
+    }
+
+    const { json, text, notes } = COMMANDS[command](data, range, options, ...args);
+    if (options.json) {
+        console.log(JSON.stringify(json, null, 2));
+        printNotes(notes, process.stderr);
+    } else {
+        console.log(text.join('\n'));
+        if (notes.some(Boolean)) {
+            console.log();
+            printNotes(notes);
+        }
+    }
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { main };
@@ -0,0 +1,156 @@
+// ── Service worker ───────────────────────────────────────────────────────────
+// Keeps the portfolio usable offline.
+//
+//   Shell (HTML, CSS, scripts)   precached on install, then network-first:
+//                                a deploy shows up on the next load, and the
+//                                cached copy is only the offline fallback
+//   Data (data/**, the config)   network-first with a timeout: the cached
+//                                copy is answered only when the network
+//                                fails or takes longer than
+//                                NETWORK_TIMEOUT_MS, and refreshed behind it
+//
+// Data answered from the cache carries an X-Served-From: cache header, which
+// is how script.js knows to say the stats may be old. When the refresh behind
+// a cached answer succeeds, every open page gets a
+// { type: 'data-updated', path } message and can re-render from fresh data.
+//
+// Bump CACHE_VERSION when SHELL_FILES or the strategies change; the old
+// caches are dropped on activate.
+
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `portfolio-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `portfolio-data-${CACHE_VERSION}`;
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'styles.css',
+    'theme.js',
+    'dom.js',
+    'nav.js',
+    'script.js',
+    'manifest.webmanifest',
+    'icon.svg'
+];
+// Enough for the grid and the totals to render on a first visit made offline
+const DATA_FILES = ['portfolio.config.json', 'data/projects.json', 'data/summary.json'];
+// How long a data request waits for the network before the cached copy is
+// answered instead
+const NETWORK_TIMEOUT_MS = 3000;
+
+const SCOPE_PATH = new URL(self.registration.scope).pathname;
+
+// Path relative to the site root, e.g. 'data/summary.json'
+function sitePath(url) {
+    return url.pathname.startsWith(SCOPE_PATH) ? url.pathname.slice(SCOPE_PATH.length) : null;
+}
+
+function isDataPath(path) {
+    return path.startsWith('data/') || path === 'portfolio.config.json';
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(Promise.all([
+        caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES)),
+        caches.open(DATA_CACHE).then(cache => cache.addAll(DATA_FILES))
+    ]).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, DATA_CACHE];
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names
+            .filter(name => name.startsWith('portfolio-') && !current.includes(name))
+            .map(name => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    const path = sitePath(url);
+    if (path === null) return;
+
+    if (isDataPath(path)) {
+        event.respondWith(networkFirstWithTimeout(event, path));
+    } else if (request.mode === 'navigate' || SHELL_FILES.includes(path)) {
+        event.respondWith(networkFirst(request, url, path));
+    }
+});
+
+async function networkFirst(request, url, path) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        // Only the precached URLs themselves, not every ?query variant
+        if (response.ok && !url.search && SHELL_FILES.includes(path || './')) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        // Any other page of the site falls back to the portfolio itself
+        if (request.mode === 'navigate') {
+            const home = await cache.match('./');
+            if (home) return home;
+        }
+        throw error;
+    }
+}
+
+async function networkFirstWithTimeout(event, path) {
+    const { request } = event;
+    const cache = await caches.open(DATA_CACHE);
+    const cached = await cache.match(request);
+
+    const refresh = fetch(request).then(async (response) => {
+        if (response.ok) {
+            await cache.put(request, response.clone());
+            await dropOtherVersions(cache, request);
+        }
+        return response;
+    });
+    if (!cached) return refresh;
+
+    // null when the network failed or is too slow
+    let timer;
+    const timeout = new Promise(resolve => { timer = setTimeout(resolve, NETWORK_TIMEOUT_MS, null); });
+    const fresh = await Promise.race([refresh.catch(() => null), timeout]);
+    clearTimeout(timer);
+    if (fresh && fresh.ok) return fresh;
+
+    // The page is about to show the cached copy as such; once a fresh one is
+    // in the cache, it can fetch again and drop that label
+    event.waitUntil(refresh
+        .then(response => (response.ok ? notifyClients({ type: 'data-updated', path }) : null))
+        .catch(() => {}));
+    return markFromCache(cached);
+}
+
+// Shards are requested as <file>?v=<hash>; once a new version is cached the
+// old ones can never be asked for again
+async function dropOtherVersions(cache, request) {
+    const url = new URL(request.url);
+    if (!url.searchParams.has('v')) return;
+    const keys = await cache.keys();
+    await Promise.all(keys
+        .filter(key => {
+            const keyUrl = new URL(key.url);
+            return keyUrl.pathname === url.pathname && keyUrl.search !== url.search;
+        })
+        .map(key => cache.delete(key)));
+}
+
+function markFromCache(response) {
+    const headers = new Headers(response.headers);
+    headers.set('X-Served-From', 'cache');
+    return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+}
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    detectSpikes,
+    detectMilestones,
+    detectEvents,
+    mergeEvents,
+    describeEvent,
+    MAX_EVENTS
+} = require('../scripts/lib/anomalies');
+
+function addDays(dateStr, n) {
+    const d = new Date(`${dateStr}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + n);
+    return d.toISOString().split('T')[0];
+}
+
+// One history entry per value, starting 2026-03-01
+const series = (views, clones = views.map(() => 0)) => views.map((value, i) => ({
+    date: addDays('2026-03-01', i),
+    clones: clones[i],
+    clonesUniques: 0,
+    views: value,
+    viewsUniques: 0
+}));
+
+test('a day far above the usual level is a spike', () => {
+    const history = series([5, 6, 4, 5, 7, 5, 6, 5, 4, 60, 6]);
+    const spikes = detectSpikes(history, 'views', 'a');
+
+    assert.equal(spikes.length, 1);
+    assert.deepEqual(
+        { date: spikes[0].date, value: spikes[0].value, baseline: spikes[0].baseline },
+        { date: '2026-03-10', value: 60, baseline: 5 }
+    );
+    assert.equal(spikes[0].id, 'spike:a:views:2026-03-10');
+    assert.ok(spikes[0].score >= 3.5);
+});
+
+test('small absolute numbers and noisy series are not spikes', () => {
+    assert.deepEqual(detectSpikes(series([0, 0, 0, 0, 0, 0, 0, 0, 9]), 'views', 'a'), [], 'below the minimum count');
+    assert.deepEqual(detectSpikes(series([10, 40, 12, 35, 8, 45, 15, 30, 50]), 'views', 'a'), [], 'within normal variation');
+});
+
+test('spikes need enough baseline before them', () => {
+    assert.deepEqual(detectSpikes(series([1, 1, 1, 80]), 'views', 'a'), []);
+});
+
+test('an earlier spike does not hide the next one', () => {
+    const views = [5, 5, 5, 5, 5, 5, 5, 90, 5, 5, 5, 5, 80];
+    assert.deepEqual(detectSpikes(series(views), 'views', 'a').map(s => s.date), ['2026-03-08', '2026-03-13']);
+});
+
+test('milestones are dated by the day the running total crossed them', () => {
+    const daily = [{ date: '2026-03-01', value: 30 }, { date: '2026-03-02', value: 200 }, { date: '2026-03-03', value: 5 }];
+    const milestones = detectMilestones(daily, 80, 'clones', 'a');
+
+    assert.deepEqual(milestones.map(m => [m.value, m.date]), [[100, '2026-03-01'], [250, '2026-03-02']]);
+    assert.equal(milestones[0].id, 'milestone:a:clones:100');
+});
+
+test('thresholds passed before per-day history began are not reported', () => {
+    assert.deepEqual(detectMilestones([{ date: '2026-03-01', value: 1 }], 600, 'views', 'a'), []);
+});
+
+test('portfolio milestones sum every repo', () => {
+    const events = detectEvents({
+        a: { legacyOffset: { clones: 0, views: 60 }, history: series([20, 0]) },
+        b: { legacyOffset: { clones: 0, views: 0 }, history: series([0, 30]) }
+    });
+    const portfolio = events.filter(event => event.repo === null);
+    assert.deepEqual(portfolio.map(e => [e.metric, e.value, e.date]), [['views', 100, '2026-03-02']]);
+});
+
+test('mergeEvents is idempotent and keeps events whose history has aged out', () => {
+    const spike = { id: 'spike:a:views:2026-03-10', type: 'spike', date: '2026-03-10', repo: 'a', metric: 'views', value: 60, baseline: 5, score: 20 };
+    const milestone = { id: 'milestone:a:views:100', type: 'milestone', date: '2026-03-12', repo: 'a', metric: 'views', value: 100 };
+
+    const first = mergeEvents([], [milestone, spike]);
+    assert.deepEqual(first.events.map(e => e.id), [spike.id, milestone.id], 'oldest first');
+    assert.equal(first.added.length, 2);
+
+    const again = mergeEvents(first.events, [milestone]);
+    assert.deepEqual(again.events, first.events);
+    assert.deepEqual(again.added, []);
+
+    const corrected = mergeEvents(first.events, [{ ...spike, value: 75 }]);
+    assert.equal(corrected.events[0].value, 75, 're-detected events are refreshed');
+});
+
+test('mergeEvents drops the oldest events past the cap', () => {
+    const events = Array.from({ length: MAX_EVENTS + 5 }, (_, i) => ({
+        id: `milestone:r${i}:views:100`, type: 'milestone', date: addDays('2025-01-01', i), repo: `r${i}`, metric: 'views', value: 100
+    }));
+    const merged = mergeEvents([], events).events;
+    assert.equal(merged.length, MAX_EVENTS);
+    assert.equal(merged[0].id, 'milestone:r5:views:100');
+});
+
+test('describeEvent reads naturally for both kinds', () => {
+    assert.equal(
+        describeEvent({ type: 'spike', repo: 'a', metric: 'views', date: '2026-03-10', value: 60, baseline: 5 }),
+        'a: 60 views on 2026-03-10 (~12× the usual 5/day)'
+    );
+    assert.equal(
+        describeEvent({ type: 'milestone', repo: null, metric: 'clones', date: '2026-03-12', value: 1000 }),
+        'All repositories passed 1,000 clones on 2026-03-12'
+    );
+});
@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    checkToken,
+    checkTrafficAccess,
+    estimateRunBudget,
+    checkRateLimit,
+    findInconsistentTotals,
+    checkDataFile,
+    buildDiagnosticsReport,
+    STALE_AFTER_DAYS
+} = require('../scripts/lib/diagnostics');
+const { SCHEMA_VERSION } = require('../scripts/lib/traffic-accumulator');
+
+const now = new Date('2026-04-19T00:00:00Z');
+const statuses = check => check.items.map(item => [item.name, item.status]);
+
+test('a classic token needs the repo scope', () => {
+    const ok = checkToken({ login: 'alice', headers: { 'x-oauth-scopes': 'repo, workflow' } }, 'alice', now);
+    assert.equal(ok.status, 'ok');
+
+    const missing = checkToken({ login: 'alice', headers: { 'x-oauth-scopes': 'public_repo' } }, 'alice', now);
+    assert.equal(missing.status, 'error');
+    assert.match(missing.items[1].detail, /needs the "repo" scope/);
+});
+
+test('fine-grained tokens, other users and expiry are reported', () => {
+    const check = checkToken({
+        login: 'bob',
+        headers: { 'github-authentication-token-expiration': '2026-04-25 00:00:00 UTC' }
+    }, 'alice', now);
+
+    assert.deepEqual(statuses(check), [
+        ['Authenticated as', 'warning'],
+        ['Permissions (fine-grained token)', 'ok'],
+        ['Expires', 'warning']
+    ]);
+    assert.match(check.items[2].detail, /in 6 day/);
+    assert.equal(checkToken({ login: 'a', headers: { 'github-authentication-token-expiration': '2026-01-01 00:00:00 UTC' } }, 'a', now).status, 'error');
+    assert.equal(checkToken({ error: 'HTTP 401 after 1 attempt(s)' }, 'alice', now).status, 'error');
+});
+
+test('traffic access explains 403 and 404', () => {
+    const check = checkTrafficAccess([
+        { repo: 'a', status: 200 },
+        { repo: 'b', status: 403, error: 'HTTP 403 after 1 attempt(s)' },
+        { repo: 'c', status: 404, error: 'HTTP 404 after 1 attempt(s)' }
+    ]);
+    assert.equal(check.status, 'error');
+    assert.equal(check.summary, '2 of 3 tracked repos not readable');
+    assert.match(check.items[1].detail, /no push access/);
+    assert.match(check.items[2].detail, /not found/);
+    assert.equal(checkTrafficAccess([], 'HTTP 500').items[0].name, 'Repository list');
+});
+
+test('the rate limit is compared with what a full run needs', () => {
+    const budget = estimateRunBudget({ accounts: 1, trackedRepos: 20, upstreamRepos: 3 });
+    assert.deepEqual(budget, { rest: 101, graphql: 26 });
+    assert.deepEqual(estimateRunBudget({ accounts: 2, trackedRepos: 250, upstream: false }), { rest: 1254, graphql: 251 });
+
+    const resources = remaining => ({
+        core: { limit: 5000, remaining, reset: 1776560400 },
+        graphql: { limit: 5000, remaining: 5000, reset: 1776560400 }
+    });
+    assert.equal(checkRateLimit(resources(4000), budget).status, 'ok');
+    assert.equal(checkRateLimit(resources(50), budget).status, 'warning');
+    assert.equal(checkRateLimit({ core: { limit: 60, remaining: 60, reset: 0 }, graphql: { limit: 0, remaining: 0, reset: 0 } }, budget).status, 'error');
+    assert.equal(checkRateLimit({ error: 'HTTP 500' }, budget).status, 'error');
+});
+
+const day = (date, clones, views) => ({ date, clones, clonesUniques: 0, views, viewsUniques: 0 });
+const data = () => ({
+    schemaVersion: SCHEMA_VERSION,
+    lastUpdated: '2026-04-18T06:00:00.000Z',
+    totalClones: 13,
+    totalViews: 7,
+    repositories: {
+        a: { legacyOffset: { clones: 10, views: 0 }, totalClones: 13, totalViews: 7, history: [day('2026-04-17', 1, 3), day('2026-04-18', 2, 4)] }
+    }
+});
+
+test('totals must add up to their history', () => {
+    assert.deepEqual(findInconsistentTotals(data()), []);
+    const broken = data();
+    broken.repositories.a.totalClones = 20;
+    broken.totalViews = 8;
+    assert.deepEqual(findInconsistentTotals(broken), [
+        'a.totalClones is 20 but legacyOffset + history add up to 13',
+        'totalClones is 13 but the repos add up to 20',
+        'totalViews is 8 but the repos add up to 7'
+    ]);
+});
+
+test('the data file check covers schema, totals, age and untracked repos', () => {
+    const ok = checkDataFile({ loaded: data(), migrated: data(), schemaProblems: [], trackedRepos: ['a'], now });
+    assert.equal(ok.status, 'ok');
+
+    const stale = data();
+    stale.lastUpdated = '2026-04-01T06:00:00.000Z';
+    stale.lastRun = { failedRepos: [{ repo: 'a', failures: [] }] };
+    const check = checkDataFile({ loaded: { schemaVersion: 1 }, migrated: stale, schemaProblems: ['/x is wrong'], trackedRepos: [], now });
+    assert.deepEqual(statuses(check), [
+        ['Schema version', 'ok'],
+        ['JSON Schema', 'error'],
+        ['Totals', 'ok'],
+        ['Last updated', 'warning'],
+        ['Last run', 'warning'],
+        ['No longer tracked', 'ok']
+    ]);
+    assert.match(check.items[0].detail, /will be migrated/);
+
+    assert.equal(checkDataFile({ loaded: null }).status, 'warning');
+    assert.equal(checkDataFile({ loadError: 'not valid JSON' }).status, 'error');
+});
+
+test('data is only stale once it is older than the workflow schedule allows', () => {
+    const lastUpdated = (days) => {
+        const file = data();
+        file.lastUpdated = new Date(now - days * 86400000).toISOString();
+        const check = checkDataFile({ loaded: file, migrated: file, schemaProblems: [], trackedRepos: ['a'], now });
+        return check.items.find(item => item.name === 'Last updated');
+    };
+    assert.equal(STALE_AFTER_DAYS, 4);
+    // A normal 3-day gap, with the scheduled run starting hours late
+    assert.equal(lastUpdated(3.5).status, 'ok');
+    assert.equal(lastUpdated(4).status, 'ok');
+    const stale = lastUpdated(4 + 1 / 24);
+    assert.equal(stale.status, 'warning');
+    assert.match(stale.detail, /4 days ago; is the workflow running\?/);
+});
+
+test('the report status is the worst check status', () => {
+    const report = buildDiagnosticsReport({
+        generatedAt: now.toISOString(),
+        owner: 'alice',
+        checks: [{ status: 'ok' }, { status: 'warning' }]
+    });
+    assert.equal(report.status, 'warning');
+    assert.equal(buildDiagnosticsReport({ generatedAt: '', owner: 'a', checks: [] }).status, 'ok');
+});
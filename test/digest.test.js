@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildDigest, summarizeDigest, renderMarkdownDigest, renderHtmlDigest } = require('../scripts/lib/digest');
+
+const runDate = new Date('2026-04-19T00:29:22Z');
+
+function sampleDigest(extra = {}) {
+    return buildDigest({
+        before: {
+            totalClones: 100, totalViews: 50, totalPRs: 3, totalCommits: 10, totalContributions: 40,
+            repositories: { a: { totalClones: 60, totalViews: 30 }, b: { totalClones: 40, totalViews: 20 } }
+        },
+        after: {
+            totalClones: 130, totalViews: 58, totalPRs: 3, totalCommits: 12, totalContributions: 42,
+            repositories: {
+                a: { totalClones: 62, totalViews: 30 },
+                b: { totalClones: 60, totalViews: 24 },
+                c: { totalClones: 8, totalViews: 4 }
+            }
+        },
+        runDate,
+        username: 'octo',
+        newRepos: ['c'],
+        failedRepos: [{ repo: 'b', failures: [{ part: 'contributions', error: 'HTTP 502 after 5 attempt(s)' }] }],
+        requestErrors: 1,
+        newEvents: [{ id: 'milestone:b:clones:50', type: 'milestone', date: '2026-04-18', repo: 'b', metric: 'clones', value: 50 }],
+        ...extra
+    });
+}
+
+test('the digest covers totals, movers, new repos, failures and events', () => {
+    const digest = sampleDigest();
+
+    assert.equal(digest.date, '2026-04-19');
+    assert.deepEqual(digest.totals[0], { key: 'totalClones', label: 'Clones', before: 100, after: 130, delta: 30 });
+    assert.deepEqual(digest.movers.map(m => m.repo), ['b', 'c', 'a'], 'biggest change first; unchanged repos left out');
+    assert.deepEqual(digest.newRepos, ['c']);
+    assert.deepEqual(digest.failures, [{ repo: 'b', parts: ['contributions: HTTP 502 after 5 attempt(s)'] }]);
+    assert.equal(digest.milestones[0].text, 'b passed 50 clones on 2026-04-18');
+    assert.deepEqual(digest.spikes, []);
+    assert.equal(digest.saved, true);
+});
+
+test('a refused save and a dry run are both marked unsaved', () => {
+    assert.equal(sampleDigest({ saveProblems: ['totalClones would drop'] }).saved, false);
+    assert.equal(sampleDigest({ dryRun: true }).saved, false);
+    assert.match(summarizeDigest(sampleDigest({ saveProblems: ['x'] })), /NOT SAVED/);
+});
+
+test('the one-line summary leads with the traffic change', () => {
+    assert.equal(
+        summarizeDigest(sampleDigest()),
+        'Traffic stats for octo — 2026-04-19: +30 clones, +8 views, 1 new repo(s), 1 milestone(s), 1 repo(s) failed'
+    );
+});
+
+test('the Markdown digest has a totals table and only non-empty sections', () => {
+    const markdown = renderMarkdownDigest(sampleDigest());
+    assert.match(markdown, /^## 📊 Traffic stats for octo — 2026-04-19$/m);
+    assert.match(markdown, /^\| Clones \| 100 \| 130 \| \+30 \|$/m);
+    assert.match(markdown, /^### 🏆 Milestones$/m);
+    assert.doesNotMatch(markdown, /Spikes/);
+});
+
+test('the HTML digest escapes repo names and uses inline styles only', () => {
+    const html = renderHtmlDigest(sampleDigest({ newRepos: ['<script>x</script>'] }));
+    assert.ok(html.includes('&lt;script&gt;x&lt;/script&gt;'));
+    assert.ok(!html.includes('<script>'));
+    assert.ok(!html.includes('<style'), 'email clients drop <style> blocks');
+});
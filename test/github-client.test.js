@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createGitHubClient, parseNextLink, GitHubRequestError } = require('../scripts/lib/github-client');
+
+// Transport that serves queued responses per URL and records every call
+function createFakeTransport(routes) {
+    const calls = [];
+    const transport = async (url, options) => {
+        calls.push({ url, options });
+        const queue = routes[url];
+        if (!queue || queue.length === 0) {
+            throw new Error(`Unexpected request: ${url}`);
+        }
+        const next = queue.length > 1 ? queue.shift() : queue[0];
+        if (next instanceof Error) throw next;
+        return { headers: {}, ...next, body: next.body === undefined ? '' : JSON.stringify(next.body) };
+    };
+    return { transport, calls };
+}
+
+function createClient(routes, extra = {}) {
+    const sleeps = [];
+    const fake = createFakeTransport(routes);
+    const client = createGitHubClient({
+        token: 't0ken',
+        transport: fake.transport,
+        sleep: async (ms) => { sleeps.push(ms); },
+        log: { warn() {} },
+        ...extra
+    });
+    return { client, sleeps, calls: fake.calls };
+}
+
+test('parseNextLink finds rel="next" among other relations', () => {
+    const header = '<https://api.github.com/x?page=3>; rel="next", <https://api.github.com/x?page=9>; rel="last"';
+    assert.equal(parseNextLink(header), 'https://api.github.com/x?page=3');
+    assert.equal(parseNextLink('<https://api.github.com/x?page=1>; rel="prev"'), null);
+    assert.equal(parseNextLink(undefined), null);
+});
+
+test('sends the token and returns parsed JSON', async () => {
+    const { client, calls } = createClient({ u: [{ status: 200, body: { ok: true } }] });
+    const response = await client.request('u');
+    assert.deepEqual(response.data, { ok: true });
+    assert.equal(calls[0].options.headers.Authorization, 'token t0ken');
+});
+
+test('retries 5xx and network errors with exponential backoff', async () => {
+    const { client, sleeps } = createClient({
+        u: [{ status: 502 }, new Error('ECONNRESET'), { status: 200, body: [1] }]
+    }, { baseDelayMs: 100 });
+
+    const response = await client.request('u');
+    assert.deepEqual(response.data, [1]);
+    assert.deepEqual(sleeps, [100, 200]);
+    assert.equal(client.stats.retries, 2);
+    assert.equal(client.errors.length, 0);
+});
+
+test('retries 202 "stats computing" and fails loudly if it never settles', async () => {
+    const { client } = createClient({ u: [{ status: 202, body: {} }] }, { maxRetries: 2 });
+
+    await assert.rejects(client.request('u'), (error) => {
+        assert.ok(error instanceof GitHubRequestError);
+        assert.equal(error.status, 202);
+        return true;
+    });
+    assert.equal(client.stats.requests, 3);
+    assert.equal(client.errors.length, 1);
+    assert.equal(client.errors[0].url, 'u');
+});
+
+test('does not retry client errors such as 404', async () => {
+    const { client } = createClient({ u: [{ status: 404, body: { message: 'Not Found' } }] });
+    await assert.rejects(client.request('u'), { status: 404 });
+    assert.equal(client.stats.requests, 1);
+});
+
+test('allowNotFound resolves a 404 without reporting it as an error', async () => {
+    const { client } = createClient({ u: [{ status: 404, body: { message: 'Not Found' } }] });
+    const response = await client.request('u', { allowNotFound: true });
+    assert.equal(response.data, null);
+    assert.equal(response.status, 404);
+    assert.equal(client.errors.length, 0);
+});
+
+test('waits for X-RateLimit-Reset when the budget is exhausted', async () => {
+    const now = 1_700_000_000_000;
+    const { client, sleeps } = createClient({
+        u: [
+            { status: 403, headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(now / 1000 + 30) } },
+            { status: 200, body: 'ok', headers: { 'x-ratelimit-remaining': '4999' } }
+        ]
+    }, { now: () => now });
+
+    const response = await client.request('u');
+    assert.equal(response.data, 'ok');
+    assert.deepEqual(sleeps, [31_000]);
+    assert.equal(client.stats.rateLimitWaits, 1);
+    assert.equal(client.rateLimit.remaining, 4999);
+});
+
+test('honours Retry-After on secondary rate limits', async () => {
+    const { client, sleeps } = createClient({
+        u: [{ status: 429, headers: { 'retry-after': '7' } }, { status: 200, body: 1 }]
+    });
+    await client.request('u');
+    assert.deepEqual(sleeps, [7000]);
+});
+
+test('gives up instead of waiting past maxRateLimitWaitMs', async () => {
+    const now = 1_700_000_000_000;
+    const { client, sleeps } = createClient({
+        u: [{ status: 403, headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(now / 1000 + 3600) } }]
+    }, { now: () => now, maxRateLimitWaitMs: 60_000 });
+
+    await assert.rejects(client.request('u'), /Rate limit resets in/);
+    assert.deepEqual(sleeps, []);
+});
+
+test('waits before the next request once a success reports zero remaining', async () => {
+    const now = 1_700_000_000_000;
+    const { client, sleeps, calls } = createClient({
+        a: [{ status: 200, body: 1, headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(now / 1000 + 10) } }],
+        b: [{ status: 200, body: 2 }]
+    }, { now: () => now });
+
+    await client.request('a');
+    await client.request('b');
+    assert.deepEqual(sleeps, [11_000]);
+    assert.equal(calls.length, 2);
+});
+
+test('paginate follows every Link rel="next"', async () => {
+    const { client } = createClient({
+        'p?page=1': [{ status: 200, body: [1, 2], headers: { link: '<p?page=2>; rel="next", <p?page=3>; rel="last"' } }],
+        'p?page=2': [{ status: 200, body: [3, 4], headers: { link: '<p?page=3>; rel="next"' } }],
+        'p?page=3': [{ status: 200, body: [5] }]
+    });
+    assert.deepEqual(await client.paginate('p?page=1'), [1, 2, 3, 4, 5]);
+});
+
+test('paginate treats 204 No Content as an empty list', async () => {
+    const { client } = createClient({ empty: [{ status: 204 }] });
+    assert.deepEqual(await client.paginate('empty'), []);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SCHEMA_VERSION } = require('../scripts/lib/traffic-accumulator');
+const { MIGRATIONS, migrate } = require('../scripts/lib/migrations');
+
+const date = '2026-04-19T00:00:00.000Z';
+
+test('the registry is an unbroken chain ending at SCHEMA_VERSION', () => {
+    MIGRATIONS.forEach((step, i) => {
+        assert.equal(step.to, step.from + 1);
+        if (i > 0) assert.equal(step.from, MIGRATIONS[i - 1].to);
+    });
+    assert.equal(MIGRATIONS[0].from, 1);
+    assert.equal(MIGRATIONS[MIGRATIONS.length - 1].to, SCHEMA_VERSION);
+});
+
+test('v1 totals move into legacyOffset and v1 history is cleared', () => {
+    const v1 = {
+        totalClones: 50,
+        repositories: {
+            a: { totalClones: 40, totalViews: 12, totalPRs: 3, totalCommits: 9, history: [{ date: '2026-01-01', clones: 40 }] },
+            b: { totalClones: 10, history: [] }
+        }
+    };
+    const before = JSON.stringify(v1);
+
+    const { data, applied } = migrate(v1, { date });
+
+    assert.deepEqual(applied.map(step => step.to), [2, 3]);
+    assert.equal(data.schemaVersion, SCHEMA_VERSION);
+    assert.deepEqual(data.repositories.a.legacyOffset, { clones: 40, views: 12 });
+    assert.deepEqual(data.repositories.b.legacyOffset, { clones: 10, views: 0 });
+    assert.deepEqual(data.repositories.a.history, []);
+    assert.equal(data.repositories.a.totalClones, 40, 'totals must not drop before the next run recomputes them');
+    assert.equal(data.repositories.a.totalPRs, 3);
+    assert.equal(data.repositories.a.totalCommits, 9);
+    assert.equal(JSON.stringify(v1), before, 'input must not be mutated');
+});
+
+test('v2 repos gain the fields v3 requires, and each step is logged', () => {
+    const v2 = {
+        schemaVersion: 2,
+        migrationLog: [],
+        repositories: { a: { legacyOffset: { clones: 5, views: 5 }, totalClones: 5, totalViews: 5, history: [] } }
+    };
+    const { data, applied } = migrate(v2, { date });
+
+    assert.equal(applied.length, 1);
+    assert.deepEqual(data.migrationLog, [{ from: 2, to: 3, date, description: MIGRATIONS[1].description }]);
+    assert.deepEqual(data.repositories.a.popular.referrers, { latest: null, periods: [], legacyOffset: {} });
+    assert.equal(data.repositories.a.totalPRs, 0);
+});
+
+test('current-schema data is returned untouched', () => {
+    const current = { schemaVersion: SCHEMA_VERSION, repositories: {} };
+    const { data, applied } = migrate(current, { date });
+    assert.equal(data, current);
+    assert.deepEqual(applied, []);
+});
+
+test('refuses files from a newer collector', () => {
+    assert.throws(() => migrate({ schemaVersion: SCHEMA_VERSION + 1, repositories: {} }, { date }), /newer than this collector/);
+});
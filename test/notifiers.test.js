@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const {
+    postJson,
+    createWebhookSink,
+    createMarkdownFileSink,
+    createHtmlFileSink,
+    notifyAll
+} = require('../scripts/lib/notifiers');
+const { buildDigest } = require('../scripts/lib/digest');
+
+const digest = buildDigest({
+    before: { totalClones: 1, totalViews: 2, repositories: {} },
+    after: { totalClones: 3, totalViews: 5, repositories: {} },
+    runDate: new Date('2026-04-19T00:00:00Z'),
+    username: 'octo'
+});
+
+// Local server that records every request and answers with `status`
+async function startServer(status = 200) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+            res.writeHead(status, { 'Content-Type': 'text/plain' });
+            res.end('ok');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}/hooks/traffic`;
+    return { url, requests, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+function tempFile(name) {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'notifiers-')), name);
+}
+
+test('the webhook sink POSTs the digest as JSON', async () => {
+    const server = await startServer();
+    try {
+        const sink = createWebhookSink({ url: server.url, headers: { 'X-Token': 's3cret' } });
+        await sink.send(digest);
+
+        assert.equal(server.requests.length, 1);
+        const [request] = server.requests;
+        assert.equal(request.method, 'POST');
+        assert.equal(request.url, '/hooks/traffic');
+        assert.equal(request.headers['content-type'], 'application/json');
+        assert.equal(request.headers['x-token'], 's3cret');
+
+        const payload = JSON.parse(request.body);
+        assert.equal(payload.text, 'Traffic stats for octo — 2026-04-19: +2 clones, +3 views');
+        assert.deepEqual(payload.digest, JSON.parse(JSON.stringify(digest)));
+        assert.ok(!sink.name.includes('/hooks/'), 'sink names must not leak the webhook path');
+    } finally {
+        await server.close();
+    }
+});
+
+test('postJson rejects non-2xx responses', async () => {
+    const server = await startServer(500);
+    try {
+        await assert.rejects(postJson(server.url, {}), /HTTP 500/);
+    } finally {
+        await server.close();
+    }
+});
+
+test('file sinks write the Markdown and HTML digests', async () => {
+    const markdownFile = tempFile('digest.md');
+    const htmlFile = tempFile('digest.html');
+
+    await createMarkdownFileSink({ file: markdownFile }).send(digest);
+    await createHtmlFileSink({ file: htmlFile }).send(digest);
+
+    assert.match(fs.readFileSync(markdownFile, 'utf8'), /^## 📊 Traffic stats for octo/);
+    assert.match(fs.readFileSync(htmlFile, 'utf8'), /^<!DOCTYPE html>/);
+});
+
+test('the Markdown sink can append, as the Actions job summary needs', async () => {
+    const file = tempFile('summary.md');
+    fs.writeFileSync(file, 'Earlier step output\n');
+
+    await createMarkdownFileSink({ file, append: true }).send(digest);
+
+    const content = fs.readFileSync(file, 'utf8');
+    assert.ok(content.startsWith('Earlier step output\n## 📊'));
+});
+
+test('notifyAll reports a failing sink without throwing', async () => {
+    const sent = [];
+    const results = await notifyAll([
+        { name: 'ok', send: async d => { sent.push(d); } },
+        { name: 'broken', send: async () => { throw new Error('boom'); } }
+    ], digest);
+
+    assert.deepEqual(results, [{ name: 'ok', ok: true }, { name: 'broken', ok: false, error: 'boom' }]);
+    assert.equal(sent.length, 1);
+});
+
+test('a malformed webhook URL gives a sink that fails when sent to, not a throw', async () => {
+    const posted = [];
+    const sinks = ['not a url', 'ftp://example.com/hook'].map(url =>
+        createWebhookSink({ url, post: async (...args) => { posted.push(args); } }));
+
+    assert.deepEqual(sinks.map(sink => sink.name), ['webhook (invalid URL)', 'webhook (invalid URL)']);
+    const results = await notifyAll(sinks, digest);
+    assert.ok(results.every(result => !result.ok && /not a valid http\(s\) URL/.test(result.error)));
+    assert.equal(posted.length, 0);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    updatePopularRecord,
+    updatePopularContent,
+    computePopularTotals
+} = require('../scripts/lib/popular-content');
+
+const item = (name, count, extra = {}) => ({ name, count, uniques: 1, ...extra });
+
+function addDays(dateStr, n) {
+    const d = new Date(`${dateStr}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + n);
+    return d.toISOString().split('T')[0];
+}
+
+test('the first run records a period and the latest window', () => {
+    const record = updatePopularRecord(undefined, [item('github.com', 5)], { today: '2026-03-14', retentionCutoff: '2025-03-14' });
+    assert.deepEqual(record.latest, { start: '2026-03-01', end: '2026-03-14', items: [item('github.com', 5)] });
+    assert.equal(record.periods.length, 1);
+    assert.deepEqual(computePopularTotals([record]), [{ name: 'github.com', count: 5 }]);
+});
+
+test('overlapping windows only refresh latest; a new period starts once the last one rolled out', () => {
+    const options = today => ({ today, retentionCutoff: '2025-01-01' });
+    let record = updatePopularRecord(undefined, [item('google.com', 4)], options('2026-03-14'));
+    record = updatePopularRecord(record, [item('google.com', 9)], options('2026-03-20'));
+
+    assert.equal(record.periods.length, 1, 'overlapping window must not be counted again');
+    assert.equal(record.latest.items[0].count, 9);
+
+    record = updatePopularRecord(record, [item('google.com', 2)], options('2026-03-28'));
+    assert.equal(record.periods.length, 2);
+    assert.equal(record.periods[1].start, '2026-03-15');
+    assert.deepEqual(computePopularTotals([record]), [{ name: 'google.com', count: 6 }]);
+});
+
+test('periods past retention are absorbed into legacyOffset without changing totals', () => {
+    let record;
+    let previousTotal = 0;
+    for (let day = 0; day < 120; day++) {
+        const today = addDays('2026-01-14', day);
+        record = updatePopularRecord(record, [item('/u/r', 3, { title: 'README' })], {
+            today,
+            retentionCutoff: addDays(today, -30)
+        });
+        const [total] = computePopularTotals([record]);
+        assert.ok(total.count >= previousTotal, `total shrank on ${today}`);
+        previousTotal = total.count;
+    }
+
+    // One period every 14 days over 120 days → 9 periods of 3
+    assert.equal(previousTotal, 27);
+    assert.ok(record.periods.length <= 3);
+    assert.equal(record.legacyOffset['/u/r'].title, 'README');
+});
+
+test('a failed fetch keeps the stored record', () => {
+    const stored = updatePopularContent(undefined, { referrers: [item('a', 1)], paths: [item('/p', 2)] }, { today: '2026-03-14', retentionCutoff: '2025-03-14' });
+    const after = updatePopularContent(stored, { referrers: null, paths: null }, { today: '2026-03-30', retentionCutoff: '2025-03-30' });
+    assert.equal(after.referrers, stored.referrers);
+    assert.equal(after.paths, stored.paths);
+});
+
+test('computePopularTotals merges names across repos', () => {
+    const options = { today: '2026-03-14', retentionCutoff: '2025-03-14' };
+    const a = updatePopularRecord(undefined, [item('github.com', 5), item('google.com', 1)], options);
+    const b = updatePopularRecord(undefined, [item('github.com', 2), item('news.ycombinator.com', 4)], options);
+    assert.deepEqual(computePopularTotals([a, b]).map(t => [t.name, t.count]), [
+        ['github.com', 7],
+        ['news.ycombinator.com', 4],
+        ['google.com', 1]
+    ]);
+});
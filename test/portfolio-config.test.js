@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    CONFIG_FILE,
+    normalizeConfig,
+    loadPortfolioConfig,
+    globToRegExp,
+    repoKey,
+    repoFullName,
+    accountReposPath,
+    selectRepos
+} = require('../scripts/lib/portfolio-config');
+
+const repo = (name, fork = false) => ({ name, fork });
+
+test('the shipped portfolio.config.json is valid', () => {
+    const config = loadPortfolioConfig(CONFIG_FILE);
+    assert.ok(config.owner);
+    assert.ok(config.accounts.length > 0);
+});
+
+test('defaults track every public repo of the owner', () => {
+    const config = normalizeConfig({ owner: 'alice' });
+    assert.deepEqual(config.accounts, [{ login: 'alice', type: 'user', forks: true }]);
+    assert.deepEqual(config.repos, { include: ['*'], exclude: [] });
+    assert.deepEqual(config.contributions.weights, { commits: 1, prs: 10 });
+    assert.equal(config.historyRetentionDays, 365);
+    assert.equal(config.upstream, true);
+});
+
+test('glob patterns match whole names, case-insensitively', () => {
+    assert.ok(globToRegExp('Sudoku*').test('sudoku-solver'));
+    assert.ok(globToRegExp('v?').test('v2'));
+    assert.ok(!globToRegExp('v?').test('v10'));
+    assert.ok(!globToRegExp('*').test('acme/widget'), '* does not cross a slash');
+    assert.ok(globToRegExp('a.b').test('a.b'));
+    assert.ok(!globToRegExp('a.b').test('axb'), 'regex characters are literal');
+});
+
+test('exclude wins over include, and slash patterns match login/name', () => {
+    const config = normalizeConfig({
+        owner: 'alice',
+        repos: { include: ['*'], exclude: ['demo-*', 'acme/internal-*'] }
+    });
+    const acme = { login: 'acme', type: 'org', forks: true };
+
+    assert.deepEqual(
+        selectRepos(config, acme, [repo('widget'), repo('demo-x'), repo('internal-tools')]).map(r => r.name),
+        ['widget']
+    );
+    assert.deepEqual(
+        selectRepos(config, config.accounts[0], [repo('internal-tools')]).map(r => r.name),
+        ['internal-tools'],
+        'the slash pattern only applies to acme'
+    );
+});
+
+test('forks can be left out globally or per account', () => {
+    const config = normalizeConfig({
+        owner: 'alice',
+        accounts: [{ login: 'alice' }, { login: 'acme', type: 'org', forks: true }],
+        repos: { forks: false }
+    });
+    const [alice, acme] = config.accounts;
+    assert.deepEqual(selectRepos(config, alice, [repo('a'), repo('b', true)]).map(r => r.name), ['a']);
+    assert.deepEqual(selectRepos(config, acme, [repo('a'), repo('b', true)]).map(r => r.name), ['a', 'b']);
+});
+
+test('the owner\'s repos keep bare keys, other accounts are prefixed', () => {
+    const config = normalizeConfig({ owner: 'Alice' });
+    assert.equal(repoKey(config, 'alice', 'site'), 'site');
+    assert.equal(repoKey(config, 'acme', 'site'), 'acme/site');
+    assert.equal(repoFullName(config, 'site'), 'Alice/site');
+    assert.equal(repoFullName(config, 'acme/site'), 'acme/site');
+});
+
+test('organisations are listed through the orgs endpoint', () => {
+    assert.equal(accountReposPath({ login: 'acme', type: 'org' }), '/orgs/acme/repos?type=public&per_page=100');
+    assert.equal(accountReposPath({ login: 'alice', type: 'user' }), '/users/alice/repos?type=public&per_page=100');
+});
+
+test('invalid configs are rejected with every problem listed', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-config-'));
+    const file = path.join(dir, 'portfolio.config.json');
+    fs.writeFileSync(file, JSON.stringify({ accounts: [{ login: 'acme', type: 'team' }], extra: 1 }));
+    try {
+        assert.throws(() => loadPortfolioConfig(file), error => {
+            assert.match(error.message, /owner/);
+            assert.match(error.message, /type/);
+            assert.match(error.message, /extra/);
+            return true;
+        });
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { enrichProjectsManifest } = require('../scripts/lib/projects-manifest');
+
+const apiRepo = (name, extra = {}) => ({
+    name,
+    html_url: `https://github.com/u/${name}`,
+    description: `${name} from GitHub`,
+    homepage: '',
+    language: 'JavaScript',
+    topics: ['cli'],
+    stargazers_count: 3,
+    forks_count: 1,
+    pushed_at: '2026-04-01T00:00:00Z',
+    ...extra
+});
+
+const runDate = new Date('2026-04-19T00:29:22Z');
+
+test('refreshes the github block without touching hand-written fields', () => {
+    const manifest = {
+        projects: [
+            { id: 'lms', enterprise: true, title: 'LMS' },
+            { repo: 'tool', title: 'My Tool', description: 'Hand-written', tech: ['Go'] }
+        ]
+    };
+    const before = JSON.stringify(manifest);
+
+    const { manifest: result, added } = enrichProjectsManifest(manifest, [apiRepo('tool')], runDate);
+
+    assert.deepEqual(added, []);
+    assert.equal(result.lastUpdated, '2026-04-19T00:29:22.000Z');
+    assert.deepEqual(result.projects[0], { id: 'lms', enterprise: true, title: 'LMS' });
+    assert.equal(result.projects[1].title, 'My Tool');
+    assert.equal(result.projects[1].description, 'Hand-written');
+    assert.deepEqual(result.projects[1].github, {
+        description: 'tool from GitHub',
+        topics: ['cli'],
+        language: 'JavaScript',
+        stars: 3,
+        forks: 1,
+        pushedAt: '2026-04-01T00:00:00Z',
+        homepage: null,
+        url: 'https://github.com/u/tool'
+    });
+    assert.equal(JSON.stringify(manifest), before, 'input must not be mutated');
+});
+
+test('appends repos missing from the manifest, keeping hidden entries in place', () => {
+    const manifest = { projects: [{ repo: 'old', hidden: true }] };
+    const { manifest: result, added } = enrichProjectsManifest(manifest, [apiRepo('old'), apiRepo('new')], runDate);
+
+    assert.deepEqual(added, ['new']);
+    assert.deepEqual(result.projects.map(p => p.repo), ['old', 'new']);
+    assert.equal(result.projects[0].hidden, true);
+    assert.equal(result.projects[1].discovered, '2026-04-19');
+});
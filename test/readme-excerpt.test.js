@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { extractReadmeExcerpt } = require('../scripts/lib/readme-excerpt');
+
+test('strips badges, images, HTML, code blocks and tables', () => {
+    const readme = [
+        '<p align="center"><img src="logo.png"></p>',
+        '',
+        '[![CI](https://img.shields.io/ci.svg)](https://github.com/u/r/actions) ![License](https://img.shields.io/l.svg)',
+        '',
+        '# RBAC Algorithm',
+        '',
+        'Role-based access control with <b>inheritance</b>.',
+        '',
+        '```js',
+        'const rbac = createRbac();',
+        '```',
+        '',
+        '| Feature | Status |',
+        '| --- | --- |',
+        '',
+        '- Hierarchical roles',
+        '- [Docs](https://example.com/docs)',
+        '',
+        '[docs]: https://example.com/docs'
+    ].join('\r\n');
+
+    assert.equal(extractReadmeExcerpt(readme), [
+        '# RBAC Algorithm',
+        'Role-based access control with inheritance.',
+        '- Hierarchical roles\n- [Docs](https://example.com/docs)'
+    ].join('\n\n'));
+});
+
+test('keeps HTML headings as Markdown headings', () => {
+    assert.equal(extractReadmeExcerpt('<h1 align="center">Title</h1>\n\nBody'), '# Title\n\nBody');
+});
+
+test('stops at a block boundary once the excerpt is long enough', () => {
+    const readme = ['First paragraph.', 'Second paragraph.', 'Third paragraph.'].join('\n\n');
+    assert.equal(extractReadmeExcerpt(readme, 40), 'First paragraph.\n\nSecond paragraph.');
+});
+
+test('cuts an oversized opening block at a word boundary', () => {
+    assert.equal(extractReadmeExcerpt('alpha beta gamma delta', 12), 'alpha beta…');
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { createEmptyData, updateRepoTraffic, computeGlobalTotals } = require('../scripts/lib/traffic-accumulator');
+const { migrate } = require('../scripts/lib/migrations');
+const { validateTrafficData, findLoweredTotals, checkSafeToSave } = require('../scripts/lib/save-guards');
+
+const date = '2026-04-19T00:00:00.000Z';
+const readJson = file => JSON.parse(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'));
+
+function sampleData() {
+    const repo = updateRepoTraffic(undefined, {
+        clonesByDay: [{ date: '2026-04-18', count: 3, uniques: 1 }],
+        viewsByDay: [{ date: '2026-04-18', count: 8, uniques: 2 }],
+        windowUniques: { clones: 1, views: 2 },
+        popular: { referrers: [{ name: 'github.com', count: 4, uniques: 1 }], paths: [] },
+        contributions: { prs: { authored: 1, merged: 1, reviewed: 0, external: 0 }, commits: { authored: 5, total: 7 } }
+    }, { retentionCutoff: '2025-04-19', today: '2026-04-19' });
+
+    const data = { ...createEmptyData(), lastUpdated: date, repositories: { a: repo } };
+    return { ...data, ...computeGlobalTotals(data.repositories) };
+}
+
+test('the committed data file and the v1 fixture validate once migrated', () => {
+    for (const file of ['data/traffic-history.json', 'scripts/fixtures/sample/traffic-history.v1.json']) {
+        const { data } = migrate(readJson(file), { date });
+        assert.deepEqual(validateTrafficData(data), [], file);
+    }
+});
+
+test('collector output validates', () => {
+    assert.deepEqual(validateTrafficData(sampleData()), []);
+});
+
+test('reports damaged values with their path', () => {
+    const data = sampleData();
+    data.repositories.a.totalClones = -1;
+    data.repositories.a.history[0].date = '18/04/2026';
+    delete data.repositories.a.popular;
+    data.totalViews = '11';
+
+    const problems = validateTrafficData(data);
+    assert.ok(problems.includes('$.totalViews expected integer, got string'), problems.join('\n'));
+    assert.ok(problems.includes('$.repositories.a.totalClones must be >= 0, got -1'));
+    assert.ok(problems.some(p => p.startsWith('$.repositories.a.history[0].date does not match')));
+    assert.ok(problems.includes('$.repositories.a missing required property "popular"'));
+});
+
+test('refuses results that lower an all-time total or drop a repo', () => {
+    const before = sampleData();
+    const after = JSON.parse(JSON.stringify(before));
+    after.repositories.a.totalViews -= 1;
+    after.totalViews -= 1;
+    delete before.repositories.a.popular; // before-state isn't validated
+    before.repositories.gone = { totalClones: 2, totalViews: 0 };
+
+    assert.deepEqual(findLoweredTotals(before, after), [
+        'totalViews would drop from 8 to 7',
+        'a.totalViews would drop from 8 to 7',
+        'repository gone would be removed'
+    ]);
+    assert.equal(checkSafeToSave(before, after).length, 3);
+});
+
+test('PR and commit counts may go down', () => {
+    const before = sampleData();
+    const after = JSON.parse(JSON.stringify(before));
+    after.repositories.a.totalPRs = 0;
+    after.totalPRs = 0;
+    assert.deepEqual(checkSafeToSave(before, after), []);
+});
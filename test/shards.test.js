@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildPageData, combineHistories, contentHash, shardFileName } = require('../scripts/lib/shards');
+const { updatePopularContent } = require('../scripts/lib/popular-content');
+
+const day = (date, clones, views) => ({ date, clones, clonesUniques: 0, views, viewsUniques: 0 });
+
+function sampleData() {
+    return {
+        schemaVersion: 3,
+        lastUpdated: '2026-04-19T00:00:00.000Z',
+        totalClones: 9,
+        totalViews: 14,
+        totalPRs: 1,
+        totalCommits: 3,
+        totalContributions: 13,
+        migrationLog: [],
+        repositories: {
+            a: {
+                legacyOffset: { clones: 2, views: 0 },
+                totalClones: 5, totalViews: 6, totalPRs: 1, totalCommits: 3,
+                history: [day('2026-04-17', 1, 2), day('2026-04-18', 2, 4)],
+                popular: updatePopularContent(undefined, { referrers: [{ name: 'github.com', count: 3, uniques: 1 }], paths: [] }, { today: '2026-04-18', retentionCutoff: '2025-04-18' })
+            },
+            b: {
+                legacyOffset: { clones: 0, views: 0 },
+                totalClones: 4, totalViews: 8, totalPRs: 0, totalCommits: 0,
+                history: [day('2026-04-18', 4, 8)]
+            }
+        }
+    };
+}
+
+test('summary carries totals but no daily history', () => {
+    const { summary, files } = buildPageData(sampleData());
+
+    assert.equal(summary.totalClones, 9);
+    assert.equal(summary.repositories.a.totalViews, 6);
+    assert.equal(summary.repositories.a.historyDays, 2);
+    assert.equal(summary.repositories.a.history, undefined);
+    assert.equal(summary.migrationLog, undefined, 'collector bookkeeping stays out of the summary');
+    assert.ok(!files['summary.json'].includes('"2026-04-17"'));
+});
+
+test('each shard is referenced with the hash of its content', () => {
+    const { summary, files } = buildPageData(sampleData());
+    const ref = summary.repositories.a.shard;
+
+    assert.equal(ref.file, 'history/repos/a.json');
+    assert.equal(ref.hash, contentHash(files[ref.file]));
+    assert.deepEqual(JSON.parse(files[ref.file]).history.map(e => e.date), ['2026-04-17', '2026-04-18']);
+    assert.equal(JSON.parse(files[summary.repositories.b.shard.file]).popular, null);
+});
+
+test('hashes change only when shard content does', () => {
+    const first = buildPageData(sampleData()).summary;
+    const changed = sampleData();
+    changed.repositories.b.history.push(day('2026-04-19', 1, 1));
+    const second = buildPageData(changed).summary;
+
+    assert.equal(second.repositories.a.shard.hash, first.repositories.a.shard.hash);
+    assert.notEqual(second.repositories.b.shard.hash, first.repositories.b.shard.hash);
+    assert.notEqual(second.combinedHistory.hash, first.combinedHistory.hash);
+});
+
+test('combined history sums repos per day', () => {
+    assert.deepEqual(combineHistories([[day('2026-04-17', 1, 2), day('2026-04-18', 2, 4)], [day('2026-04-18', 4, 8)]]), [
+        { date: '2026-04-17', clones: 1, views: 2 },
+        { date: '2026-04-18', clones: 6, views: 12 }
+    ]);
+});
+
+test('global popular lists are precomputed for the summary', () => {
+    const { summary } = buildPageData(sampleData());
+    assert.deepEqual(summary.popular.referrers.allTime, [{ name: 'github.com', count: 3 }]);
+    assert.deepEqual(summary.popular.referrers.last14Days, [{ name: 'github.com', count: 3 }]);
+    assert.deepEqual(summary.popular.paths.allTime, []);
+});
+
+test('shard file names cannot escape the history directory', () => {
+    assert.equal(shardFileName('../../etc/passwd'), 'history/repos/.._.._etc_passwd.json');
+});
+
+test('events go to their repo shard, the combined history and the highlights', () => {
+    const data = sampleData();
+    data.events = [
+        { id: 'milestone:a:clones:100', type: 'milestone', date: '2026-04-17', repo: 'a', metric: 'clones', value: 100 },
+        { id: 'milestone:*:views:100', type: 'milestone', date: '2026-04-18', repo: null, metric: 'views', value: 100 }
+    ];
+    const { summary, files } = buildPageData(data);
+
+    assert.deepEqual(JSON.parse(files['history/repos/a.json']).events.map(e => e.id), ['milestone:a:clones:100']);
+    assert.deepEqual(JSON.parse(files['history/repos/b.json']).events, []);
+    assert.equal(JSON.parse(files['history/combined.json']).events.length, 2);
+    assert.deepEqual(summary.highlights.map(e => e.id), ['milestone:*:views:100', 'milestone:a:clones:100'], 'newest first');
+});
+
+test('upstream contributions are listed without collector bookkeeping', () => {
+    const data = sampleData();
+    data.upstream = {
+        'x/quiet': { name: 'x/quiet', url: 'https://github.com/x/quiet', prs: { authored: 1, merged: 1 }, commits: { authored: 0 }, firstSeen: '2026-04-01', lastUpdated: '2026-04-19' },
+        'y/idle':  { name: 'y/idle', url: 'https://github.com/y/idle', prs: { authored: 0, merged: 0 }, commits: { authored: 0 }, firstSeen: '2026-04-01', lastUpdated: '2026-04-19' }
+    };
+    const { summary } = buildPageData(data);
+    assert.deepEqual(summary.upstream, [
+        { name: 'x/quiet', url: 'https://github.com/x/quiet', prs: { authored: 1, merged: 1 }, commits: { authored: 0 } }
+    ]);
+    assert.deepEqual(buildPageData(sampleData()).summary.upstream, []);
+});
@@ -0,0 +1,263 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    retentionCutoffFor,
+    upsertDailyTraffic,
+    applyRetention,
+    computeRepoTotals,
+    sumDailyUniques,
+    updateRepoTraffic,
+    computeGlobalTotals
+} = require('../scripts/lib/traffic-accumulator');
+
+const day = (date, clones, views, clonesUniques = 0, viewsUniques = 0) =>
+    ({ date, clones, clonesUniques, views, viewsUniques });
+
+const apiDays = (entries, field) =>
+    entries.map(e => ({ date: e.date, count: e[field], uniques: e[`${field}Uniques`] }));
+
+function addDays(dateStr, n) {
+    const d = new Date(`${dateStr}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + n);
+    return d.toISOString().split('T')[0];
+}
+
+// Small seeded PRNG (mulberry32) so property runs are reproducible
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+test('upsertDailyTraffic overwrites re-fetched days instead of adding them', () => {
+    const history = [day('2026-03-01', 2, 5), day('2026-03-02', 1, 1)];
+    const result = upsertDailyTraffic(
+        history,
+        [{ date: '2026-03-02', count: 4, uniques: 2 }, { date: '2026-03-03', count: 3, uniques: 1 }],
+        [{ date: '2026-03-02', count: 6, uniques: 3 }]
+    );
+
+    assert.deepEqual(result, [
+        day('2026-03-01', 2, 5),
+        day('2026-03-02', 4, 6, 2, 3),
+        day('2026-03-03', 3, 0, 1, 0)
+    ]);
+    assert.deepEqual(history[1], day('2026-03-02', 1, 1), 'input must not be mutated');
+});
+
+test('upsertDailyTraffic is idempotent for the same API window', () => {
+    const clones = [{ date: '2026-03-01', count: 3, uniques: 1 }];
+    const views = [{ date: '2026-03-01', count: 7, uniques: 2 }];
+    const once = upsertDailyTraffic([], clones, views);
+    const twice = upsertDailyTraffic(once, clones, views);
+    assert.deepEqual(twice, once);
+});
+
+test('applyRetention absorbs aged entries into legacyOffset without changing totals', () => {
+    const history = [day('2025-01-01', 3, 4), day('2025-06-01', 5, 6), day('2026-03-01', 7, 8)];
+    const legacyOffset = { clones: 100, views: 200 };
+    const before = computeRepoTotals(legacyOffset, history);
+
+    const result = applyRetention(history, legacyOffset, '2025-06-01');
+
+    assert.deepEqual(result.legacyOffset, { clones: 103, views: 204 });
+    assert.deepEqual(result.history.map(e => e.date), ['2025-06-01', '2026-03-01']);
+    const after = computeRepoTotals(result.legacyOffset, result.history);
+    assert.equal(after.totalClones, before.totalClones);
+    assert.equal(after.totalViews, before.totalViews);
+    assert.deepEqual(legacyOffset, { clones: 100, views: 200 }, 'input must not be mutated');
+});
+
+test('retentionCutoffFor counts back whole UTC days', () => {
+    assert.equal(retentionCutoffFor(new Date('2026-04-19T00:29:22Z'), 365), '2025-04-19');
+    assert.equal(retentionCutoffFor(new Date('2026-03-01T23:59:59Z'), 1), '2026-02-28');
+});
+
+test('sumDailyUniques only sums the requested window', () => {
+    const history = [day('2026-03-01', 0, 0, 9, 9), day('2026-03-02', 0, 0, 1, 2), day('2026-03-03', 0, 0, 3, 4)];
+    assert.deepEqual(sumDailyUniques(history, 2, '2026-03-03'), { clones: 4, views: 6 });
+});
+
+test('updateRepoTraffic initialises brand-new repos', () => {
+    const fetched = {
+        clonesByDay: [{ date: '2026-03-01', count: 2, uniques: 1 }],
+        viewsByDay: [{ date: '2026-03-01', count: 5, uniques: 3 }],
+        windowUniques: { clones: 1, views: 3 },
+        contributions: {
+            prs: { authored: 1, merged: 1, reviewed: 2, external: 3 },
+            commits: { authored: 4, total: 9 }
+        }
+    };
+    const repo = updateRepoTraffic(undefined, fetched, { retentionCutoff: '2025-03-01', today: '2026-03-01' });
+
+    assert.deepEqual(repo.legacyOffset, { clones: 0, views: 0 });
+    assert.equal(repo.totalClones, 2);
+    assert.equal(repo.totalViews, 5);
+    assert.deepEqual(repo.uniques.last14Days, { clones: 1, views: 3, exact: true });
+    assert.deepEqual(repo.uniques.last30Days, { clones: 1, views: 3, exact: false });
+    assert.equal(repo.totalPRs, 1, 'only authored PRs count as the user\'s PRs');
+    assert.equal(repo.totalCommits, 4, 'only authored commits count as the user\'s commits');
+    assert.deepEqual(repo.prs, { authored: 1, merged: 1, reviewed: 2, external: 3 });
+    assert.deepEqual(repo.popular.referrers.periods, [], 'nothing fetched, nothing recorded');
+});
+
+test('updateRepoTraffic sets trackedSince once, from the first recorded day', () => {
+    const fetched = date => ({ clonesByDay: [{ date, count: 1, uniques: 1 }], viewsByDay: [] });
+    const options = { retentionCutoff: '2025-03-01', today: '2026-03-05' };
+    const first = updateRepoTraffic(undefined, fetched('2026-03-01'), options);
+    assert.equal(first.trackedSince, '2026-03-01');
+
+    // Backfilled days before it don't move it
+    const backfilled = { ...first, history: [day('2026-01-01', 1, 1), ...first.history] };
+    assert.equal(updateRepoTraffic(backfilled, fetched('2026-03-05'), options).trackedSince, '2026-03-01');
+});
+
+test('computeGlobalTotals sums repos and weights PRs in contributions', () => {
+    const totals = computeGlobalTotals({
+        a: {
+            totalClones: 1, totalViews: 2, totalPRs: 3, totalCommits: 4,
+            prs: { authored: 3, merged: 2, reviewed: 5, external: 7 },
+            commits: { authored: 4, total: 10 }
+        },
+        b: { totalClones: 10, totalViews: 20, totalPRs: 0, totalCommits: 40 }
+    });
+    assert.equal(totals.totalClones, 11);
+    assert.equal(totals.totalViews, 22);
+    assert.equal(totals.totalContributions, 44 + 3 * 10);
+    assert.deepEqual(totals.prBreakdown, { authored: 3, merged: 2, reviewed: 5, external: 7 });
+    assert.deepEqual(totals.commitBreakdown, { authored: 4, total: 10 });
+});
+
+test('computeGlobalTotals adds the owner\'s upstream PRs and commits', () => {
+    const totals = computeGlobalTotals(
+        { a: { totalPRs: 1, totalCommits: 2, prs: { authored: 1, merged: 1, reviewed: 0, external: 0 }, commits: { authored: 2, total: 5 } } },
+        undefined,
+        { 'x/y': { prs: { authored: 3, merged: 2 }, commits: { authored: 7 } } }
+    );
+    assert.equal(totals.totalPRs, 4);
+    assert.equal(totals.totalCommits, 9);
+    assert.deepEqual(totals.prBreakdown, { authored: 4, merged: 3, reviewed: 0, external: 0 });
+    assert.deepEqual(totals.commitBreakdown, { authored: 9, total: 12 });
+    assert.equal(totals.totalContributions, 9 + 4 * 10);
+});
+
+test('computeGlobalTotals applies custom contribution weights', () => {
+    const repositories = { a: { totalPRs: 3, totalCommits: 5 } };
+    assert.equal(computeGlobalTotals(repositories, { commits: 2, prs: 0.5 }).totalContributions, 12);
+});
+
+// ── Property-style replay ────────────────────────────────────────────────────
+// Simulate many collector runs over a long stretch of "true" daily traffic.
+// Each run sees GitHub's 14-day window, runs overlap by a random amount, and
+// the most recent day is often still being processed (reported low, corrected
+// on a later run). After every run the all-time totals must equal the true
+// per-day sums of everything GitHub has reported so far, and never shrink.
+
+function simulate(seed, { days, retentionDays, maxGap }) {
+    const random = createRandom(seed);
+    const start = '2025-01-01';
+    const truth = {};
+    for (let i = 0; i < days; i++) {
+        const date = addDays(start, i);
+        const clones = Math.floor(random() * 20);
+        const views = Math.floor(random() * 50);
+        truth[date] = day(date, clones, views, Math.min(clones, 3), Math.min(views, 7));
+    }
+
+    let repo;
+    let previous = { totalClones: 0, totalViews: 0 };
+    let runDay = 13;
+
+    while (runDay < days) {
+        const runDate = addDays(start, runDay);
+        const window = [];
+        for (let offset = 13; offset >= 0; offset--) {
+            const entry = { ...truth[addDays(runDate, -offset)] };
+            if (offset === 0 && random() < 0.5) {
+                // Today's numbers are still being processed by GitHub
+                entry.clones = Math.floor(entry.clones * random());
+                entry.views = Math.floor(entry.views * random());
+            }
+            window.push(entry);
+        }
+
+        repo = updateRepoTraffic(repo, {
+            clonesByDay: apiDays(window, 'clones'),
+            viewsByDay: apiDays(window, 'views'),
+            windowUniques: { clones: 0, views: 0 },
+            contributions: null
+        }, {
+            retentionCutoff: retentionCutoffFor(new Date(`${runDate}T00:00:00Z`), retentionDays),
+            today: runDate
+        });
+
+        // Expected: true counts for every completed day, plus whatever was
+        // reported for the run day itself
+        let expectedClones = 0;
+        let expectedViews = 0;
+        for (let i = 0; i < runDay; i++) {
+            expectedClones += truth[addDays(start, i)].clones;
+            expectedViews += truth[addDays(start, i)].views;
+        }
+        expectedClones += window[window.length - 1].clones;
+        expectedViews += window[window.length - 1].views;
+
+        assert.equal(repo.totalClones, expectedClones, `seed ${seed}: clones after run on ${runDate}`);
+        assert.equal(repo.totalViews, expectedViews, `seed ${seed}: views after run on ${runDate}`);
+        assert.ok(repo.totalClones >= previous.totalClones, `seed ${seed}: clones shrank on ${runDate}`);
+        assert.ok(repo.totalViews >= previous.totalViews, `seed ${seed}: views shrank on ${runDate}`);
+        assert.ok(repo.history.every(e => e.date >= retentionCutoffFor(new Date(`${runDate}T00:00:00Z`), retentionDays)));
+        assert.equal(new Set(repo.history.map(e => e.date)).size, repo.history.length, 'history dates must be unique');
+
+        previous = repo;
+        runDay += 1 + Math.floor(random() * maxGap);
+    }
+}
+
+test('replayed overlapping 14-day windows always total the true per-day sums', () => {
+    // Gaps of up to 13 days keep each run day inside the next run's window,
+    // so every partially-processed day gets its correction
+    for (let seed = 1; seed <= 50; seed++) {
+        simulate(seed, { days: 500, retentionDays: 365, maxGap: 13 });
+    }
+});
+
+test('totals survive aggressive retention across many runs', () => {
+    for (let seed = 100; seed <= 120; seed++) {
+        simulate(seed, { days: 400, retentionDays: 20, maxGap: 5 });
+    }
+});
+
+test('updateRepoTraffic keeps stored values for parts that failed to fetch', () => {
+    const stored = {
+        legacyOffset: { clones: 10, views: 20 },
+        totalClones: 13,
+        totalViews: 24,
+        totalPRs: 5,
+        totalCommits: 42,
+        prs: { authored: 5, merged: 4, reviewed: 1, external: 0 },
+        commits: { authored: 42, total: 60 },
+        history: [day('2026-03-01', 3, 4)],
+        uniques: { last14Days: { clones: 2, views: 3, exact: true }, last30Days: { clones: 1, views: 1, exact: false } }
+    };
+    const repo = updateRepoTraffic(stored, {
+        clonesByDay: null,
+        viewsByDay: null,
+        windowUniques: null,
+        contributions: null
+    }, { retentionCutoff: '2025-03-01', today: '2026-03-02' });
+
+    assert.equal(repo.totalClones, 13);
+    assert.equal(repo.totalViews, 24);
+    assert.equal(repo.totalPRs, 5);
+    assert.equal(repo.totalCommits, 42);
+    assert.deepEqual(repo.prs, stored.prs);
+    assert.deepEqual(repo.commits, stored.commits);
+    assert.deepEqual(repo.uniques.last14Days, stored.uniques.last14Days);
+});
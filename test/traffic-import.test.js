@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseImport, planImport, applyImport } = require('../scripts/lib/traffic-import');
+const { exportRows, toCsv, toJsonl } = require('../scripts/lib/traffic-report');
+const { findInconsistentTotals } = require('../scripts/lib/diagnostics');
+
+const day = (date, clones, views) => ({ date, clones, clonesUniques: clones ? 1 : 0, views, viewsUniques: views ? 1 : 0 });
+
+function makeData() {
+    return {
+        totalClones: 110,
+        totalViews: 220,
+        repositories: {
+            a: {
+                totalClones: 103, totalViews: 210, legacyOffset: { clones: 100, views: 200 },
+                history: [day('2026-02-10', 1, 5), day('2026-02-12', 2, 5)]
+            },
+            b: { totalClones: 7, totalViews: 10, legacyOffset: { clones: 7, views: 10 }, history: [] }
+        }
+    };
+}
+
+const cutoff = { retentionCutoff: '2025-04-19' };
+
+test('CSV, JSONL and JSON imports all parse to the same rows', () => {
+    const csv = 'repo,date,clones,clonesUniques,views,viewsUniques\na,2026-01-01,3,1,20,4\n"b",2026-01-02,1,1,,\n';
+    const expected = [
+        { repo: 'a', date: '2026-01-01', clones: 3, clonesUniques: 1, views: 20, viewsUniques: 4 },
+        { repo: 'b', date: '2026-01-02', clones: 1, clonesUniques: 1, views: 0, viewsUniques: 0 }
+    ];
+    assert.deepEqual(parseImport(csv, { format: 'csv' }), expected);
+    assert.deepEqual(parseImport(toJsonl(expected), { format: 'jsonl' }), expected);
+    assert.deepEqual(parseImport(JSON.stringify({
+        repositories: {
+            a: { history: [{ date: '2026-01-01', clones: 3, clonesUniques: 1, views: 20, viewsUniques: 4 }] },
+            b: { history: [{ date: '2026-01-02', clones: 1, clonesUniques: 1 }] }
+        }
+    }), { format: 'json' }), expected);
+});
+
+test('what traffic-report.js exports can be imported back', () => {
+    const data = makeData();
+    const rows = exportRows(data, { from: '2026-01-01', to: '2026-12-31' });
+    assert.deepEqual(parseImport(toCsv(rows), { format: 'csv' }), rows);
+});
+
+test('rows without a repo column take --repo', () => {
+    const rows = parseImport('date,views\n2026-01-01,4\n', { format: 'csv', defaultRepo: 'a' });
+    assert.equal(rows[0].repo, 'a');
+});
+
+test('bad rows are rejected together, with row numbers', () => {
+    const csv = 'repo,date,clones,views\na,2026-1-1,1,1\na,2026-01-02,-1,1\n,2026-01-03,1,1\na,2026-01-02,1,1\nb,2026-01-04,,\n';
+    assert.throws(() => parseImport(csv, { format: 'csv' }), error => {
+        assert.match(error.message, /5 problem/);
+        assert.match(error.message, /row 1: date must look like/);
+        assert.match(error.message, /row 2: clones must be a whole number/);
+        assert.match(error.message, /row 3: no repo/);
+        assert.match(error.message, /row 4: a 2026-01-02 appears more than once/);
+        assert.match(error.message, /row 5: needs clones or views/);
+        return true;
+    });
+    assert.throws(() => parseImport('{}', { format: 'json' }), /array of rows/);
+    assert.throws(() => parseImport('', { format: 'xlsx' }), /Unknown import format/);
+});
+
+test('days before the first recorded day are imported out of legacyOffset', () => {
+    const data = makeData();
+    const rows = [
+        { repo: 'a', date: '2026-01-01', clones: 10, clonesUniques: 2, views: 50, viewsUniques: 9 },
+        { repo: 'a', date: '2026-01-02', clones: 5, clonesUniques: 1, views: 30, viewsUniques: 4 }
+    ];
+    const plan = planImport(data, rows, cutoff);
+    assert.deepEqual(plan.problems, []);
+    assert.equal(plan.repos.a.imported.length, 2);
+    assert.deepEqual(plan.repos.a.offsetAfter, { clones: 85, views: 120 });
+
+    const after = applyImport(data, plan, { date: '2026-04-19T00:00:00Z', source: 'old.csv' });
+    const repo = after.repositories.a;
+    assert.deepEqual(repo.history.map(entry => entry.date), ['2026-01-01', '2026-01-02', '2026-02-10', '2026-02-12']);
+    assert.deepEqual(repo.legacyOffset, { clones: 85, views: 120 });
+    assert.equal(repo.totalClones, 103);
+    assert.equal(repo.totalViews, 210);
+    assert.deepEqual(findInconsistentTotals(after), []);
+    assert.deepEqual(after.importLog, [{ date: '2026-04-19T00:00:00Z', source: 'old.csv', days: 2, clones: 15, views: 80 }]);
+    // The input is left untouched
+    assert.equal(data.repositories.a.history.length, 2);
+});
+
+test('a second import can fill another gap before the collector\'s first day', () => {
+    const first = applyImport(makeData(), planImport(makeData(), [
+        { repo: 'a', date: '2026-01-01', clones: 1, clonesUniques: 1, views: 1, viewsUniques: 1 }
+    ], cutoff), { date: '2026-04-19T00:00:00Z', source: 'first.csv' });
+    assert.equal(first.repositories.a.trackedSince, '2026-02-10');
+
+    const plan = planImport(first, [
+        { repo: 'a', date: '2026-02-01', clones: 2, clonesUniques: 1, views: 3, viewsUniques: 1 },
+        // Imported the first time: reported, not imported again
+        { repo: 'a', date: '2026-01-01', clones: 1, clonesUniques: 1, views: 1, viewsUniques: 1 }
+    ], cutoff);
+    assert.deepEqual(plan.problems, []);
+    assert.deepEqual(plan.repos.a.imported.map(row => row.date), ['2026-02-01']);
+    assert.deepEqual(plan.repos.a.overlaps.map(({ date, matches }) => [date, matches]), [['2026-01-01', true]]);
+
+    const second = applyImport(first, plan, { date: '2026-04-20T00:00:00Z', source: 'second.csv' });
+    assert.deepEqual(second.repositories.a.history.map(entry => entry.date), ['2026-01-01', '2026-02-01', '2026-02-10', '2026-02-12']);
+    assert.equal(second.repositories.a.trackedSince, '2026-02-10');
+    assert.deepEqual(findInconsistentTotals(second), []);
+});
+
+test('days the collector already recorded are never changed, only reported', () => {
+    const data = makeData();
+    const plan = planImport(data, [
+        { repo: 'a', date: '2026-02-10', clones: 1, clonesUniques: 0, views: 5, viewsUniques: 0 },
+        { repo: 'a', date: '2026-02-12', clones: 9, clonesUniques: 0, views: 9, viewsUniques: 0 },
+        // Inside the recorded period but missing: GitHub reported nothing
+        { repo: 'a', date: '2026-02-11', clones: 4, clonesUniques: 0, views: 0, viewsUniques: 0 }
+    ], cutoff);
+
+    assert.equal(plan.repos.a.imported.length, 0);
+    assert.deepEqual(plan.repos.a.overlaps.map(({ date, matches }) => [date, matches]),
+        [['2026-02-10', true], ['2026-02-12', false], ['2026-02-11', false]]);
+    assert.equal(applyImport(data, plan, { date: '2026-04-19', source: 'x' }), data);
+});
+
+test('days older than the retention cutoff are skipped', () => {
+    const plan = planImport(makeData(), [{ repo: 'b', date: '2025-01-01', clones: 1, clonesUniques: 0, views: 1, viewsUniques: 0 }], cutoff);
+    assert.equal(plan.repos.b.tooOld.length, 1);
+    assert.equal(plan.repos.b.imported.length, 0);
+});
+
+test('imports that would raise a total or name unknown repos are refused', () => {
+    const plan = planImport(makeData(), [
+        { repo: 'b', date: '2026-01-01', clones: 8, clonesUniques: 0, views: 1, viewsUniques: 0 },
+        { repo: 'gone', date: '2026-01-01', clones: 1, clonesUniques: 0, views: 1, viewsUniques: 0 },
+        { repo: 'gone', date: '2026-01-02', clones: 1, clonesUniques: 0, views: 1, viewsUniques: 0 }
+    ], cutoff);
+
+    assert.equal(plan.problems.length, 2);
+    assert.match(plan.problems[0], /^gone: not in the data file/);
+    assert.match(plan.problems[1], /^b: the import has 8 clones but legacyOffset only holds 7/);
+    assert.throws(() => applyImport(makeData(), plan, { date: '2026-04-19', source: 'x' }), /with problems/);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    resolveRange,
+    previousRange,
+    rangeCoverage,
+    sumRange,
+    rankRepos,
+    comparePeriods,
+    repoHistory,
+    suggestRepos,
+    exportRows,
+    toCsv,
+    toJsonl,
+    formatTable
+} = require('../scripts/lib/traffic-report');
+
+const day = (date, clones, views) => ({ date, clones, clonesUniques: clones ? 1 : 0, views, viewsUniques: views ? 1 : 0 });
+
+const data = {
+    repositories: {
+        a: {
+            totalClones: 110, totalViews: 130, legacyOffset: { clones: 100, views: 100 },
+            history: [day('2026-04-01', 1, 10), day('2026-04-02', 2, 10), day('2026-04-03', 3, 10)]
+        },
+        b: {
+            totalClones: 20, totalViews: 5, legacyOffset: { clones: 0, views: 0 },
+            history: [day('2026-04-02', 10, 0), day('2026-04-03', 10, 5)]
+        },
+        quiet: { totalClones: 0, totalViews: 0, legacyOffset: { clones: 0, views: 0 }, history: [day('2026-04-03', 0, 0)] }
+    }
+};
+
+test('ranges default to the last days up to the latest recorded day', () => {
+    assert.deepEqual(resolveRange({}, '2026-04-30'), { from: '2026-04-01', to: '2026-04-30' });
+    assert.deepEqual(resolveRange({ days: 7, to: '2026-03-07' }, '2026-04-30'), { from: '2026-03-01', to: '2026-03-07' });
+    assert.deepEqual(previousRange({ from: '2026-03-01', to: '2026-03-07' }), { from: '2026-02-22', to: '2026-02-28' });
+});
+
+test('bad ranges are rejected with a readable reason', () => {
+    assert.throws(() => resolveRange({ from: '2026-13-01' }, '2026-04-30'), /--from must be a date/);
+    assert.throws(() => resolveRange({ from: '2026-05-01' }, '2026-04-30'), /starts \(2026-05-01\) after it ends/);
+    assert.throws(() => resolveRange({}, null), /no per-day history/);
+});
+
+test('coverage says which part of the range has history', () => {
+    assert.equal(rangeCoverage(data, { from: '2026-04-01', to: '2026-04-03' }).complete, true);
+    assert.deepEqual(
+        rangeCoverage(data, { from: '2026-03-01', to: '2026-04-02' }),
+        { from: '2026-03-01', to: '2026-04-02', coveredFrom: '2026-04-01', coveredTo: '2026-04-02', complete: false }
+    );
+    assert.equal(rangeCoverage(data, { from: '2025-01-01', to: '2025-01-31' }).coveredFrom, null);
+});
+
+test('sums only count days inside the range', () => {
+    assert.deepEqual(sumRange(data.repositories.a.history, { from: '2026-04-02', to: '2026-04-03' }),
+        { clones: 5, clonesUniques: 2, views: 20, viewsUniques: 2, days: 2 });
+});
+
+test('top ranks by the chosen metric and skips repos without traffic', () => {
+    const range = { from: '2026-04-01', to: '2026-04-03' };
+    assert.deepEqual(rankRepos(data, range).map(row => [row.rank, row.repo, row.views]), [[1, 'a', 30], [2, 'b', 5]]);
+    assert.deepEqual(rankRepos(data, range, { by: 'clones', limit: 1 }).map(row => row.repo), ['b']);
+    assert.throws(() => rankRepos(data, range, { by: 'stars' }), /--by must be one of clones, views/);
+});
+
+test('compare reports per-repo and total changes, biggest first', () => {
+    const { rows, total } = comparePeriods(data, { from: '2026-04-03', to: '2026-04-03' }, { from: '2026-04-02', to: '2026-04-02' }, { by: 'clones' });
+    assert.deepEqual(rows.map(row => row.repo), ['a', 'b']);
+    assert.deepEqual(rows[0].clones, { before: 2, after: 3, delta: 1, change: 50 });
+    assert.deepEqual(rows[1].views, { before: 0, after: 5, delta: 5, change: null }, 'no percentage from zero');
+    assert.deepEqual(total.views, { before: 10, after: 15, delta: 5, change: 50 });
+});
+
+test('repo history lists days in range with the all-time totals', () => {
+    const result = repoHistory(data, 'a', { from: '2026-04-02', to: '2026-04-30' });
+    assert.equal(result.totalClones, 110);
+    assert.deepEqual(result.days.map(entry => entry.date), ['2026-04-02', '2026-04-03']);
+    assert.equal(repoHistory(data, 'missing', { from: '2026-04-01', to: '2026-04-03' }), null);
+    assert.deepEqual(suggestRepos(data, 'UIE'), ['quiet']);
+});
+
+test('exports are one row per repo and day', () => {
+    const rows = exportRows(data, { from: '2026-04-03', to: '2026-04-03' });
+    assert.equal(toCsv(rows), [
+        'repo,date,clones,clonesUniques,views,viewsUniques',
+        'a,2026-04-03,3,1,10,1',
+        'b,2026-04-03,10,1,5,1',
+        'quiet,2026-04-03,0,0,0,0',
+        ''
+    ].join('\n'));
+    assert.deepEqual(toJsonl(rows).trim().split('\n').map(line => JSON.parse(line).repo), ['a', 'b', 'quiet']);
+    assert.equal(toJsonl([]), '');
+});
+
+test('CSV fields with separators or quotes are quoted', () => {
+    assert.equal(toCsv([{ repo: 'acme/a,b "x"', date: 'd' }], ['repo', 'date']), 'repo,date\n"acme/a,b ""x""",d\n');
+});
+
+test('tables pad columns and right-align numbers', () => {
+    const table = formatTable(
+        [{ key: 'repo', label: 'Repo' }, { key: 'views', label: 'Views' }],
+        [{ repo: 'a', views: 1234 }, { repo: 'longer-name', views: 5 }]
+    );
+    assert.equal(table, [
+        'Repo         Views',
+        '───────────  ─────',
+        'a            1,234',
+        'longer-name      5'
+    ].join('\n'));
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeConfig } = require('../scripts/lib/portfolio-config');
+const {
+    isUpstreamCandidate,
+    planUpstreamRefresh,
+    updateUpstreamRecord,
+    listUpstreamContributions
+} = require('../scripts/lib/upstream');
+
+const config = normalizeConfig({
+    owner: 'alice',
+    accounts: [{ login: 'alice' }, { login: 'acme', type: 'org' }],
+    repos: { exclude: ['*/docs', 'fork-of-*'] }
+});
+
+const node = (nameWithOwner, extra = {}) => ({
+    nameWithOwner,
+    url: `https://github.com/${nameWithOwner}`,
+    description: 'A project',
+    stargazerCount: 10,
+    isArchived: false,
+    primaryLanguage: { name: 'Go' },
+    ...extra
+});
+
+const contributions = (authored, merged, commits) => ({
+    prs: { authored, merged, reviewed: 0, external: 0 },
+    commits: { authored: commits, total: 999 }
+});
+
+test('repos owned by a configured account or excluded are not upstream', () => {
+    assert.ok(isUpstreamCandidate(config, 'nodejs/node'));
+    assert.ok(!isUpstreamCandidate(config, 'alice/site'), 'the owner\'s own repo');
+    assert.ok(!isUpstreamCandidate(config, 'ACME/widget'), 'a tracked organisation, any case');
+    assert.ok(!isUpstreamCandidate(config, 'nodejs/docs'), 'excluded by a slash pattern');
+    assert.ok(!isUpstreamCandidate(config, 'bob/fork-of-x'), 'excluded by name');
+});
+
+test('the refresh plan merges discovered and stored repos once each', () => {
+    const stored = { 'nodejs/node': { name: 'nodejs/node' }, 'old/project': { name: 'old/project' } };
+    const plan = planUpstreamRefresh(config, stored, [
+        node('NodeJS/node'), node('nodejs/node'), node('rust-lang/rust'), node('acme/widget')
+    ]);
+
+    assert.deepEqual(plan.map(entry => entry.key), ['nodejs/node', 'old/project', 'rust-lang/rust']);
+    assert.equal(plan[0].metadata.language, 'Go', 'rediscovered repos get fresh metadata');
+    assert.equal(plan[1].metadata, null, 'repos no longer discovered are still refreshed');
+});
+
+test('a new record keeps only the owner\'s PRs and commits', () => {
+    const record = updateUpstreamRecord(undefined, {
+        metadata: planUpstreamRefresh(config, {}, [node('nodejs/node', { primaryLanguage: null })])[0].metadata,
+        contributions: contributions(4, 3, 12)
+    }, '2026-04-19');
+
+    assert.deepEqual(record, {
+        name: 'nodejs/node',
+        url: 'https://github.com/nodejs/node',
+        description: 'A project',
+        language: null,
+        stars: 10,
+        archived: false,
+        prs: { authored: 4, merged: 3 },
+        commits: { authored: 12 },
+        firstSeen: '2026-04-19',
+        lastUpdated: '2026-04-19'
+    });
+});
+
+test('a failed fetch keeps the previous counts and metadata', () => {
+    const previous = updateUpstreamRecord(undefined, {
+        metadata: { name: 'a/b', url: 'https://github.com/a/b', description: null, language: 'C', stars: 1, archived: false },
+        contributions: contributions(2, 2, 5)
+    }, '2026-04-01');
+
+    const kept = updateUpstreamRecord(previous, { metadata: null, contributions: null }, '2026-04-19');
+    assert.deepEqual(kept, previous);
+
+    const refreshed = updateUpstreamRecord(previous, { metadata: null, contributions: contributions(3, 3, 6) }, '2026-04-19');
+    assert.deepEqual([refreshed.prs.merged, refreshed.firstSeen, refreshed.lastUpdated], [3, '2026-04-01', '2026-04-19']);
+});
+
+test('only repos with the owner\'s work are listed, most active first', () => {
+    const record = (name, merged, commits) => ({ name, prs: { authored: merged, merged }, commits: { authored: commits } });
+    const listed = listUpstreamContributions({
+        x: record('x/quiet', 1, 0),
+        y: record('y/busy', 5, 20),
+        z: record('z/none', 0, 0)
+    });
+    assert.deepEqual(listed.map(r => r.name), ['y/busy', 'x/quiet']);
+});
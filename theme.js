@@ -0,0 +1,102 @@
+// ── Theme ────────────────────────────────────────────────────────────────────
+// Light, dark or "system" (follow the OS setting, the default). The choice is
+// kept in localStorage; what's applied is always a concrete data-theme on
+// <html>, and styles.css maps that to a set of colour tokens. Loaded in <head>,
+// before the stylesheet paints, so a dark page never flashes light first.
+//
+// The navbar's .theme-toggle button cycles light → dark → system. Other code
+// can follow along:
+//
+//   themeManager.addEventListener('themechange', ({ detail }) => {
+//       // detail.mode: 'light' | 'dark' | 'system', detail.theme: 'light' | 'dark'
+//   });
+
+const THEME_STORAGE_KEY = 'theme';
+const THEME_MODES = ['light', 'dark', 'system'];
+const THEME_LABELS = {
+    light: { icon: '☀️', name: 'Light' },
+    dark: { icon: '🌙', name: 'Dark' },
+    system: { icon: '🖥️', name: 'System' }
+};
+
+// Private browsing and disabled storage throw instead of returning null
+function readStoredTheme() {
+    try {
+        const mode = window.localStorage.getItem(THEME_STORAGE_KEY);
+        return THEME_MODES.includes(mode) ? mode : 'system';
+    } catch (error) {
+        return 'system';
+    }
+}
+
+function storeTheme(mode) {
+    try {
+        if (mode === 'system') {
+            window.localStorage.removeItem(THEME_STORAGE_KEY);
+        } else {
+            window.localStorage.setItem(THEME_STORAGE_KEY, mode);
+        }
+    } catch (error) {
+        // The choice still applies for this visit
+    }
+}
+
+function createThemeManager(root = document.documentElement) {
+    const events = new EventTarget();
+    const darkQuery = window.matchMedia('(prefers-color-scheme: dark)');
+    let mode = readStoredTheme();
+
+    const resolve = () => (mode === 'system' ? (darkQuery.matches ? 'dark' : 'light') : mode);
+    const nextMode = () => THEME_MODES[(THEME_MODES.indexOf(mode) + 1) % THEME_MODES.length];
+
+    function apply() {
+        const theme = resolve();
+        root.dataset.theme = theme;
+        document.querySelectorAll('.theme-toggle').forEach(updateToggle);
+        events.dispatchEvent(new CustomEvent('themechange', { detail: { mode, theme } }));
+    }
+
+    // The button names the current mode and what a click switches to
+    function updateToggle(button) {
+        const next = nextMode();
+        const icon = button.querySelector('.theme-toggle-icon');
+        if (icon) icon.textContent = THEME_LABELS[mode].icon;
+        button.setAttribute('aria-label', `Theme: ${THEME_LABELS[mode].name}. Switch to ${THEME_LABELS[next].name.toLowerCase()}`);
+        button.title = `Theme: ${THEME_LABELS[mode].name}`;
+    }
+
+    function setMode(next) {
+        if (!THEME_MODES.includes(next) || next === mode) return;
+        mode = next;
+        storeTheme(mode);
+        apply();
+    }
+
+    darkQuery.addEventListener('change', () => {
+        if (mode === 'system') apply();
+    });
+
+    function bindToggles() {
+        document.querySelectorAll('.theme-toggle').forEach(button => {
+            updateToggle(button);
+            button.addEventListener('click', () => setMode(nextMode()));
+        });
+    }
+
+    apply();
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', bindToggles);
+    } else {
+        bindToggles();
+    }
+
+    return {
+        mode: () => mode,
+        theme: resolve,
+        setMode,
+        addEventListener: events.addEventListener.bind(events),
+        removeEventListener: events.removeEventListener.bind(events)
+    };
+}
+
+const themeManager = createThemeManager();
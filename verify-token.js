@@ -0,0 +1,57 @@
+// Renders the collector's --diagnose report for verify-token.html. Built
+// with el() from dom.js, so nothing in the report is parsed as HTML.
+
+const REPORT_FILE = 'confidential/diagnostics.json';
+const ICONS = { ok: '✅', warning: '⚠️', error: '❌' };
+
+function renderCheck(check) {
+    const rows = check.items.map(item => el('tr', {}, [
+        el('td', { class: 'status' }, [el('span', { class: `badge ${item.status}` }, [`${ICONS[item.status]} ${item.status}`])]),
+        el('td', { class: 'name' }, [item.name]),
+        el('td', {}, [item.detail])
+    ]));
+    return el('section', {}, [
+        el('h2', {}, [`${ICONS[check.status]} ${check.title}`]),
+        el('p', { class: 'summary' }, [check.summary]),
+        el('table', {}, [el('tbody', {}, rows)])
+    ]);
+}
+
+function renderReport(container, report) {
+    const generated = new Date(report.generatedAt).toLocaleString();
+    const headline = {
+        ok: 'Everything a collector run needs is in place.',
+        warning: 'The collector will run, but some things need attention.',
+        error: 'The next collector run will fail or miss data.'
+    }[report.status];
+
+    setChildren(container, [
+        el('div', { class: `result ${report.status}` }, [
+            `${ICONS[report.status]} ${headline}`,
+            el('br'),
+            `Owner: ${report.owner} · generated ${generated}`
+        ]),
+        report.checks.map(renderCheck)
+    ]);
+}
+
+async function loadReport() {
+    const container = document.getElementById('report');
+    try {
+        const response = await fetch(REPORT_FILE, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(response.status === 404
+                ? `No report yet — run the command above to create ${REPORT_FILE}.`
+                : `Could not load ${REPORT_FILE} (HTTP ${response.status}).`);
+        }
+        renderReport(container, await response.json());
+    } catch (error) {
+        // file:// pages can't fetch at all, so explain rather than show a TypeError
+        const message = location.protocol === 'file:'
+            ? 'Browsers block reading files from file:// pages — serve the folder over http (see above).'
+            : error.message;
+        setChildren(container, el('div', { class: 'result error' }, [`❌ ${message}`]));
+    }
+}
+
+loadReport();